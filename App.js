@@ -15,6 +15,9 @@ import FoodLocationsHubScreen from './src/screens/FoodLocationsHubScreen';
 import NutritionStatsScreen from './src/screens/NutritionStatsScreen';
 import GoalSettingScreen from './src/screens/GoalSettingScreen';
 import ProfileScreen from './src/screens/ProfileScreen';
+import MyFoodsScreen from './src/screens/MyFoodsScreen';
+import WeightScreen from './src/screens/WeightScreen';
+import RecipeBuilderScreen from './src/screens/RecipeBuilderScreen';
 
 import { ThemeProvider } from './src/context/ThemeContext';
 import { DataProvider } from './src/context/DataContext';
@@ -178,6 +181,34 @@ export default function App() {
             }}
           />
 
+          {/* 🍳 User-defined foods */}
+          <Drawer.Screen 
+            name="MyFoods" 
+            component={MyFoodsScreen}
+            options={{ 
+              title: 'My Foods',
+              headerShown: false,
+              drawerLabel: 'My Foods',
+              drawerIcon: ({ color, size }) => (
+                <Ionicons name="book" size={size} color={color} />
+              )
+            }}
+          />
+
+          {/* ⚖️ Body-weight log */}
+          <Drawer.Screen 
+            name="Weight" 
+            component={WeightScreen}
+            options={{ 
+              title: 'Weight',
+              headerShown: false,
+              drawerLabel: 'Weight Log',
+              drawerIcon: ({ color, size }) => (
+                <Ionicons name="barbell" size={size} color={color} />
+              )
+            }}
+          />
+
           {/* 🔒 Hidden Screens (accessed via navigation, not drawer) */}
           
           {/* General Food Locations Hub (accessed from HomeScreen) */}
@@ -229,6 +260,17 @@ export default function App() {
           }}
           />
 
+          {/* Recipe Builder (accessed from My Foods) */}
+          <Drawer.Screen 
+            name="RecipeBuilder" 
+            component={RecipeBuilderScreen}
+            options={{ 
+              title: 'Recipe',
+              headerShown: false,
+              drawerItemStyle: { display: 'none' } // Hidden from drawer
+            }}
+          />
+
           {/* Scan Result Screen */}
           <Drawer.Screen 
             name="ScanResult" 
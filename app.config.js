@@ -77,7 +77,11 @@ export default {
       },
       GEMINI_API_KEY: process.env.EXPO_PUBLIC_GEMINI_API_KEY,
       HUGGINGFACE_API_KEY: process.env.EXPO_PUBLIC_HUGGINGFACE_API_KEY,
-      GOOGLE_VISION_KEY: process.env.EXPO_PUBLIC_GOOGLE_VISION_KEY
+      GOOGLE_VISION_KEY: process.env.EXPO_PUBLIC_GOOGLE_VISION_KEY,
+      SYNC_SERVER_URL: process.env.EXPO_PUBLIC_SYNC_SERVER_URL,
+      RECOGNITION_PROVIDER: process.env.EXPO_PUBLIC_RECOGNITION_PROVIDER,
+      OPENAI_BASE_URL: process.env.EXPO_PUBLIC_OPENAI_BASE_URL,
+      OPENAI_API_KEY: process.env.EXPO_PUBLIC_OPENAI_API_KEY
     },
     runtimeVersion: {
       policy: "appVersion"
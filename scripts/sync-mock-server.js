@@ -0,0 +1,83 @@
+// scripts/sync-mock-server.js
+// Reference sync server for local testing: `npm run sync-server`, then set the
+// server URL in Profile → Sync to http://<this machine's LAN IP>:4000.
+// Records live in memory only. Set SYNC_TOKEN to require a bearer token.
+const http = require('http');
+const { URL } = require('url');
+
+const PORT = parseInt(process.env.PORT, 10) || 4000;
+const TOKEN = process.env.SYNC_TOKEN || '';
+const PAGE_SIZE = 500;
+
+const records = new Map(); // `${kind}:${id}` -> { seq, record }
+let seq = 0;
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+// Last write wins: an incoming record replaces the stored one only if newer
+const store = (record) => {
+  const key = `${record.kind}:${record.id}`;
+  const existing = records.get(key);
+  if (existing && existing.record.updatedAt >= record.updatedAt) return false;
+  seq += 1;
+  records.set(key, { seq, record });
+  return true;
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    send(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    send(res, 200, { ok: true });
+  } else if (req.method === 'GET' && url.pathname === '/sync/changes') {
+    const since = parseInt(url.searchParams.get('since'), 10) || 0;
+    const changes = [...records.values()]
+      .filter(change => change.seq > since)
+      .sort((a, b) => a.seq - b.seq);
+    const page = changes.slice(0, PAGE_SIZE);
+    send(res, 200, {
+      cursor: page.length > 0 ? page[page.length - 1].seq : since,
+      records: page.map(change => change.record),
+      hasMore: changes.length > PAGE_SIZE
+    });
+  } else if (req.method === 'POST' && url.pathname === '/sync/changes') {
+    try {
+      const body = await readBody(req);
+      const incoming = Array.isArray(body.records) ? body.records : [];
+      const accepted = incoming
+        .filter(record => record && record.kind && record.id && record.updatedAt)
+        .filter(store).length;
+      console.log(`${body.deviceId || 'unknown device'}: ${accepted}/${incoming.length} records accepted`);
+      send(res, 200, { accepted, cursor: seq });
+    } catch (error) {
+      send(res, 400, { error: 'Invalid JSON' });
+    }
+  } else {
+    send(res, 404, { error: 'Not found' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync mock server listening on port ${PORT}`);
+});
@@ -0,0 +1,235 @@
+// src/components/CalendarPicker.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import UserDataService from '../services/userDataService';
+
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+// Day keys for a month grid, padded with nulls so the 1st lands on its weekday
+const buildMonthGrid = (monthStart) => {
+  const { end } = UserDataService.getMonthBounds(monthStart);
+  const cells = Array(UserDataService.parseDateKey(monthStart).getDay()).fill(null);
+  for (let dateStr = monthStart; dateStr <= end; dateStr = UserDataService.shiftDateKey(dateStr, 1)) {
+    cells.push(dateStr);
+  }
+  while (cells.length % 7 !== 0) {
+    cells.push(null);
+  }
+  return cells;
+};
+
+const CalendarPicker = ({ visible, selectedDate, onSelect, onClose }) => {
+  const [monthStart, setMonthStart] = useState(() => UserDataService.getMonthBounds(selectedDate).start);
+  const [loggedDates, setLoggedDates] = useState(new Set());
+  const todayKey = UserDataService.getDateKey();
+
+  useEffect(() => {
+    if (visible) {
+      setMonthStart(UserDataService.getMonthBounds(selectedDate).start);
+    }
+  }, [visible, selectedDate]);
+
+  // Mark the days that already have food logged
+  useEffect(() => {
+    if (!visible) return;
+    const loadLoggedDates = async () => {
+      const { start, end } = UserDataService.getMonthBounds(monthStart);
+      const range = await UserDataService.getIntakeRange(start, end);
+      setLoggedDates(new Set((range?.days || []).filter(day => day.mealsCount > 0).map(day => day.date)));
+    };
+    loadLoggedDates();
+  }, [visible, monthStart]);
+
+  const shiftMonth = (delta) => {
+    const date = UserDataService.parseDateKey(monthStart);
+    date.setDate(1);
+    date.setMonth(date.getMonth() + delta);
+    const { start } = UserDataService.getMonthBounds(date);
+    if (start <= todayKey) {
+      setMonthStart(start);
+    }
+  };
+
+  const handleSelect = (dateStr) => {
+    onSelect(dateStr);
+    onClose();
+  };
+
+  const isCurrentMonth = monthStart === UserDataService.getMonthBounds(todayKey).start;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <TouchableOpacity style={styles.navButton} onPress={() => shiftMonth(-1)}>
+              <Ionicons name="chevron-back" size={20} color="#4CAF50" />
+            </TouchableOpacity>
+            <Text style={styles.title}>
+              {UserDataService.parseDateKey(monthStart).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+            </Text>
+            <TouchableOpacity
+              style={[styles.navButton, isCurrentMonth && styles.navButtonDisabled]}
+              onPress={() => shiftMonth(1)}
+              disabled={isCurrentMonth}
+            >
+              <Ionicons name="chevron-forward" size={20} color={isCurrentMonth ? '#ccc' : '#4CAF50'} />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.grid}>
+            {WEEKDAYS.map((day, index) => (
+              <Text key={`weekday-${index}`} style={styles.weekday}>{day}</Text>
+            ))}
+            {buildMonthGrid(monthStart).map((dateStr, index) => {
+              if (!dateStr) {
+                return <View key={`empty-${index}`} style={styles.cell} />;
+              }
+              const isFuture = dateStr > todayKey;
+              const isSelected = dateStr === selectedDate;
+              return (
+                <TouchableOpacity
+                  key={dateStr}
+                  style={[styles.cell, isSelected && styles.cellSelected]}
+                  onPress={() => handleSelect(dateStr)}
+                  disabled={isFuture}
+                >
+                  <Text style={[
+                    styles.cellText,
+                    dateStr === todayKey && styles.cellTextToday,
+                    isFuture && styles.cellTextDisabled,
+                    isSelected && styles.cellTextSelected
+                  ]}>
+                    {Number(dateStr.slice(8))}
+                  </Text>
+                  {loggedDates.has(dateStr) && (
+                    <View style={[styles.loggedDot, isSelected && styles.loggedDotSelected]} />
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <View style={styles.actions}>
+            <TouchableOpacity onPress={() => handleSelect(todayKey)}>
+              <Text style={styles.actionText}>Today</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.actionText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    width: '90%',
+    maxWidth: 360,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  navButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#E8F5E8',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  navButtonDisabled: {
+    backgroundColor: '#f5f5f5',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  weekday: {
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#999',
+    marginBottom: 6,
+  },
+  cell: {
+    width: `${100 / 7}%`,
+    aspectRatio: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 20,
+  },
+  cellSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  cellText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  cellTextToday: {
+    fontWeight: 'bold',
+    color: '#4CAF50',
+  },
+  cellTextDisabled: {
+    color: '#ccc',
+  },
+  cellTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  loggedDot: {
+    width: 4,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#4CAF50',
+    marginTop: 2,
+  },
+  loggedDotSelected: {
+    backgroundColor: 'white',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+    paddingHorizontal: 8,
+  },
+  actionText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#4CAF50',
+  },
+});
+
+export default CalendarPicker;
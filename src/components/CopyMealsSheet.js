@@ -0,0 +1,320 @@
+// src/components/CopyMealsSheet.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useData } from '../context/DataContext';
+import UserDataService from '../services/userDataService';
+
+// Copies meals from an earlier day into the selected day. Mess menus repeat
+// weekly, so "same day last week" is offered next to yesterday.
+const CopyMealsSheet = ({ visible, onClose }) => {
+  const { copyMeal, copyDay, selectedDate, isViewingToday } = useData();
+  const [sourceDate, setSourceDate] = useState(() => UserDataService.shiftDateKey(selectedDate, -1));
+  const [sourceDay, setSourceDay] = useState(null);
+  const [targetMeal, setTargetMeal] = useState(null); // null copies into the same meal
+  const [copying, setCopying] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setSourceDate(UserDataService.shiftDateKey(selectedDate, -1));
+      setTargetMeal(null);
+    }
+  }, [visible, selectedDate]);
+
+  useEffect(() => {
+    if (visible) {
+      setSourceDay(null);
+      UserDataService.getDailyIntake(sourceDate).then(setSourceDay);
+    }
+  }, [visible, sourceDate]);
+
+  const sourceMeals = UserDataService.MEAL_TYPES.filter(mealType => sourceDay?.[mealType]?.length > 0);
+  const lastWeek = UserDataService.shiftDateKey(selectedDate, -7);
+  const yesterday = UserDataService.shiftDateKey(selectedDate, -1);
+  const targetLabel = isViewingToday ? 'today' : UserDataService.formatDayLabel(selectedDate);
+
+  const handleCopyMeal = async (mealType) => {
+    const toMealType = targetMeal || mealType;
+    setCopying(true);
+    const success = await copyMeal(sourceDate, mealType, toMealType);
+    setCopying(false);
+
+    if (!success) {
+      Alert.alert('Error', 'Failed to copy meal. Please try again.');
+      return;
+    }
+    Alert.alert(
+      'Meal Copied 📋',
+      `${UserDataService.getMealLabel(mealType)} from ${UserDataService.formatDayLabel(sourceDate)} added to ${UserDataService.getMealLabel(toMealType).toLowerCase()} ${isViewingToday ? 'today' : `on ${targetLabel}`}.`
+    );
+    onClose();
+  };
+
+  const handleCopyDay = async () => {
+    setCopying(true);
+    const success = await copyDay(sourceDate);
+    setCopying(false);
+
+    if (!success) {
+      Alert.alert('Error', 'Failed to copy meals. Please try again.');
+      return;
+    }
+    Alert.alert(
+      'Day Copied 📋',
+      `All meals from ${UserDataService.formatDayLabel(sourceDate)} added to ${targetLabel}.`
+    );
+    onClose();
+  };
+
+  const renderShortcut = (dateStr, label) => (
+    <TouchableOpacity
+      style={[styles.chip, sourceDate === dateStr && styles.chipActive]}
+      onPress={() => setSourceDate(dateStr)}
+    >
+      <Text style={[styles.chipText, sourceDate === dateStr && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Copy Meals</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.label}>Copy from</Text>
+          <View style={styles.dayRow}>
+            <TouchableOpacity
+              style={styles.dayArrow}
+              onPress={() => setSourceDate(UserDataService.shiftDateKey(sourceDate, -1))}
+            >
+              <Ionicons name="chevron-back" size={20} color="#4CAF50" />
+            </TouchableOpacity>
+            <Text style={styles.dayLabel}>{UserDataService.formatDayLabel(sourceDate)}</Text>
+            <TouchableOpacity
+              style={styles.dayArrow}
+              onPress={() => setSourceDate(UserDataService.shiftDateKey(sourceDate, 1))}
+              disabled={sourceDate >= yesterday}
+            >
+              <Ionicons name="chevron-forward" size={20} color={sourceDate >= yesterday ? '#ccc' : '#4CAF50'} />
+            </TouchableOpacity>
+          </View>
+          <View style={styles.chipRow}>
+            {renderShortcut(yesterday, 'Previous day')}
+            {renderShortcut(lastWeek, 'Same day last week')}
+          </View>
+
+          <Text style={styles.label}>Copy into</Text>
+          <View style={styles.chipRow}>
+            <TouchableOpacity
+              style={[styles.chip, !targetMeal && styles.chipActive]}
+              onPress={() => setTargetMeal(null)}
+            >
+              <Text style={[styles.chipText, !targetMeal && styles.chipTextActive]}>Same meal</Text>
+            </TouchableOpacity>
+            {UserDataService.MEAL_TYPES.map(mealType => (
+              <TouchableOpacity
+                key={mealType}
+                style={[styles.chip, targetMeal === mealType && styles.chipActive]}
+                onPress={() => setTargetMeal(mealType)}
+              >
+                <Text style={[styles.chipText, targetMeal === mealType && styles.chipTextActive]}>
+                  {UserDataService.getMealLabel(mealType)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <ScrollView style={styles.list}>
+            {sourceDay && sourceMeals.length === 0 && (
+              <Text style={styles.emptyText}>
+                Nothing was logged on {UserDataService.formatDayLabel(sourceDate)}.
+              </Text>
+            )}
+            {sourceMeals.map(mealType => (
+              <View key={mealType} style={styles.mealCard}>
+                <View style={styles.mealInfo}>
+                  <Text style={styles.mealName}>{UserDataService.getMealLabel(mealType)}</Text>
+                  <Text style={styles.mealItems} numberOfLines={2}>
+                    {sourceDay[mealType].map(item => item.foodName).join(', ')}
+                  </Text>
+                  <Text style={styles.mealCalories}>
+                    {UserDataService.calculateFoodsNutrition(sourceDay[mealType]).calories} cal
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.copyButton}
+                  onPress={() => handleCopyMeal(mealType)}
+                  disabled={copying}
+                >
+                  <Ionicons name="copy-outline" size={18} color="white" />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+
+          {sourceMeals.length > 0 && !targetMeal && (
+            <TouchableOpacity style={styles.copyDayButton} onPress={handleCopyDay} disabled={copying}>
+              <Ionicons name="duplicate-outline" size={18} color="white" />
+              <Text style={styles.copyDayText}>
+                {copying ? 'Copying...' : `Copy Whole Day to ${isViewingToday ? 'Today' : targetLabel}`}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  dayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#E8F5E8',
+    borderRadius: 12,
+    padding: 4,
+    marginBottom: 8,
+  },
+  dayArrow: {
+    padding: 8,
+  },
+  dayLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: '#4CAF50',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#666',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 24,
+  },
+  mealCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#f8f9fa',
+    marginBottom: 8,
+  },
+  mealInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  mealName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  mealItems: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  mealCalories: {
+    fontSize: 12,
+    color: '#4CAF50',
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  copyButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#4CAF50',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  copyDayButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#4CAF50',
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginTop: 8,
+  },
+  copyDayText: {
+    color: 'white',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
+
+export default CopyMealsSheet;
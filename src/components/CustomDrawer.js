@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -11,10 +11,18 @@ import {
 import { DrawerContentScrollView, DrawerItemList } from '@react-navigation/drawer';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
+import OutboxService from '../services/outboxService';
 
 
 const CustomDrawer = (props) => {
   const { navigation } = props;
+  const [pendingCount, setPendingCount] = useState(0);
+
+  // 📤 NEW: Writes still waiting for the network
+  useEffect(() => {
+    OutboxService.getPendingCount().then(setPendingCount);
+    return OutboxService.addListener(setPendingCount);
+  }, []);
 
   const menuItems = [
     { 
@@ -41,6 +49,18 @@ const CustomDrawer = (props) => {
       icon: 'target', 
       color: '#9C27B0' 
     },
+    { 
+      name: 'MyFoods', 
+      label: 'My Foods', 
+      icon: 'book', 
+      color: '#795548' 
+    },
+    { 
+      name: 'Weight', 
+      label: 'Weight Log', 
+      icon: 'barbell', 
+      color: '#009688' 
+    },
     { 
       name: 'MainCafeteria', 
       label: 'Main Cafeteria', 
@@ -74,6 +94,17 @@ const CustomDrawer = (props) => {
           </View>
           <Text style={styles.welcomeText}>Welcome back!</Text>
           <Text style={styles.appName}>LPU Food Scanner</Text>
+          {pendingCount > 0 && (
+            <TouchableOpacity
+              style={styles.pendingBadge}
+              onPress={() => OutboxService.retryNow()}
+            >
+              <Ionicons name="cloud-upload" size={14} color="white" />
+              <Text style={styles.pendingText}>
+                {pendingCount} upload{pendingCount !== 1 ? 's' : ''} pending · tap to retry
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
       </LinearGradient>
 
@@ -138,6 +169,21 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: 'white',
   },
+  pendingBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginTop: 10,
+  },
+  pendingText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: 'white',
+    marginLeft: 6,
+  },
   menuContainer: {
     flex: 1,
     paddingTop: 20,
@@ -0,0 +1,324 @@
+// src/components/CustomFoodEditor.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Switch,
+  Modal,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import UserDataService from '../services/userDataService';
+
+const NUTRIENT_FIELDS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sugar', label: 'Sugar', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' },
+  { key: 'iron', label: 'Iron', unit: 'mg' },
+  { key: 'calcium', label: 'Calcium', unit: 'mg' },
+  { key: 'vitaminC', label: 'Vitamin C', unit: 'mg' }
+];
+
+const toDraft = (food) => ({
+  id: food?.id,
+  createdAt: food?.createdAt,
+  name: food?.name || '',
+  servingSize: food?.servingSize || '',
+  servingGrams: food?.servingGrams ? String(food.servingGrams) : '',
+  isVeg: food ? !!food.isVeg : true,
+  ingredients: (food?.ingredients || []).join(', '),
+  nutrition: NUTRIENT_FIELDS.reduce((values, { key }) => ({
+    ...values,
+    [key]: food?.nutrition?.[key] ? String(food.nutrition[key]) : ''
+  }), {})
+});
+
+// Create or edit a "My Foods" item. Nutrition is entered per serving.
+const CustomFoodEditor = ({ visible, food, onSave, onDelete, onClose }) => {
+  const [draft, setDraft] = useState(toDraft(food));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setDraft(toDraft(food));
+    }
+  }, [visible, food]);
+
+  const updateField = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateNutrient = (key, value) => {
+    setDraft(prev => ({ ...prev, nutrition: { ...prev.nutrition, [key]: value } }));
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      Alert.alert('Name Required', 'Give your food a name.');
+      return;
+    }
+
+    setSaving(true);
+    const saved = await UserDataService.saveCustomFood(draft);
+    setSaving(false);
+
+    if (saved) {
+      onSave?.(saved);
+    } else {
+      Alert.alert('Error', 'Failed to save food. Please try again.');
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Food',
+      `Remove ${food.name} from My Foods? Meals you already logged are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const success = await UserDataService.deleteCustomFood(food.id);
+            if (success) {
+              onDelete?.(food);
+            } else {
+              Alert.alert('Error', 'Failed to delete food. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{food ? 'Edit Food' : 'New Food'}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <Text style={styles.label}>Name</Text>
+            <TextInput
+              style={styles.input}
+              value={draft.name}
+              onChangeText={(text) => updateField('name', text)}
+              placeholder="e.g. Masala Maggi"
+              placeholderTextColor="#999"
+              maxLength={60}
+            />
+
+            <View style={styles.row}>
+              <View style={styles.rowWide}>
+                <Text style={styles.label}>Serving</Text>
+                <TextInput
+                  style={styles.input}
+                  value={draft.servingSize}
+                  onChangeText={(text) => updateField('servingSize', text)}
+                  placeholder="1 packet"
+                  placeholderTextColor="#999"
+                  maxLength={40}
+                />
+              </View>
+              <View style={styles.rowNarrow}>
+                <Text style={styles.label}>Weight (g)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={draft.servingGrams}
+                  onChangeText={(text) => updateField('servingGrams', text)}
+                  placeholder="Optional"
+                  placeholderTextColor="#999"
+                  keyboardType="numeric"
+                  maxLength={5}
+                />
+              </View>
+            </View>
+
+            <Text style={styles.label}>Nutrition per serving</Text>
+            <View style={styles.nutrientGrid}>
+              {NUTRIENT_FIELDS.map(({ key, label, unit }) => (
+                <View key={key} style={styles.nutrientField}>
+                  <Text style={styles.nutrientLabel}>{label} ({unit})</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={draft.nutrition[key]}
+                    onChangeText={(text) => updateNutrient(key, text)}
+                    placeholder="0"
+                    placeholderTextColor="#999"
+                    keyboardType="numeric"
+                    maxLength={6}
+                  />
+                </View>
+              ))}
+            </View>
+
+            <Text style={styles.label}>Ingredients</Text>
+            <TextInput
+              style={styles.input}
+              value={draft.ingredients}
+              onChangeText={(text) => updateField('ingredients', text)}
+              placeholder="Noodles, tastemaker, onion"
+              placeholderTextColor="#999"
+            />
+
+            <View style={styles.vegRow}>
+              <Text style={styles.vegLabel}>Vegetarian</Text>
+              <Switch
+                trackColor={{ false: '#e0e0e0', true: '#4CAF50' }}
+                thumbColor={draft.isVeg ? '#fff' : '#f4f3f4'}
+                onValueChange={(value) => updateField('isVeg', value)}
+                value={draft.isVeg}
+              />
+            </View>
+          </ScrollView>
+
+          <View style={styles.actions}>
+            {!!food && (
+              <TouchableOpacity style={[styles.actionButton, styles.deleteButton]} onPress={handleDelete}>
+                <Ionicons name="trash" size={18} color="#F44336" />
+                <Text style={styles.deleteText}>Delete</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.actionButton, styles.saveButton]}
+              onPress={handleSave}
+              disabled={saving}
+            >
+              <Ionicons name="checkmark" size={18} color="white" />
+              <Text style={styles.saveText}>{saving ? 'Saving...' : 'Save'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 6,
+    marginTop: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#333',
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  rowWide: {
+    flex: 2,
+    marginRight: 8,
+  },
+  rowNarrow: {
+    flex: 1,
+  },
+  nutrientGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  nutrientField: {
+    width: '48%',
+    marginBottom: 8,
+  },
+  nutrientLabel: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 4,
+  },
+  vegRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  vegLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginHorizontal: 6,
+  },
+  deleteButton: {
+    backgroundColor: '#FFEBEE',
+  },
+  deleteText: {
+    color: '#F44336',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  saveButton: {
+    backgroundColor: '#4CAF50',
+  },
+  saveText: {
+    color: 'white',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
+
+export default CustomFoodEditor;
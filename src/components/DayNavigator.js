@@ -0,0 +1,98 @@
+// src/components/DayNavigator.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useData } from '../context/DataContext';
+import UserDataService from '../services/userDataService';
+import CalendarPicker from './CalendarPicker';
+
+// Previous / next / calendar controls for the day selected in DataContext.
+// `light` renders white-on-transparent for use on the green headers.
+const DayNavigator = ({ light = false, style }) => {
+  const { selectedDate, isViewingToday, selectDate, goToPreviousDay, goToNextDay } = useData();
+  const [showCalendar, setShowCalendar] = useState(false);
+
+  const iconColor = light ? 'white' : '#4CAF50';
+  const disabledColor = light ? 'rgba(255, 255, 255, 0.4)' : '#ccc';
+
+  return (
+    <View style={[styles.container, light ? styles.containerLight : styles.containerCard, style]}>
+      <TouchableOpacity style={styles.arrowButton} onPress={goToPreviousDay}>
+        <Ionicons name="chevron-back" size={20} color={iconColor} />
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.dateButton} onPress={() => setShowCalendar(true)}>
+        <Ionicons name="calendar-outline" size={16} color={iconColor} />
+        <Text style={[styles.dateText, light && styles.dateTextLight]}>
+          {UserDataService.formatDayLabel(selectedDate)}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={styles.arrowButton}
+        onPress={goToNextDay}
+        disabled={isViewingToday}
+      >
+        <Ionicons name="chevron-forward" size={20} color={isViewingToday ? disabledColor : iconColor} />
+      </TouchableOpacity>
+
+      <CalendarPicker
+        visible={showCalendar}
+        selectedDate={selectedDate}
+        onSelect={selectDate}
+        onClose={() => setShowCalendar(false)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderRadius: 20,
+    paddingHorizontal: 4,
+    paddingVertical: 4,
+  },
+  containerCard: {
+    backgroundColor: 'white',
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+  },
+  containerLight: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  arrowButton: {
+    width: 36,
+    height: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dateButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 4,
+  },
+  dateText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+    marginLeft: 6,
+  },
+  dateTextLight: {
+    color: 'white',
+  },
+});
+
+export default DayNavigator;
@@ -0,0 +1,236 @@
+// src/components/FoodEntryEditor.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useData } from '../context/DataContext';
+import UserDataService from '../services/userDataService';
+import PortionSelector from './PortionSelector';
+
+const FoodEntryEditor = ({ visible, entry, mealType, onClose }) => {
+  const { updateFoodEntry, deleteFoodEntry, toggleFavoriteFood } = useData();
+  const [quantity, setQuantity] = useState(1);
+  const [selectedMeal, setSelectedMeal] = useState(mealType);
+  const [saving, setSaving] = useState(false);
+  const [isFavorite, setIsFavorite] = useState(false);
+
+  useEffect(() => {
+    if (entry) {
+      setQuantity(entry.quantity || 1);
+      setSelectedMeal(mealType);
+      UserDataService.isFavoriteFood(entry).then(setIsFavorite);
+    }
+  }, [entry, mealType]);
+
+  if (!entry) return null;
+
+  const baseNutrition = UserDataService.getBaseNutrition(entry);
+
+  const handleSave = async () => {
+    setSaving(true);
+    const success = await updateFoodEntry(entry.id, {
+      quantity,
+      mealType: selectedMeal !== mealType ? selectedMeal : undefined
+    });
+    setSaving(false);
+
+    if (success) {
+      onClose();
+    } else {
+      Alert.alert('Error', 'Failed to update entry. Please try again.');
+    }
+  };
+
+  const handleToggleFavorite = async () => {
+    const starred = await toggleFavoriteFood(entry);
+    if (starred === null) {
+      Alert.alert('Error', 'Failed to update favourites. Please try again.');
+    } else {
+      setIsFavorite(starred);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Entry',
+      `Remove ${entry.foodName} from your ${UserDataService.getMealLabel(mealType).toLowerCase()}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const success = await deleteFoodEntry(entry.id);
+            if (success) {
+              onClose();
+            } else {
+              Alert.alert('Error', 'Failed to delete entry. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title} numberOfLines={2}>{entry.foodName}</Text>
+            <TouchableOpacity style={styles.favoriteButton} onPress={handleToggleFavorite}>
+              <Ionicons name={isFavorite ? 'star' : 'star-outline'} size={22} color={isFavorite ? '#FFC107' : '#999'} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          {/* Quantity */}
+          <Text style={styles.label}>Quantity</Text>
+          <PortionSelector
+            baseServing={UserDataService.getBaseServing(entry)}
+            baseCalories={baseNutrition.calories || 0}
+            quantity={quantity}
+            onChange={setQuantity}
+          />
+
+          {/* Meal */}
+          <Text style={styles.label}>Meal</Text>
+          <View style={styles.mealRow}>
+            {UserDataService.MEAL_TYPES.map(meal => (
+              <TouchableOpacity
+                key={meal}
+                style={[styles.mealChip, selectedMeal === meal && styles.mealChipActive]}
+                onPress={() => setSelectedMeal(meal)}
+              >
+                <Text style={[styles.mealChipText, selectedMeal === meal && styles.mealChipTextActive]}>
+                  {UserDataService.getMealLabel(meal)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Actions */}
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.actionButton, styles.deleteButton]} onPress={handleDelete}>
+              <Ionicons name="trash" size={18} color="#F44336" />
+              <Text style={styles.deleteText}>Delete</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.saveButton]}
+              onPress={handleSave}
+              disabled={saving}
+            >
+              <Ionicons name="checkmark" size={18} color="white" />
+              <Text style={styles.saveText}>{saving ? 'Saving...' : 'Save'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 16,
+  },
+  title: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginRight: 12,
+  },
+  favoriteButton: {
+    marginRight: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  mealRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 24,
+  },
+  mealChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  mealChipActive: {
+    backgroundColor: '#4CAF50',
+  },
+  mealChipText: {
+    fontSize: 13,
+    color: '#666',
+    fontWeight: '500',
+  },
+  mealChipTextActive: {
+    color: 'white',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginHorizontal: 6,
+  },
+  deleteButton: {
+    backgroundColor: '#FFEBEE',
+  },
+  deleteText: {
+    color: '#F44336',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  saveButton: {
+    backgroundColor: '#4CAF50',
+  },
+  saveText: {
+    color: 'white',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
+
+export default FoodEntryEditor;
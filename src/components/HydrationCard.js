@@ -0,0 +1,132 @@
+// src/components/HydrationCard.js
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useData } from '../context/DataContext';
+import UserDataService from '../services/userDataService';
+
+// Water for the selected day with one-glass +/- controls
+const HydrationCard = () => {
+  const { dailyStats, userGoals, addWater } = useData();
+  const { unit, glassSizeMl } = UserDataService.getWaterSettings();
+
+  const waterMl = dailyStats?.waterMl || 0;
+  const goalMl = userGoals?.waterMl || UserDataService.DEFAULT_GOALS.waterMl;
+  const progress = goalMl > 0 ? Math.min(waterMl / goalMl * 100, 100) : 0;
+  const stepLabel = unit === 'ml' ? `${glassSizeMl} ml` : '1 glass';
+
+  const handleChange = async (deltaMl) => {
+    const success = await addWater(deltaMl);
+    if (!success) {
+      Alert.alert('Error', 'Failed to update water intake. Please try again.');
+    }
+  };
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.iconContainer}>
+        <Ionicons name="water" size={24} color="#2196F3" />
+      </View>
+
+      <View style={styles.info}>
+        <Text style={styles.amount}>
+          {UserDataService.formatWater(waterMl)}
+          <Text style={styles.goal}> / {UserDataService.formatWater(goalMl)}</Text>
+        </Text>
+        <View style={styles.progressBar}>
+          <View style={[styles.progressFill, { width: `${progress}%` }]} />
+        </View>
+        <Text style={styles.stepText}>Tap + for {stepLabel}</Text>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.button, styles.removeButton]}
+        onPress={() => handleChange(-glassSizeMl)}
+        disabled={waterMl <= 0}
+      >
+        <Ionicons name="remove" size={20} color={waterMl <= 0 ? '#ccc' : '#2196F3'} />
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.button} onPress={() => handleChange(glassSizeMl)}>
+        <Ionicons name="add" size={20} color="white" />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  iconContainer: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#E3F2FD',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  info: {
+    flex: 1,
+    marginRight: 8,
+  },
+  amount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  goal: {
+    fontSize: 13,
+    fontWeight: 'normal',
+    color: '#666',
+  },
+  progressBar: {
+    height: 6,
+    backgroundColor: '#E3F2FD',
+    borderRadius: 3,
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#2196F3',
+    borderRadius: 3,
+  },
+  stepText: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 4,
+  },
+  button: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  removeButton: {
+    backgroundColor: '#E3F2FD',
+  },
+});
+
+export default HydrationCard;
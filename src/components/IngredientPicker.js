@@ -0,0 +1,227 @@
+// src/components/IngredientPicker.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  FlatList,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import UserDataService from '../services/userDataService';
+import { searchNutrientTable } from '../data/nutrientTable';
+import { getAllFoodItems } from '../data/lpuMenuData';
+
+const SOURCES = [
+  { key: 'table', label: 'Basics' },
+  { key: 'custom', label: 'My Foods' },
+  { key: 'menu', label: 'Menu' }
+];
+
+// Finds a recipe ingredient in the nutrient table, My Foods or the campus menus.
+// Also used to add items the scanner missed.
+const IngredientPicker = ({ visible, onSelect, onClose, title = 'Add Ingredient' }) => {
+  const [source, setSource] = useState('table');
+  const [query, setQuery] = useState('');
+  const [customFoods, setCustomFoods] = useState([]);
+
+  useEffect(() => {
+    if (visible) {
+      setQuery('');
+      UserDataService.getCustomFoods().then(setCustomFoods);
+    }
+  }, [visible]);
+
+  const getItems = () => {
+    const term = query.trim().toLowerCase();
+    switch (source) {
+      case 'custom':
+        return UserDataService.filterCustomFoods(customFoods, query);
+      case 'menu':
+        return getAllFoodItems().filter(item => !term || item.name.toLowerCase().includes(term));
+      default:
+        return searchNutrientTable(query);
+    }
+  };
+
+  const getItemDetail = (item) => {
+    const calories = Math.round(item.nutrition?.calories || 0);
+    switch (source) {
+      case 'custom':
+        return `${calories} cal per ${item.servingSize}`;
+      case 'menu':
+        return `${calories} cal per serving · ${item.courtName}`;
+      default:
+        return `${calories} cal per 100g`;
+    }
+  };
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.itemRow}
+      onPress={() => onSelect(UserDataService.createRecipeIngredient(source, item))}
+    >
+      <View style={styles.itemInfo}>
+        <Text style={styles.itemName} numberOfLines={1}>{item.name}</Text>
+        <Text style={styles.itemDetail} numberOfLines={1}>{getItemDetail(item)}</Text>
+      </View>
+      <Ionicons name="add-circle" size={24} color="#4CAF50" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{title}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.tabs}>
+            {SOURCES.map(tab => (
+              <TouchableOpacity
+                key={tab.key}
+                style={[styles.tab, source === tab.key && styles.tabActive]}
+                onPress={() => setSource(tab.key)}
+              >
+                <Text style={[styles.tabText, source === tab.key && styles.tabTextActive]}>{tab.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.searchContainer}>
+            <Ionicons name="search" size={18} color="#666" />
+            <TextInput
+              style={styles.searchInput}
+              value={query}
+              onChangeText={setQuery}
+              placeholder="Search ingredients..."
+              placeholderTextColor="#999"
+            />
+          </View>
+
+          <FlatList
+            data={getItems()}
+            renderItem={renderItem}
+            keyExtractor={(item) => String(item.id)}
+            style={styles.list}
+            keyboardShouldPersistTaps="handled"
+            ListEmptyComponent={
+              <Text style={styles.emptyText}>
+                {source === 'custom' && customFoods.length === 0 ? 'No foods in My Foods yet' : 'Nothing found'}
+              </Text>
+            }
+          />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+    height: '80%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  tabs: {
+    flexDirection: 'row',
+    backgroundColor: '#f0f0f0',
+    borderRadius: 12,
+    padding: 4,
+    marginBottom: 12,
+  },
+  tab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 10,
+  },
+  tabActive: {
+    backgroundColor: 'white',
+  },
+  tabText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+  },
+  tabTextActive: {
+    color: '#4CAF50',
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 8,
+    marginLeft: 8,
+    fontSize: 15,
+    color: '#333',
+  },
+  list: {
+    flex: 1,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  itemInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  itemName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  itemDetail: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: 24,
+  },
+});
+
+export default IngredientPicker;
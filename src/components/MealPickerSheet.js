@@ -0,0 +1,177 @@
+// src/components/MealPickerSheet.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import UserDataService from '../services/userDataService';
+import PortionSelector from './PortionSelector';
+
+const MEAL_ICONS = {
+  breakfast: { name: 'sunny', color: '#FF9800' },
+  lunch: { name: 'restaurant', color: '#4CAF50' },
+  snacks: { name: 'cafe', color: '#9C27B0' },
+  dinner: { name: 'moon', color: '#2196F3' }
+};
+
+// Asks which meal a food belongs to, with the meal-window guess pre-selected.
+// Passing `food` adds a portion step; onSelect then receives the quantity too.
+const MealPickerSheet = ({ visible, food, foodName, suggestedMeal, onSelect, onClose }) => {
+  const [quantity, setQuantity] = useState(1);
+  const suggestion = suggestedMeal || UserDataService.getMealTimeFromHour();
+
+  useEffect(() => {
+    if (visible) {
+      setQuantity(1);
+    }
+  }, [visible]);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <View style={styles.headerText}>
+              <Text style={styles.title}>Add to which meal?</Text>
+              {!!(foodName || food?.foodName) && (
+                <Text style={styles.subtitle} numberOfLines={1}>{foodName || food.foodName}</Text>
+              )}
+            </View>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          {!!food && (
+            <PortionSelector
+              baseServing={UserDataService.getBaseServing(food)}
+              baseCalories={UserDataService.getBaseNutrition(food).calories || 0}
+              quantity={quantity}
+              onChange={setQuantity}
+            />
+          )}
+
+          {UserDataService.MEAL_TYPES.map(mealType => {
+            const icon = MEAL_ICONS[mealType] || { name: 'restaurant-outline', color: '#666' };
+            const isSuggested = mealType === suggestion;
+            return (
+              <TouchableOpacity
+                key={mealType}
+                style={[styles.option, isSuggested && styles.optionSuggested]}
+                onPress={() => onSelect(mealType, quantity)}
+              >
+                <View style={styles.optionIcon}>
+                  <Ionicons name={icon.name} size={20} color={icon.color} />
+                </View>
+                <View style={styles.optionContent}>
+                  <Text style={styles.optionTitle}>{UserDataService.getMealLabel(mealType)}</Text>
+                  {!!UserDataService.getMealWindows()[mealType] && (
+                    <Text style={styles.optionTime}>{UserDataService.formatMealWindow(mealType)}</Text>
+                  )}
+                </View>
+                {isSuggested && (
+                  <View style={styles.suggestedBadge}>
+                    <Text style={styles.suggestedText}>Suggested</Text>
+                  </View>
+                )}
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 16,
+  },
+  headerText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#f8f9fa',
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  optionSuggested: {
+    backgroundColor: '#E8F5E8',
+    borderColor: '#4CAF50',
+  },
+  optionIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: 'white',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  optionContent: {
+    flex: 1,
+  },
+  optionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  optionTime: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  suggestedBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 10,
+    backgroundColor: '#4CAF50',
+  },
+  suggestedText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: 'white',
+  },
+});
+
+export default MealPickerSheet;
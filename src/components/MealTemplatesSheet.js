@@ -0,0 +1,252 @@
+// src/components/MealTemplatesSheet.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useData } from '../context/DataContext';
+import UserDataService from '../services/userDataService';
+
+// Saved meals, each logged into the chosen meal of the selected day with one tap
+const MealTemplatesSheet = ({ visible, onClose }) => {
+  const { logMealTemplate, selectedDate, isViewingToday } = useData();
+  const [templates, setTemplates] = useState([]);
+  const [targetMeal, setTargetMeal] = useState(UserDataService.getMealTimeFromHour());
+  const [loggingId, setLoggingId] = useState(null);
+
+  const loadTemplates = async () => {
+    setTemplates(await UserDataService.getMealTemplates());
+  };
+
+  useEffect(() => {
+    if (visible) {
+      setTargetMeal(UserDataService.getMealTimeFromHour());
+      loadTemplates();
+    }
+  }, [visible]);
+
+  const handleLog = async (template) => {
+    setLoggingId(template.id);
+    const success = await logMealTemplate(template.id, targetMeal);
+    setLoggingId(null);
+
+    if (!success) {
+      Alert.alert('Error', 'Failed to log meal. Please try again.');
+      return;
+    }
+    const mealLabel = UserDataService.getMealLabel(targetMeal).toLowerCase();
+    Alert.alert(
+      'Added to Meal! 🍽️',
+      isViewingToday ?
+        `${template.name} added to your ${mealLabel}.` :
+        `${template.name} added to your ${mealLabel} on ${UserDataService.formatDayLabel(selectedDate)}.`
+    );
+    onClose();
+  };
+
+  const handleDelete = (template) => {
+    Alert.alert(
+      'Delete Saved Meal',
+      `Delete "${template.name}"? Meals you already logged are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await UserDataService.deleteMealTemplate(template.id);
+            loadTemplates();
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Saved Meals</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.label}>Log into</Text>
+          <View style={styles.mealRow}>
+            {UserDataService.MEAL_TYPES.map(mealType => (
+              <TouchableOpacity
+                key={mealType}
+                style={[styles.mealChip, targetMeal === mealType && styles.mealChipActive]}
+                onPress={() => setTargetMeal(mealType)}
+              >
+                <Text style={[styles.mealChipText, targetMeal === mealType && styles.mealChipTextActive]}>
+                  {UserDataService.getMealLabel(mealType)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <ScrollView style={styles.list}>
+            {templates.length === 0 && (
+              <View style={styles.emptyContainer}>
+                <Ionicons name="bookmark-outline" size={40} color="#ccc" />
+                <Text style={styles.emptyText}>
+                  Save a meal from Home with the bookmark icon, or select items on a food court menu.
+                </Text>
+              </View>
+            )}
+            {templates.map(template => (
+              <View key={template.id} style={styles.templateCard}>
+                <View style={styles.templateInfo}>
+                  <Text style={styles.templateName} numberOfLines={1}>{template.name}</Text>
+                  <Text style={styles.templateItems} numberOfLines={1}>
+                    {template.items.map(item => item.foodName).join(', ')}
+                  </Text>
+                  <Text style={styles.templateNutrition}>
+                    {template.nutrition.calories} cal · {template.nutrition.protein}g protein · {template.nutrition.carbs}g carbs · {template.nutrition.fat}g fat
+                  </Text>
+                </View>
+                <TouchableOpacity style={styles.deleteButton} onPress={() => handleDelete(template)}>
+                  <Ionicons name="trash-outline" size={18} color="#999" />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.logButton}
+                  onPress={() => handleLog(template)}
+                  disabled={!!loggingId}
+                >
+                  <Ionicons name={loggingId === template.id ? 'hourglass' : 'add'} size={20} color="white" />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+    maxHeight: '80%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  mealRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  mealChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  mealChipActive: {
+    backgroundColor: '#4CAF50',
+  },
+  mealChipText: {
+    fontSize: 13,
+    color: '#666',
+    fontWeight: '500',
+  },
+  mealChipTextActive: {
+    color: 'white',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: 24,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 8,
+    paddingHorizontal: 20,
+  },
+  templateCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#f8f9fa',
+    marginBottom: 8,
+  },
+  templateInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  templateName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  templateItems: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  templateNutrition: {
+    fontSize: 12,
+    color: '#4CAF50',
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  deleteButton: {
+    padding: 6,
+    marginRight: 4,
+  },
+  logButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#4CAF50',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default MealTemplatesSheet;
@@ -0,0 +1,231 @@
+// src/components/MealTypesEditor.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Modal,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import UserDataService from '../services/userDataService';
+
+// Add, reorder and remove meal slots. Changes are saved straight away and
+// reported through onChange so the caller can reload data and reminders.
+const MealTypesEditor = ({ visible, onChange, onClose }) => {
+  const [mealTypes, setMealTypes] = useState(UserDataService.getMealTypes());
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setMealTypes(UserDataService.getMealTypes());
+      setNewName('');
+    }
+  }, [visible]);
+
+  const applyChange = (savedList) => {
+    if (!savedList) {
+      Alert.alert('Error', 'Failed to save meal types. Please try again.');
+      return;
+    }
+    setMealTypes(savedList);
+    onChange?.(savedList);
+  };
+
+  const handleAdd = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    if (mealTypes.some(mealType => mealType.name.toLowerCase() === name.toLowerCase())) {
+      Alert.alert('Already Added', `"${name}" is already one of your meals.`);
+      return;
+    }
+    applyChange(await UserDataService.addMealType(name));
+    setNewName('');
+  };
+
+  const handleMove = async (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= mealTypes.length) return;
+    const reordered = [...mealTypes];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    applyChange(await UserDataService.saveMealTypes(reordered));
+  };
+
+  const handleRemove = (mealType) => {
+    Alert.alert(
+      'Remove Meal',
+      `Remove "${mealType.name}" from your meals?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            const { removed, entryCount } = await UserDataService.removeMealType(mealType.id);
+            if (removed) {
+              applyChange(UserDataService.getMealTypes());
+            } else if (entryCount > 0) {
+              Alert.alert(
+                'Meal In Use',
+                `${mealType.name} has ${entryCount} logged item${entryCount !== 1 ? 's' : ''}. Move or delete them first.`
+              );
+            } else {
+              Alert.alert('Error', 'You need at least one meal type.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Meal Types</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.list}>
+            {mealTypes.map((mealType, index) => (
+              <View key={mealType.id} style={styles.row}>
+                <Text style={styles.rowName} numberOfLines={1}>{mealType.name}</Text>
+                <TouchableOpacity
+                  style={styles.rowButton}
+                  onPress={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                >
+                  <Ionicons name="chevron-up" size={18} color={index === 0 ? '#ccc' : '#666'} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.rowButton}
+                  onPress={() => handleMove(index, 1)}
+                  disabled={index === mealTypes.length - 1}
+                >
+                  <Ionicons name="chevron-down" size={18} color={index === mealTypes.length - 1 ? '#ccc' : '#666'} />
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.rowButton} onPress={() => handleRemove(mealType)}>
+                  <Ionicons name="trash-outline" size={18} color="#F44336" />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.addRow}>
+            <TextInput
+              style={styles.input}
+              value={newName}
+              onChangeText={setNewName}
+              placeholder="e.g. Pre-workout"
+              placeholderTextColor="#999"
+              maxLength={24}
+              onSubmitEditing={handleAdd}
+              returnKeyType="done"
+            />
+            <TouchableOpacity
+              style={[styles.addButton, !newName.trim() && styles.addButtonDisabled]}
+              onPress={handleAdd}
+              disabled={!newName.trim()}
+            >
+              <Ionicons name="add" size={20} color="white" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.hint}>Set when new meals happen under Meal Times.</Text>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  list: {
+    maxHeight: 320,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  rowName: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+  },
+  rowButton: {
+    width: 32,
+    height: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#333',
+    marginRight: 8,
+  },
+  addButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#4CAF50',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+});
+
+export default MealTypesEditor;
@@ -0,0 +1,231 @@
+// src/components/MealWindowsEditor.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import UserDataService from '../services/userDataService';
+
+// Edits the start/end hour of each meal window. Start always stays before end.
+// Custom meal types may have no window, in which case they are never suggested.
+const MealWindowsEditor = ({ visible, windows, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => UserDataService.normalizeMealWindows(windows));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setDraft(UserDataService.normalizeMealWindows(windows));
+    }
+  }, [visible, windows]);
+
+  const changeHour = (mealType, bound, delta) => {
+    setDraft(prev => {
+      const window = { ...prev[mealType], [bound]: prev[mealType][bound] + delta };
+      if (window.start < 0 || window.end > 24 || window.start >= window.end) return prev;
+      return { ...prev, [mealType]: window };
+    });
+  };
+
+  const setWindow = (mealType, window) => {
+    setDraft(prev => {
+      const next = { ...prev };
+      if (window) {
+        next[mealType] = window;
+      } else {
+        delete next[mealType];
+      }
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    await onSave(draft);
+    setSaving(false);
+  };
+
+  const renderStepper = (mealType, bound) => (
+    <View style={styles.stepper}>
+      <TouchableOpacity style={styles.stepButton} onPress={() => changeHour(mealType, bound, -1)}>
+        <Ionicons name="remove" size={14} color="#4CAF50" />
+      </TouchableOpacity>
+      <Text style={styles.stepValue}>{UserDataService.formatHour(draft[mealType][bound])}</Text>
+      <TouchableOpacity style={styles.stepButton} onPress={() => changeHour(mealType, bound, 1)}>
+        <Ionicons name="add" size={14} color="#4CAF50" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Meal Times</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.description}>
+            Used to suggest a meal when you add food and to remind you about missed meals.
+          </Text>
+
+          {UserDataService.MEAL_TYPES.map(mealType => (
+            <View key={mealType} style={styles.mealRow}>
+              <Text style={styles.mealName} numberOfLines={1}>{UserDataService.getMealLabel(mealType)}</Text>
+              {draft[mealType] ? (
+                <>
+                  {renderStepper(mealType, 'start')}
+                  <Text style={styles.separator}>to</Text>
+                  {renderStepper(mealType, 'end')}
+                  {!UserDataService.DEFAULT_MEAL_WINDOWS[mealType] && (
+                    <TouchableOpacity style={styles.clearButton} onPress={() => setWindow(mealType, null)}>
+                      <Ionicons name="close-circle" size={18} color="#999" />
+                    </TouchableOpacity>
+                  )}
+                </>
+              ) : (
+                <TouchableOpacity style={styles.setTimeButton} onPress={() => setWindow(mealType, { start: 12, end: 13 })}>
+                  <Text style={styles.setTimeText}>No set time · Set</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.resetButton]}
+              onPress={() => setDraft(UserDataService.normalizeMealWindows())}
+            >
+              <Text style={styles.resetText}>Reset</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.saveButton]}
+              onPress={handleSave}
+              disabled={saving}
+            >
+              <Text style={styles.saveText}>{saving ? 'Saving...' : 'Save'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  description: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 16,
+  },
+  mealRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  mealName: {
+    width: 80,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  stepper: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  stepButton: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    backgroundColor: '#E8F5E8',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepValue: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#333',
+    textAlign: 'center',
+    minWidth: 44,
+  },
+  clearButton: {
+    marginLeft: 6,
+  },
+  setTimeButton: {
+    flex: 1,
+    paddingVertical: 6,
+  },
+  setTimeText: {
+    fontSize: 13,
+    color: '#4CAF50',
+    fontWeight: '600',
+  },
+  separator: {
+    fontSize: 12,
+    color: '#999',
+    marginHorizontal: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 20,
+  },
+  actionButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginHorizontal: 6,
+  },
+  resetButton: {
+    backgroundColor: '#f0f0f0',
+  },
+  resetText: {
+    color: '#666',
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: '#4CAF50',
+  },
+  saveText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+});
+
+export default MealWindowsEditor;
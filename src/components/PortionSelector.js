@@ -0,0 +1,182 @@
+// src/components/PortionSelector.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const QUANTITY_STEP = 0.5;
+const PRESETS = [0.5, 1, 1.5, 2];
+
+// Picks how many base servings to log. Foods whose serving has a known weight
+// (packaged foods are per 100g) can also be entered in grams.
+const PortionSelector = ({ baseServing, baseCalories = 0, quantity, onChange }) => {
+  const baseGrams = baseServing?.grams || null;
+  const [gramsText, setGramsText] = useState('');
+  const typedQuantity = useRef(null);
+
+  // Typed grams stay as typed; only the stepper and presets rewrite them
+  useEffect(() => {
+    if (baseGrams && quantity !== typedQuantity.current) {
+      setGramsText(String(Math.round(baseGrams * quantity)));
+    }
+  }, [baseGrams, quantity]);
+
+  const pickQuantity = (value) => {
+    typedQuantity.current = null;
+    onChange(value);
+  };
+
+  const changeQuantity = (delta) => {
+    pickQuantity(Math.max(QUANTITY_STEP, Math.round((quantity + delta) * 10) / 10));
+  };
+
+  const handleGramsChange = (text) => {
+    setGramsText(text);
+    const nextQuantity = Math.round(parseFloat(text) / baseGrams * 100) / 100;
+    // Too little to be a portion: keep the last quantity until the text makes sense
+    if (nextQuantity > 0) {
+      typedQuantity.current = nextQuantity;
+      onChange(nextQuantity);
+    }
+  };
+
+  const handleGramsBlur = () => {
+    typedQuantity.current = null;
+    setGramsText(String(Math.round(baseGrams * quantity)));
+  };
+
+  return (
+    <View>
+      <Text style={styles.servingText} numberOfLines={1}>
+        Serving: {baseServing?.label || '1 serving'}
+      </Text>
+
+      <View style={styles.presetRow}>
+        {PRESETS.map(preset => (
+          <TouchableOpacity
+            key={preset}
+            style={[styles.presetChip, quantity === preset && styles.presetChipActive]}
+            onPress={() => pickQuantity(preset)}
+          >
+            <Text style={[styles.presetText, quantity === preset && styles.presetTextActive]}>
+              {preset}×
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.quantityRow}>
+        <TouchableOpacity style={styles.stepButton} onPress={() => changeQuantity(-QUANTITY_STEP)}>
+          <Ionicons name="remove" size={20} color="#4CAF50" />
+        </TouchableOpacity>
+        <Text style={styles.quantityValue}>{quantity}×</Text>
+        <TouchableOpacity style={styles.stepButton} onPress={() => changeQuantity(QUANTITY_STEP)}>
+          <Ionicons name="add" size={20} color="#4CAF50" />
+        </TouchableOpacity>
+
+        {!!baseGrams && (
+          <View style={styles.gramsBox}>
+            <TextInput
+              style={styles.gramsInput}
+              value={gramsText}
+              onChangeText={handleGramsChange}
+              onBlur={handleGramsBlur}
+              keyboardType="numeric"
+              maxLength={5}
+              selectTextOnFocus
+            />
+            <Text style={styles.gramsUnit}>g</Text>
+          </View>
+        )}
+
+        <Text style={styles.caloriesPreview}>{Math.round(baseCalories * quantity)} cal</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  servingText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  presetRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  presetChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+  },
+  presetChipActive: {
+    backgroundColor: '#4CAF50',
+  },
+  presetText: {
+    fontSize: 13,
+    color: '#666',
+    fontWeight: '500',
+  },
+  presetTextActive: {
+    color: 'white',
+  },
+  quantityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  stepButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#E8F5E8',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  quantityValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginHorizontal: 16,
+    minWidth: 48,
+    textAlign: 'center',
+  },
+  gramsBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    marginLeft: 12,
+  },
+  gramsInput: {
+    minWidth: 44,
+    paddingVertical: 6,
+    fontSize: 15,
+    color: '#333',
+    textAlign: 'right',
+  },
+  gramsUnit: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 2,
+  },
+  caloriesPreview: {
+    flex: 1,
+    textAlign: 'right',
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#4CAF50',
+  },
+});
+
+export default PortionSelector;
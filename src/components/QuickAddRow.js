@@ -0,0 +1,166 @@
+// src/components/QuickAddRow.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useData } from '../context/DataContext';
+import UserDataService from '../services/userDataService';
+import MealPickerSheet from './MealPickerSheet';
+
+// Starred and frequently logged foods. A tap logs the food again at the
+// portion it was last logged with, into the meal the clock suggests; a long
+// press asks for the meal and portion first. `dark` suits the camera overlay.
+const QuickAddRow = ({ dark = false }) => {
+  const { quickAddFoods, addFoodToMeal, toggleFavoriteFood, selectedDate, isViewingToday } = useData();
+  const [pendingFood, setPendingFood] = useState(null);
+
+  if (!quickAddFoods || quickAddFoods.length === 0) return null;
+
+  const logFood = async (food, mealType, quantity) => {
+    const success = await addFoodToMeal(UserDataService.applyPortion(food, quantity), mealType);
+    if (!success) {
+      Alert.alert('Error', 'Failed to add to meal. Please try again.');
+      return;
+    }
+
+    const mealLabel = UserDataService.getMealLabel(mealType).toLowerCase();
+    Alert.alert(
+      'Added to Meal! 🍽️',
+      isViewingToday ?
+        `${food.foodName} added to your ${mealLabel}.` :
+        `${food.foodName} added to your ${mealLabel} on ${UserDataService.formatDayLabel(selectedDate)}.`
+    );
+  };
+
+  const handleMealSelected = (mealType, quantity) => {
+    const food = pendingFood;
+    setPendingFood(null);
+    if (food) {
+      logFood(food, mealType, quantity);
+    }
+  };
+
+  const handleToggleFavorite = async (food) => {
+    const isFavorite = await toggleFavoriteFood(food);
+    if (isFavorite === null) {
+      Alert.alert('Error', 'Failed to update favourites. Please try again.');
+    }
+  };
+
+  return (
+    <>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.row}>
+        {quickAddFoods.map(({ key, food, count, isFavorite }) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.chip, dark && styles.chipDark]}
+            onPress={() => logFood(food, UserDataService.getMealTimeFromHour(), food.quantity || 1)}
+            onLongPress={() => setPendingFood(food)}
+          >
+            <View style={styles.chipHeader}>
+              <Text style={[styles.chipName, dark && styles.chipTextDark]} numberOfLines={2}>
+                {food.foodName}
+              </Text>
+              <TouchableOpacity
+                onPress={() => handleToggleFavorite(food)}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Ionicons
+                  name={isFavorite ? 'star' : 'star-outline'}
+                  size={16}
+                  color={isFavorite ? '#FFC107' : dark ? 'rgba(255,255,255,0.7)' : '#bbb'}
+                />
+              </TouchableOpacity>
+            </View>
+            <Text style={[styles.chipCalories, dark && styles.chipTextDark]}>
+              {food.nutrition?.calories || 0} cal
+            </Text>
+            <View style={styles.chipFooter}>
+              {count > 0 ? (
+                <Text style={[styles.chipCount, dark && styles.chipSubtextDark]}>{count}× logged</Text>
+              ) : (
+                <View />
+              )}
+              <Ionicons name="add-circle" size={20} color="#4CAF50" />
+            </View>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <MealPickerSheet
+        visible={!!pendingFood}
+        food={pendingFood}
+        onSelect={handleMealSelected}
+        onClose={() => setPendingFood(null)}
+      />
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    paddingRight: 8,
+  },
+  chip: {
+    width: 140,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 12,
+    marginRight: 12,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  chipDark: {
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    elevation: 0,
+    shadowOpacity: 0,
+  },
+  chipHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    justifyContent: 'space-between',
+  },
+  chipName: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginRight: 6,
+  },
+  chipTextDark: {
+    color: 'white',
+  },
+  chipCalories: {
+    fontSize: 13,
+    color: '#4CAF50',
+    fontWeight: 'bold',
+    marginTop: 6,
+  },
+  chipFooter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  chipCount: {
+    fontSize: 11,
+    color: '#999',
+  },
+  chipSubtextDark: {
+    color: 'rgba(255,255,255,0.7)',
+  },
+});
+
+export default QuickAddRow;
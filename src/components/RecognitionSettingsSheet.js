@@ -0,0 +1,297 @@
+// src/components/RecognitionSettingsSheet.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Switch,
+  Modal,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import FoodRecognitionService from '../services/foodRecognition';
+import { RECOGNITION_PROVIDERS, getRecognitionProvider } from '../services/recognitionProviders';
+
+const PROVIDER_ICONS = {
+  gemini: 'sparkles',
+  openai: 'cloud',
+  stub: 'flask',
+};
+
+// Which AI service analyzes photos, and the models to try in order
+const RecognitionSettingsSheet = ({ visible, onClose }) => {
+  const [providerId, setProviderId] = useState('gemini');
+  const [modelsText, setModelsText] = useState({});
+  const [baseUrl, setBaseUrl] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [fallback, setFallback] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    FoodRecognitionService.getSettings().then(stored => {
+      const text = {};
+      Object.keys(stored.models).forEach(id => {
+        text[id] = stored.models[id].join(', ');
+      });
+      setProviderId(stored.provider);
+      setModelsText(text);
+      setBaseUrl(stored.openai.baseUrl || '');
+      setApiKey(stored.openai.apiKey || '');
+      setFallback(!!stored.fallbackToOtherProviders);
+    });
+  }, [visible]);
+
+  const handleSave = async () => {
+    const models = {};
+    Object.keys(modelsText).forEach(id => {
+      models[id] = modelsText[id].split(',').map(model => model.trim()).filter(Boolean);
+    });
+
+    if (!models[providerId]?.length) {
+      Alert.alert('Model Required', 'Enter at least one model name for this provider.');
+      return;
+    }
+    if (providerId === 'openai' && !baseUrl.trim()) {
+      Alert.alert('Endpoint Required', 'Enter the base URL of the OpenAI-compatible server.');
+      return;
+    }
+
+    const saved = await FoodRecognitionService.saveSettings({
+      provider: providerId,
+      fallbackToOtherProviders: fallback,
+      models,
+      openai: { baseUrl: baseUrl.trim(), apiKey: apiKey.trim() }
+    });
+    if (saved) {
+      onClose();
+    } else {
+      Alert.alert('Error', 'Failed to save recognition settings');
+    }
+  };
+
+  const selected = getRecognitionProvider(providerId);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Food Recognition</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <Text style={styles.label}>Provider</Text>
+            {RECOGNITION_PROVIDERS.map(provider => {
+              const active = provider.id === providerId;
+              return (
+                <TouchableOpacity
+                  key={provider.id}
+                  style={[styles.providerRow, active && styles.providerRowActive]}
+                  onPress={() => setProviderId(provider.id)}
+                >
+                  <Ionicons
+                    name={PROVIDER_ICONS[provider.id] || 'hardware-chip'}
+                    size={20}
+                    color={active ? '#4CAF50' : '#666'}
+                  />
+                  <View style={styles.providerText}>
+                    <Text style={[styles.providerName, active && styles.providerNameActive]}>
+                      {provider.label}
+                    </Text>
+                    <Text style={styles.providerDescription}>{provider.description}</Text>
+                  </View>
+                  {active && <Ionicons name="checkmark-circle" size={20} color="#4CAF50" />}
+                </TouchableOpacity>
+              );
+            })}
+
+            {providerId === 'openai' && (
+              <>
+                <Text style={styles.label}>Base URL</Text>
+                <TextInput
+                  style={styles.input}
+                  value={baseUrl}
+                  onChangeText={setBaseUrl}
+                  placeholder="https://api.openai.com/v1"
+                  placeholderTextColor="#999"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  keyboardType="url"
+                />
+
+                <Text style={styles.label}>API key (optional)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={apiKey}
+                  onChangeText={setApiKey}
+                  placeholder="Leave empty for local servers"
+                  placeholderTextColor="#999"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  secureTextEntry
+                />
+              </>
+            )}
+
+            {providerId !== 'stub' && (
+              <>
+                <Text style={styles.label}>Models, tried in order</Text>
+                <TextInput
+                  style={styles.input}
+                  value={modelsText[providerId] || ''}
+                  onChangeText={(text) => setModelsText(prev => ({ ...prev, [providerId]: text }))}
+                  placeholder={selected?.DEFAULT_MODELS.join(', ')}
+                  placeholderTextColor="#999"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+              </>
+            )}
+
+            {providerId === 'stub' ? (
+              <Text style={styles.note}>
+                Every scan returns the same sample meal. Use it to try the scan flow without a network or API key.
+              </Text>
+            ) : (
+              <View style={styles.switchRow}>
+                <View style={styles.switchText}>
+                  <Text style={styles.switchTitle}>Fall back to other providers</Text>
+                  <Text style={styles.switchDescription}>When every model above fails, e.g. out of quota</Text>
+                </View>
+                <Switch
+                  trackColor={{ false: '#e0e0e0', true: '#4CAF50' }}
+                  thumbColor="#fff"
+                  value={fallback}
+                  onValueChange={setFallback}
+                />
+              </View>
+            )}
+
+            <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+              <Text style={styles.saveText}>Save</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  providerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#f0f0f0',
+    marginBottom: 8,
+  },
+  providerRowActive: {
+    backgroundColor: '#E8F5E8',
+  },
+  providerText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  providerName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  providerNameActive: {
+    color: '#4CAF50',
+  },
+  providerDescription: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#333',
+    marginBottom: 12,
+  },
+  note: {
+    fontSize: 13,
+    color: '#666',
+    marginVertical: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  switchText: {
+    flex: 1,
+  },
+  switchTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  switchDescription: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  saveButton: {
+    backgroundColor: '#4CAF50',
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  saveText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default RecognitionSettingsSheet;
@@ -0,0 +1,170 @@
+// src/components/SaveTemplateDialog.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Modal,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import UserDataService from '../services/userDataService';
+
+// Names a set of foods and saves it as a meal template
+const SaveTemplateDialog = ({ visible, items = [], mealType, defaultName = '', onSaved, onClose }) => {
+  const [name, setName] = useState(defaultName);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setName(defaultName);
+    }
+  }, [visible, defaultName]);
+
+  const nutrition = UserDataService.calculateFoodsNutrition(items);
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert('Name Required', 'Give this meal a name, like "Usual breakfast".');
+      return;
+    }
+
+    setSaving(true);
+    const saved = await UserDataService.saveMealTemplate({ name, mealType, items });
+    setSaving(false);
+
+    if (saved) {
+      onSaved?.(saved);
+    } else {
+      Alert.alert('Error', 'Failed to save meal. Please try again.');
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Save as Meal</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="e.g. Usual mess breakfast"
+            placeholderTextColor="#999"
+            maxLength={40}
+          />
+
+          <ScrollView style={styles.itemList}>
+            {items.map((item, index) => (
+              <View key={`${item.foodName}-${index}`} style={styles.itemRow}>
+                <Text style={styles.itemName} numberOfLines={1}>
+                  {item.foodName}{item.quantity && item.quantity !== 1 ? ` · ${UserDataService.formatPortion(item)}` : ''}
+                </Text>
+                <Text style={styles.itemCalories}>{Math.round(item.nutrition?.calories || 0)} cal</Text>
+              </View>
+            ))}
+          </ScrollView>
+
+          <Text style={styles.totalText}>
+            {items.length} item{items.length !== 1 ? 's' : ''} · {nutrition.calories} cal · {nutrition.protein}g protein · {nutrition.carbs}g carbs · {nutrition.fat}g fat
+          </Text>
+
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+            <Ionicons name="bookmark" size={18} color="white" />
+            <Text style={styles.saveText}>{saving ? 'Saving...' : 'Save Meal'}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#333',
+    marginBottom: 12,
+  },
+  itemList: {
+    maxHeight: 200,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  itemName: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginRight: 8,
+  },
+  itemCalories: {
+    fontSize: 14,
+    color: '#666',
+  },
+  totalText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4CAF50',
+    marginTop: 12,
+  },
+  saveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#4CAF50',
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginTop: 16,
+  },
+  saveText: {
+    color: 'white',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
+
+export default SaveTemplateDialog;
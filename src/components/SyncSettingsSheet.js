@@ -0,0 +1,308 @@
+// src/components/SyncSettingsSheet.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Switch,
+  Modal,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useData } from '../context/DataContext';
+import SyncService from '../services/syncService';
+import Api from '../services/api';
+
+const formatSyncTime = (timestamp) => {
+  if (!timestamp) return 'Never synced';
+  const minutes = Math.floor((Date.now() - new Date(timestamp)) / 60000);
+  if (minutes < 1) return 'Synced just now';
+  if (minutes < 60) return `Synced ${minutes} min ago`;
+  if (minutes < 24 * 60) return `Synced ${Math.floor(minutes / 60)}h ago`;
+  return `Synced ${new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+};
+
+// Server address, token and auto sync for sharing data between devices
+const SyncSettingsSheet = ({ visible, onClose }) => {
+  const { syncNow } = useData();
+  const [settings, setSettings] = useState(null);
+  const [serverUrl, setServerUrl] = useState('');
+  const [token, setToken] = useState('');
+  const [busy, setBusy] = useState(null); // 'test' | 'sync'
+  const [pushStatus, setPushStatus] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    SyncService.getSettings().then(stored => {
+      setSettings(stored);
+      setServerUrl(stored.serverUrl || '');
+      setToken(stored.token || '');
+    });
+    SyncService.getPushStatus().then(setPushStatus);
+  }, [visible]);
+
+  const saveConnection = async () => {
+    const saved = await SyncService.saveSettings({ serverUrl, token: token.trim() });
+    if (saved) setSettings(saved);
+    return saved;
+  };
+
+  const handleTest = async () => {
+    if (!Api.normalizeServerUrl(serverUrl)) {
+      Alert.alert('Server Required', 'Enter the address of your sync server.');
+      return;
+    }
+
+    setBusy('test');
+    await saveConnection();
+    try {
+      const ok = await Api.checkConnection();
+      Alert.alert(ok ? 'Connected ✅' : 'Unexpected Response', ok ?
+        'The sync server is reachable.' :
+        'The server answered, but not like a sync server.');
+    } catch (error) {
+      Alert.alert('Connection Failed', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSync = async () => {
+    if (!Api.normalizeServerUrl(serverUrl)) {
+      Alert.alert('Server Required', 'Enter the address of your sync server.');
+      return;
+    }
+
+    setBusy('sync');
+    await saveConnection();
+    const result = await syncNow();
+    setSettings(await SyncService.getSettings());
+    const status = await SyncService.getPushStatus();
+    setPushStatus(status);
+    setBusy(null);
+
+    if (result?.waiting > 0) {
+      Alert.alert('Partly Synced', `Received ${result.applied} change${result.applied !== 1 ? 's' : ''}. ${result.waiting} of yours are still waiting to be sent and will be retried automatically.${status.lastError ? `\n\nServer said: ${status.lastError}` : ''}`);
+    } else if (result) {
+      Alert.alert('Sync Complete 🔄', `Sent ${result.pushed} and received ${result.applied} change${result.applied !== 1 ? 's' : ''}.`);
+    } else {
+      Alert.alert('Sync Failed', (await SyncService.getSettings()).lastError || 'Please try again.');
+    }
+  };
+
+  const handleAutoSync = async (value) => {
+    const saved = await SyncService.saveSettings({ autoSync: value });
+    if (saved) setSettings(saved);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Sync</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.description}>
+            Share your log, goals and profile between devices through your own sync server.
+          </Text>
+
+          <Text style={styles.label}>Server address</Text>
+          <TextInput
+            style={styles.input}
+            value={serverUrl}
+            onChangeText={setServerUrl}
+            placeholder="http://192.168.1.10:4000"
+            placeholderTextColor="#999"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+
+          <Text style={styles.label}>Access token (optional)</Text>
+          <TextInput
+            style={styles.input}
+            value={token}
+            onChangeText={setToken}
+            placeholder="Leave empty if the server has none"
+            placeholderTextColor="#999"
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+          />
+
+          <View style={styles.switchRow}>
+            <View style={styles.switchText}>
+              <Text style={styles.switchTitle}>Auto Sync</Text>
+              <Text style={styles.switchDescription}>On launch and shortly after each change</Text>
+            </View>
+            <Switch
+              trackColor={{ false: '#e0e0e0', true: '#4CAF50' }}
+              thumbColor="#fff"
+              value={!!settings?.autoSync}
+              onValueChange={handleAutoSync}
+            />
+          </View>
+
+          {!!settings && (
+            <Text style={[styles.status, settings.lastError && styles.statusError]}>
+              {settings.lastError ? `Last sync failed: ${settings.lastError}` : formatSyncTime(settings.lastSyncedAt)}
+            </Text>
+          )}
+
+          {pushStatus?.waiting > 0 && (
+            <Text style={[styles.status, styles.statusWaiting]}>
+              {pushStatus.waiting} change{pushStatus.waiting !== 1 ? 's' : ''} waiting to upload
+              {pushStatus.lastError ? ` - ${pushStatus.lastError}` : ''}
+            </Text>
+          )}
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.testButton]}
+              onPress={handleTest}
+              disabled={!!busy}
+            >
+              {busy === 'test' ? (
+                <ActivityIndicator size="small" color="#4CAF50" />
+              ) : (
+                <Ionicons name="pulse" size={18} color="#4CAF50" />
+              )}
+              <Text style={styles.testText}>Test</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.syncButton]}
+              onPress={handleSync}
+              disabled={!!busy}
+            >
+              {busy === 'sync' ? (
+                <ActivityIndicator size="small" color="white" />
+              ) : (
+                <Ionicons name="sync" size={18} color="white" />
+              )}
+              <Text style={styles.syncText}>Sync Now</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  description: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#333',
+    marginBottom: 12,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  switchText: {
+    flex: 1,
+  },
+  switchTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  switchDescription: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  status: {
+    fontSize: 13,
+    color: '#4CAF50',
+    marginBottom: 16,
+  },
+  statusError: {
+    color: '#F44336',
+  },
+  statusWaiting: {
+    color: '#FF9800',
+    marginTop: -8,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginHorizontal: 6,
+  },
+  testButton: {
+    backgroundColor: '#E8F5E8',
+  },
+  testText: {
+    color: '#4CAF50',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  syncButton: {
+    backgroundColor: '#4CAF50',
+  },
+  syncText: {
+    color: 'white',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
+
+export default SyncSettingsSheet;
@@ -0,0 +1,96 @@
+// src/components/WeightTrendChart.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Polyline, Circle, Line, Text as SvgText } from 'react-native-svg';
+import UserDataService from '../services/userDataService';
+
+const PADDING = { top: 16, right: 12, bottom: 24, left: 36 };
+
+// Raw weigh-ins as dots, the smoothed trend as a line and the target dashed.
+// Days are spaced by date, so gaps in the log show as gaps on the chart.
+const WeightTrendChart = ({ entries = [], targetWeight = null, width, height = 200 }) => {
+  if (entries.length < 2) {
+    return (
+      <View style={[styles.empty, { width, height }]}>
+        <Text style={styles.emptyText}>Log your weight on two or more days to see your trend</Text>
+      </View>
+    );
+  }
+
+  const firstDate = UserDataService.parseDateKey(entries[0].date);
+  const lastDate = UserDataService.parseDateKey(entries[entries.length - 1].date);
+  const spanDays = Math.max(1, (lastDate - firstDate) / 86400000);
+
+  const values = entries.flatMap(entry => [entry.weight, entry.trend]);
+  if (targetWeight) values.push(targetWeight);
+  const min = Math.floor(Math.min(...values) - 0.5);
+  const max = Math.ceil(Math.max(...values) + 0.5);
+
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const x = (date) => PADDING.left + (UserDataService.parseDateKey(date) - firstDate) / 86400000 / spanDays * plotWidth;
+  const y = (weight) => PADDING.top + (max - weight) / (max - min) * plotHeight;
+
+  const trendPoints = entries.map(entry => `${x(entry.date)},${y(entry.trend)}`).join(' ');
+  const formatAxisDate = (dateStr) => UserDataService.parseDateKey(dateStr)
+    .toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+  return (
+    <Svg width={width} height={height}>
+      {[max, (max + min) / 2, min].map(value => (
+        <React.Fragment key={value}>
+          <Line
+            x1={PADDING.left}
+            x2={width - PADDING.right}
+            y1={y(value)}
+            y2={y(value)}
+            stroke="#f0f0f0"
+            strokeWidth={1}
+          />
+          <SvgText x={PADDING.left - 6} y={y(value) + 4} fontSize={10} fill="#999" textAnchor="end">
+            {Math.round(value * 10) / 10}
+          </SvgText>
+        </React.Fragment>
+      ))}
+
+      {targetWeight && (
+        <Line
+          x1={PADDING.left}
+          x2={width - PADDING.right}
+          y1={y(targetWeight)}
+          y2={y(targetWeight)}
+          stroke="#FF9800"
+          strokeWidth={1.5}
+          strokeDasharray="6,4"
+        />
+      )}
+
+      {entries.map(entry => (
+        <Circle key={entry.date} cx={x(entry.date)} cy={y(entry.weight)} r={3} fill="#A5D6A7" />
+      ))}
+      <Polyline points={trendPoints} fill="none" stroke="#4CAF50" strokeWidth={2.5} />
+
+      <SvgText x={PADDING.left} y={height - 6} fontSize={10} fill="#999">
+        {formatAxisDate(entries[0].date)}
+      </SvgText>
+      <SvgText x={width - PADDING.right} y={height - 6} fontSize={10} fill="#999" textAnchor="end">
+        {formatAxisDate(entries[entries.length - 1].date)}
+      </SvgText>
+    </Svg>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 24,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+  },
+});
+
+export default WeightTrendChart;
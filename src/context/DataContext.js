@@ -1,5 +1,9 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
 import UserDataService from '../services/userDataService';
+import StorageMigrationService from '../services/storageMigrationService';
+import SyncService from '../services/syncService';
+import OutboxService from '../services/outboxService';
 
 const DataContext = createContext();
 
@@ -15,52 +19,115 @@ export const DataProvider = ({ children }) => {
   const [dailyStats, setDailyStats] = useState(null);
   const [userGoals, setUserGoals] = useState(null);
   const [recentScans, setRecentScans] = useState([]);
+  const [quickAddFoods, setQuickAddFoods] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  // Load initial data
+  // 📅 NEW: The day shown on Home/Stats and logged into by "Add to Meal".
+  // Refs mirror it so async callbacks always see the latest value.
+  const [selectedDate, setSelectedDate] = useState(() => UserDataService.getDateKey());
+  const selectedDateRef = useRef(selectedDate);
+  const todayKeyRef = useRef(selectedDate);
+
+  // Upgrade stored data to the current schema, then load it.
+  // The day-start preference is read first because day keys depend on it.
+  useEffect(() => {
+    const initialize = async () => {
+      try {
+        await UserDataService.loadPreferences();
+        await StorageMigrationService.runMigrations();
+      } catch (error) {
+        console.error('❌ DataContext: Storage migration failed:', error);
+      }
+      const todayKey = UserDataService.getDateKey();
+      todayKeyRef.current = todayKey;
+      selectedDateRef.current = todayKey;
+      setSelectedDate(todayKey);
+      await loadAllData(todayKey);
+      autoSync();
+    };
+
+    initialize();
+  }, []);
+
+  // 🔄 NEW: Show changes pulled from other devices without the loading screen
+  useEffect(() => {
+    return SyncService.addListener(async (result) => {
+      if (!result || result.applied === 0) return;
+      try {
+        const [intake, goals] = await Promise.all([
+          UserDataService.getDailyIntake(selectedDateRef.current),
+          UserDataService.getUserGoals()
+        ]);
+        if (intake) setDailyStats(intake);
+        if (goals) setUserGoals(goals);
+        await refreshQuickAddFoods();
+      } catch (error) {
+        console.error('❌ DataContext: Error reloading synced data:', error);
+      }
+    });
+  }, []);
+
+  // 📶 NEW: Send writes queued while offline as soon as the network is back
   useEffect(() => {
-    loadAllData();
+    return OutboxService.watchConnectivity();
   }, []);
 
-  const loadAllData = async () => {
+  // 🔧 NEW: Roll "today" over when the app comes back after the day boundary.
+  // A past day the user picked on purpose stays selected.
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') return;
+      // 📤 NEW: Don't wait out the backoff for writes queued while offline
+      OutboxService.retryNow();
+      autoSync();
+      const todayKey = UserDataService.getDateKey();
+      if (todayKey === todayKeyRef.current) return;
+
+      const wasViewingToday = selectedDateRef.current === todayKeyRef.current;
+      todayKeyRef.current = todayKey;
+      if (wasViewingToday) {
+        selectDate(todayKey);
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  const autoSync = async () => {
+    const settings = await SyncService.getSettings();
+    if (settings.autoSync) {
+      SyncService.sync();
+    }
+  };
+
+  // 🔄 NEW: Push and pull now, whatever the auto sync setting
+  const syncNow = async () => {
+    console.log('🔄 DataContext: Manual sync triggered');
+    await OutboxService.retryNow();
+    return SyncService.sync();
+  };
+
+  const loadAllData = async (dateKey = selectedDateRef.current) => {
     try {
       console.log('🔄 DataContext: Loading all data...');
       setLoading(true);
       
       // Load data with proper error handling
-      const todayIntake = await UserDataService.getDailyIntake();
+      const todayIntake = await UserDataService.getDailyIntake(dateKey);
       const goals = await UserDataService.getUserGoals();
       const scans = await UserDataService.getRecentScans(4);
+      const quickFoods = await UserDataService.getQuickAddFoods();
 
       console.log('📊 Daily stats loaded:', todayIntake);
       console.log('🎯 User goals loaded:', goals);
       console.log('📱 Recent scans loaded:', scans?.length || 0, 'items');
 
       // Set data with fallbacks
-      setDailyStats(todayIntake || {
-        breakfast: [],
-        lunch: [],
-        snacks: [],
-        dinner: [],
-        totalNutrition: {
-          calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0,
-          sodium: 0, iron: 0, calcium: 0, vitaminC: 0
-        },
-        waterGlasses: 0,
-        date: new Date().toISOString().split('T')[0]
-      });
+      setDailyStats(todayIntake || UserDataService.createEmptyDay(dateKey));
       
-      setUserGoals(goals || {
-        dailyCalories: 2200,
-        dailyProtein: 80,
-        dailyCarbs: 275,
-        dailyFat: 73,
-        dailyFiber: 25,
-        waterGlasses: 8,
-        mealsPerDay: 4
-      });
+      setUserGoals(goals || { ...UserDataService.DEFAULT_GOALS });
       
       setRecentScans(scans || []);
+      setQuickAddFoods(quickFoods || []);
       
       console.log('✅ DataContext: All data loaded successfully');
       
@@ -68,30 +135,12 @@ export const DataProvider = ({ children }) => {
       console.error('❌ DataContext: Error loading data:', error);
       
       // Set fallback data to prevent crashes
-      setDailyStats({
-        breakfast: [],
-        lunch: [],
-        snacks: [],
-        dinner: [],
-        totalNutrition: {
-          calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0,
-          sodium: 0, iron: 0, calcium: 0, vitaminC: 0
-        },
-        waterGlasses: 0,
-        date: new Date().toISOString().split('T')[0]
-      });
+      setDailyStats(UserDataService.createEmptyDay(dateKey));
       
-      setUserGoals({
-        dailyCalories: 2200,
-        dailyProtein: 80,
-        dailyCarbs: 275,
-        dailyFat: 73,
-        dailyFiber: 25,
-        waterGlasses: 8,
-        mealsPerDay: 4
-      });
+      setUserGoals({ ...UserDataService.DEFAULT_GOALS });
       
       setRecentScans([]);
+      setQuickAddFoods([]);
       
     } finally {
       // 🔧 CRITICAL: Always set loading to false
@@ -100,17 +149,43 @@ export const DataProvider = ({ children }) => {
     }
   };
 
-  // 🔧 REAL-TIME UPDATE: Add food and refresh all data
-  const addFoodToMeal = async (foodData, mealType) => {
+  // 📅 NEW: Day navigation. Future days can't be selected.
+  const selectDate = async (dateKey) => {
+    const todayKey = UserDataService.getDateKey();
+    const nextDate = dateKey > todayKey ? todayKey : dateKey;
+    selectedDateRef.current = nextDate;
+    setSelectedDate(nextDate);
+
     try {
-      console.log('🍽️ DataContext: Adding food to meal:', foodData.foodName, 'to', mealType);
+      const intake = await UserDataService.getDailyIntake(nextDate);
+      // Ignore the result if the user has already moved on to another day
+      if (selectedDateRef.current === nextDate) {
+        setDailyStats(intake || UserDataService.createEmptyDay(nextDate));
+      }
+    } catch (error) {
+      console.error('❌ DataContext: Error loading selected day:', error);
+    }
+  };
+
+  const goToPreviousDay = () => selectDate(UserDataService.shiftDateKey(selectedDateRef.current, -1));
+
+  const goToNextDay = () => selectDate(UserDataService.shiftDateKey(selectedDateRef.current, 1));
+
+  const goToToday = () => selectDate(UserDataService.getDateKey());
+
+  // 🔧 REAL-TIME UPDATE: Add food to the selected day and refresh all data
+  const addFoodToMeal = async (foodData, mealType, date = selectedDateRef.current) => {
+    try {
+      console.log('🍽️ DataContext: Adding food to meal:', foodData.foodName, 'to', mealType, 'on', date);
       
       // Add to storage
-      const updatedIntake = await UserDataService.addFoodToMeal(foodData, mealType);
+      const updatedIntake = await UserDataService.addFoodToMeal(foodData, mealType, date);
       
       if (updatedIntake) {
         // 🚀 INSTANTLY update states
-        setDailyStats(updatedIntake);
+        if (updatedIntake.date === selectedDateRef.current) {
+          setDailyStats(updatedIntake);
+        }
         
         // Update recent scans
         try {
@@ -119,6 +194,8 @@ export const DataProvider = ({ children }) => {
         } catch (scanError) {
           console.log('Warning: Could not update recent scans:', scanError);
         }
+        await refreshQuickAddFoods();
+        SyncService.requestSync();
         
         console.log('✅ DataContext: Data updated in real-time!');
         return true;
@@ -132,6 +209,141 @@ export const DataProvider = ({ children }) => {
     }
   };
 
+  // ⭐ NEW: Favourites and frequently logged foods follow every logging change
+  const refreshQuickAddFoods = async () => {
+    try {
+      const quickFoods = await UserDataService.getQuickAddFoods();
+      setQuickAddFoods(quickFoods || []);
+    } catch (quickAddError) {
+      console.log('Warning: Could not update quick add foods:', quickAddError);
+    }
+  };
+
+  // Shared by the edit/move/delete actions: push the recalculated day into
+  // state and reload the recent scans and quick-add foods the change may have touched
+  const applyIntakeChange = async (updatedIntake) => {
+    if (!updatedIntake) return false;
+
+    if (updatedIntake.date === selectedDateRef.current) {
+      setDailyStats(updatedIntake);
+    }
+    try {
+      const updatedScans = await UserDataService.getRecentScans(4);
+      setRecentScans(updatedScans || []);
+    } catch (scanError) {
+      console.log('Warning: Could not update recent scans:', scanError);
+    }
+    await refreshQuickAddFoods();
+    SyncService.requestSync();
+    return true;
+  };
+
+  // ⭐ Star or unstar a food; resolves to the new starred state, or null on failure
+  const toggleFavoriteFood = async (food) => {
+    try {
+      console.log('⭐ DataContext: Toggling favorite:', food?.foodName);
+      const isFavorite = await UserDataService.toggleFavoriteFood(food);
+      if (isFavorite !== null) {
+        await refreshQuickAddFoods();
+      }
+      return isFavorite;
+    } catch (error) {
+      console.error('❌ DataContext: Error toggling favorite food:', error);
+      return null;
+    }
+  };
+
+  const updateFoodEntry = async (entryId, updates) => {
+    try {
+      console.log('✏️ DataContext: Updating food entry:', entryId);
+      const updatedIntake = await UserDataService.updateFoodEntry(entryId, updates, selectedDateRef.current);
+      return await applyIntakeChange(updatedIntake);
+    } catch (error) {
+      console.error('❌ DataContext: Error updating food entry:', error);
+      return false;
+    }
+  };
+
+  const moveFoodEntry = async (entryId, toMealType) => {
+    try {
+      console.log('↔️ DataContext: Moving food entry:', entryId, 'to', toMealType);
+      const updatedIntake = await UserDataService.moveFoodEntry(entryId, toMealType, selectedDateRef.current);
+      return await applyIntakeChange(updatedIntake);
+    } catch (error) {
+      console.error('❌ DataContext: Error moving food entry:', error);
+      return false;
+    }
+  };
+
+  const deleteFoodEntry = async (entryId) => {
+    try {
+      console.log('🗑️ DataContext: Deleting food entry:', entryId);
+      const updatedIntake = await UserDataService.deleteFoodEntry(entryId, selectedDateRef.current);
+      return await applyIntakeChange(updatedIntake);
+    } catch (error) {
+      console.error('❌ DataContext: Error deleting food entry:', error);
+      return false;
+    }
+  };
+
+  // 📋 Re-log a saved meal template into the selected day
+  const logMealTemplate = async (templateId, mealType, date = selectedDateRef.current) => {
+    try {
+      console.log('📋 DataContext: Logging meal template:', templateId, 'to', mealType, 'on', date);
+      const updatedIntake = await UserDataService.logMealTemplate(templateId, mealType, date);
+      return await applyIntakeChange(updatedIntake);
+    } catch (error) {
+      console.error('❌ DataContext: Error logging meal template:', error);
+      return false;
+    }
+  };
+
+  // 📅 Copy a meal or a whole day from another day into the selected day
+  const copyMeal = async (fromDate, fromMealType, toMealType = fromMealType, toDate = selectedDateRef.current) => {
+    try {
+      console.log('📅 DataContext: Copying', fromMealType, 'from', fromDate, 'to', toMealType, 'on', toDate);
+      const updatedIntake = await UserDataService.copyMeal(fromDate, fromMealType, toMealType, toDate);
+      return await applyIntakeChange(updatedIntake);
+    } catch (error) {
+      console.error('❌ DataContext: Error copying meal:', error);
+      return false;
+    }
+  };
+
+  const copyDay = async (fromDate, toDate = selectedDateRef.current) => {
+    try {
+      console.log('📅 DataContext: Copying day', fromDate, 'to', toDate);
+      const updatedIntake = await UserDataService.copyDay(fromDate, toDate);
+      return await applyIntakeChange(updatedIntake);
+    } catch (error) {
+      console.error('❌ DataContext: Error copying day:', error);
+      return false;
+    }
+  };
+
+  // 💧 Water logging for the selected day, in millilitres
+  const addWater = async (deltaMl) => {
+    try {
+      console.log('💧 DataContext: Adding water:', deltaMl, 'ml on', selectedDateRef.current);
+      const updatedIntake = await UserDataService.addWater(deltaMl, selectedDateRef.current);
+      return await applyIntakeChange(updatedIntake);
+    } catch (error) {
+      console.error('❌ DataContext: Error adding water:', error);
+      return false;
+    }
+  };
+
+  const updateWaterIntake = async (waterMl) => {
+    try {
+      console.log('💧 DataContext: Setting water to', waterMl, 'ml on', selectedDateRef.current);
+      const updatedIntake = await UserDataService.updateWaterIntake(waterMl, selectedDateRef.current);
+      return await applyIntakeChange(updatedIntake);
+    } catch (error) {
+      console.error('❌ DataContext: Error updating water intake:', error);
+      return false;
+    }
+  };
+
   // 🔧 REAL-TIME UPDATE: Update goals and refresh
   const updateGoals = async (newGoals) => {
     try {
@@ -139,6 +351,7 @@ export const DataProvider = ({ children }) => {
       const success = await UserDataService.saveUserGoals(newGoals);
       if (success) {
         setUserGoals(newGoals);
+        SyncService.requestSync();
         console.log('✅ DataContext: Goals updated');
         return true;
       }
@@ -149,6 +362,25 @@ export const DataProvider = ({ children }) => {
     }
   };
 
+  // 📅 Range analytics: read-only, so nothing here touches context state
+  const getIntakeRange = async (start, end) => {
+    try {
+      return await UserDataService.getIntakeRange(start, end);
+    } catch (error) {
+      console.error('❌ DataContext: Error loading intake range:', error);
+      return null;
+    }
+  };
+
+  const getMonthlyAggregates = async (start, end) => {
+    try {
+      return await UserDataService.getMonthlyAggregates(start, end);
+    } catch (error) {
+      console.error('❌ DataContext: Error loading monthly aggregates:', error);
+      return [];
+    }
+  };
+
   // Manual refresh function
   const refreshData = async () => {
     console.log('🔄 DataContext: Manual refresh triggered');
@@ -168,10 +400,29 @@ export const DataProvider = ({ children }) => {
       dailyStats,
       userGoals,
       recentScans,
+      quickAddFoods,
       loading,
+      selectedDate,
+      isViewingToday: selectedDate === UserDataService.getDateKey(),
+      selectDate,
+      goToPreviousDay,
+      goToNextDay,
+      goToToday,
       addFoodToMeal,
+      logMealTemplate,
+      copyMeal,
+      copyDay,
+      addWater,
+      updateWaterIntake,
+      updateFoodEntry,
+      moveFoodEntry,
+      deleteFoodEntry,
+      toggleFavoriteFood,
       updateGoals,
+      getIntakeRange,
+      getMonthlyAggregates,
       refreshData,
+      syncNow,
       loadAllData
     }}>
       {children}
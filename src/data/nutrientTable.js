@@ -0,0 +1,49 @@
+// src/data/nutrientTable.js
+
+// Common cooking ingredients, per 100g (raw unless noted). Values are rounded
+// averages from Indian and USDA food composition tables.
+// `defaultGrams` is a typical amount used in one home-cooked dish; items are
+// vegetarian unless marked `isVeg: false`.
+export const nutrientTable = [
+  { id: 'rice_raw', name: 'Rice (raw)', defaultGrams: 75, nutrition: { calories: 356, protein: 6.8, carbs: 78, fat: 0.5, fiber: 1.3, sugar: 0.1, sodium: 5, iron: 0.7, calcium: 10, vitaminC: 0 } },
+  { id: 'atta', name: 'Wheat Flour (atta)', defaultGrams: 60, nutrition: { calories: 341, protein: 12.1, carbs: 69, fat: 1.7, fiber: 11.2, sugar: 0.4, sodium: 2, iron: 4.9, calcium: 48, vitaminC: 0 } },
+  { id: 'maida', name: 'Refined Flour (maida)', defaultGrams: 50, nutrition: { calories: 348, protein: 11, carbs: 74, fat: 0.9, fiber: 2.7, sugar: 0.3, sodium: 2, iron: 2.7, calcium: 23, vitaminC: 0 } },
+  { id: 'oats', name: 'Rolled Oats', defaultGrams: 40, nutrition: { calories: 379, protein: 13.2, carbs: 67.7, fat: 6.5, fiber: 10.1, sugar: 1, sodium: 6, iron: 4.3, calcium: 52, vitaminC: 0 } },
+  { id: 'poha', name: 'Poha (flattened rice)', defaultGrams: 60, nutrition: { calories: 346, protein: 6.6, carbs: 77, fat: 1.2, fiber: 1.1, sugar: 0, sodium: 10, iron: 8, calcium: 20, vitaminC: 0 } },
+  { id: 'instant_noodles', name: 'Instant Noodles (dry)', defaultGrams: 70, nutrition: { calories: 440, protein: 9, carbs: 62, fat: 17, fiber: 2.4, sugar: 2, sodium: 1200, iron: 3, calcium: 20, vitaminC: 0 } },
+  { id: 'bread_white', name: 'White Bread', defaultGrams: 50, nutrition: { calories: 265, protein: 9, carbs: 49, fat: 3.2, fiber: 2.7, sugar: 5, sodium: 490, iron: 3.6, calcium: 150, vitaminC: 0 } },
+  { id: 'bread_brown', name: 'Brown Bread', defaultGrams: 50, nutrition: { calories: 247, protein: 13, carbs: 41, fat: 3.4, fiber: 7, sugar: 6, sodium: 450, iron: 2.5, calcium: 110, vitaminC: 0 } },
+  { id: 'toor_dal', name: 'Toor Dal (raw)', defaultGrams: 40, nutrition: { calories: 343, protein: 22.3, carbs: 57.6, fat: 1.7, fiber: 15, sugar: 2.9, sodium: 17, iron: 2.7, calcium: 73, vitaminC: 0 } },
+  { id: 'moong_dal', name: 'Moong Dal (raw)', defaultGrams: 40, nutrition: { calories: 348, protein: 24.5, carbs: 59.9, fat: 1.2, fiber: 16.3, sugar: 6.6, sodium: 15, iron: 3.9, calcium: 75, vitaminC: 0 } },
+  { id: 'rajma', name: 'Rajma (raw)', defaultGrams: 50, nutrition: { calories: 333, protein: 22.9, carbs: 60, fat: 1.3, fiber: 15.2, sugar: 2.2, sodium: 24, iron: 5.1, calcium: 143, vitaminC: 4.5 } },
+  { id: 'chana', name: 'Chickpeas (raw)', defaultGrams: 50, nutrition: { calories: 364, protein: 19.3, carbs: 61, fat: 6, fiber: 17.4, sugar: 10.7, sodium: 24, iron: 6.2, calcium: 105, vitaminC: 4 } },
+  { id: 'egg', name: 'Egg (whole)', defaultGrams: 50, isVeg: false, nutrition: { calories: 143, protein: 12.6, carbs: 0.7, fat: 9.5, fiber: 0, sugar: 0.4, sodium: 142, iron: 1.8, calcium: 56, vitaminC: 0 } },
+  { id: 'chicken_breast', name: 'Chicken Breast', defaultGrams: 100, isVeg: false, nutrition: { calories: 120, protein: 22.5, carbs: 0, fat: 2.6, fiber: 0, sugar: 0, sodium: 45, iron: 0.4, calcium: 5, vitaminC: 0 } },
+  { id: 'paneer', name: 'Paneer', defaultGrams: 50, nutrition: { calories: 265, protein: 18.3, carbs: 1.2, fat: 20.8, fiber: 0, sugar: 1.2, sodium: 22, iron: 0.2, calcium: 480, vitaminC: 0 } },
+  { id: 'soya_chunks', name: 'Soya Chunks', defaultGrams: 30, nutrition: { calories: 345, protein: 52, carbs: 33, fat: 0.5, fiber: 13, sugar: 0, sodium: 2, iron: 10.4, calcium: 240, vitaminC: 0 } },
+  { id: 'milk', name: 'Milk (toned)', defaultGrams: 200, nutrition: { calories: 58, protein: 3.1, carbs: 4.7, fat: 3, fiber: 0, sugar: 4.7, sodium: 44, iron: 0, calcium: 120, vitaminC: 0 } },
+  { id: 'curd', name: 'Curd', defaultGrams: 100, nutrition: { calories: 60, protein: 3.1, carbs: 3, fat: 4, fiber: 0, sugar: 3, sodium: 36, iron: 0.1, calcium: 149, vitaminC: 0.5 } },
+  { id: 'butter', name: 'Butter', defaultGrams: 10, nutrition: { calories: 717, protein: 0.9, carbs: 0.1, fat: 81, fiber: 0, sugar: 0.1, sodium: 643, iron: 0, calcium: 24, vitaminC: 0 } },
+  { id: 'ghee', name: 'Ghee', defaultGrams: 5, nutrition: { calories: 900, protein: 0, carbs: 0, fat: 99.8, fiber: 0, sugar: 0, sodium: 2, iron: 0, calcium: 4, vitaminC: 0 } },
+  { id: 'oil', name: 'Cooking Oil', defaultGrams: 10, nutrition: { calories: 884, protein: 0, carbs: 0, fat: 100, fiber: 0, sugar: 0, sodium: 0, iron: 0, calcium: 0, vitaminC: 0 } },
+  { id: 'peanut_butter', name: 'Peanut Butter', defaultGrams: 16, nutrition: { calories: 588, protein: 25, carbs: 20, fat: 50, fiber: 6, sugar: 9, sodium: 459, iron: 1.9, calcium: 43, vitaminC: 0 } },
+  { id: 'peanuts', name: 'Peanuts', defaultGrams: 30, nutrition: { calories: 567, protein: 25.8, carbs: 16.1, fat: 49.2, fiber: 8.5, sugar: 4.7, sodium: 18, iron: 4.6, calcium: 92, vitaminC: 0 } },
+  { id: 'sugar', name: 'Sugar', defaultGrams: 10, nutrition: { calories: 387, protein: 0, carbs: 100, fat: 0, fiber: 0, sugar: 100, sodium: 1, iron: 0.1, calcium: 1, vitaminC: 0 } },
+  { id: 'potato', name: 'Potato', defaultGrams: 100, nutrition: { calories: 77, protein: 2, carbs: 17, fat: 0.1, fiber: 2.2, sugar: 0.8, sodium: 6, iron: 0.8, calcium: 12, vitaminC: 19.7 } },
+  { id: 'onion', name: 'Onion', defaultGrams: 50, nutrition: { calories: 40, protein: 1.1, carbs: 9.3, fat: 0.1, fiber: 1.7, sugar: 4.2, sodium: 4, iron: 0.2, calcium: 23, vitaminC: 7.4 } },
+  { id: 'tomato', name: 'Tomato', defaultGrams: 50, nutrition: { calories: 18, protein: 0.9, carbs: 3.9, fat: 0.2, fiber: 1.2, sugar: 2.6, sodium: 5, iron: 0.3, calcium: 10, vitaminC: 13.7 } },
+  { id: 'spinach', name: 'Spinach', defaultGrams: 100, nutrition: { calories: 23, protein: 2.9, carbs: 3.6, fat: 0.4, fiber: 2.2, sugar: 0.4, sodium: 79, iron: 2.7, calcium: 99, vitaminC: 28.1 } },
+  { id: 'mixed_vegetables', name: 'Mixed Vegetables', defaultGrams: 100, nutrition: { calories: 65, protein: 2.9, carbs: 13, fat: 0.3, fiber: 4, sugar: 3.1, sodium: 35, iron: 0.9, calcium: 25, vitaminC: 10 } },
+  { id: 'banana', name: 'Banana', defaultGrams: 120, nutrition: { calories: 89, protein: 1.1, carbs: 22.8, fat: 0.3, fiber: 2.6, sugar: 12.2, sodium: 1, iron: 0.3, calcium: 5, vitaminC: 8.7 } },
+  { id: 'apple', name: 'Apple', defaultGrams: 150, nutrition: { calories: 52, protein: 0.3, carbs: 13.8, fat: 0.2, fiber: 2.4, sugar: 10.4, sodium: 1, iron: 0.1, calcium: 6, vitaminC: 4.6 } }
+];
+
+export const getNutrientTableItem = (id) => {
+  return nutrientTable.find(item => item.id === id) || null;
+};
+
+export const searchNutrientTable = (query) => {
+  const term = query.trim().toLowerCase();
+  if (!term) return nutrientTable;
+  return nutrientTable.filter(item => item.name.toLowerCase().includes(term));
+};
@@ -18,9 +18,26 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
 import UserDataService from '../services/userDataService';
 import { useData } from '../context/DataContext';
+import MealPickerSheet from '../components/MealPickerSheet';
+import SaveTemplateDialog from '../components/SaveTemplateDialog';
 
 const { width } = Dimensions.get('window');
 
+// 🍳 NEW: My Foods and recipes in the shape the menu list renders
+const foodDataToMenuItem = (foodData) => ({
+  id: `my_${foodData.customFoodId || foodData.recipeId}`,
+  name: foodData.foodName,
+  price: 0,
+  category: 'My Foods',
+  nutrition: foodData.nutrition,
+  healthScore: null,
+  ingredients: foodData.ingredients,
+  weight: foodData.servingSize,
+  isVeg: foodData.isVeg,
+  description: foodData.recipeId ? 'My recipe' : 'From My Foods',
+  foodData
+});
+
 const FoodCourtScreen = ({ route, navigation }) => {
   const { courtId, locationData } = route.params;
   const [filteredItems, setFilteredItems] = useState([]);
@@ -30,7 +47,12 @@ const FoodCourtScreen = ({ route, navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [loading, setLoading] = useState(true);
   const [showFilters, setShowFilters] = useState(false);
-  const { addFoodToMeal } = useData();
+  const { addFoodToMeal, selectedDate, isViewingToday } = useData();
+  const [pendingItem, setPendingItem] = useState(null); // item waiting for a meal choice
+  const [customFoods, setCustomFoods] = useState([]); // My Foods and recipes as food data
+  const [selecting, setSelecting] = useState(false); // picking items for a saved meal
+  const [selectedItems, setSelectedItems] = useState([]);
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
 
   // Animation values
   const [fadeAnim] = useState(new Animated.Value(0));
@@ -545,9 +567,23 @@ const getFoodItems = () => {
     ]).start();
   }, [courtId, locationData]);
 
+  useEffect(() => {
+    const loadCustomFoods = async () => {
+      const [foods, recipes] = await Promise.all([
+        UserDataService.getCustomFoods(),
+        UserDataService.getRecipes()
+      ]);
+      setCustomFoods([
+        ...foods.map(food => UserDataService.customFoodToFoodData(food)),
+        ...recipes.map(recipe => UserDataService.recipeToFoodData(recipe))
+      ]);
+    };
+    loadCustomFoods();
+  }, []);
+
   useEffect(() => {
     filterAndSortItems();
-  }, [searchQuery, selectedCategory, sortBy]);
+  }, [searchQuery, selectedCategory, sortBy, customFoods]);
 
   const loadFoodItems = () => {
     setLoading(true);
@@ -566,7 +602,10 @@ const getFoodItems = () => {
   }, []);
 
   const filterAndSortItems = () => {
-    let items = getFoodItems();
+    // My Foods join the list when searching or when picked as a category
+    let items = searchQuery || selectedCategory === 'My Foods' ?
+      [...getFoodItems(), ...customFoods.map(foodDataToMenuItem)] :
+      getFoodItems();
     
     // Filter by category
     if (selectedCategory !== 'All') {
@@ -592,7 +631,7 @@ const getFoodItems = () => {
         case 'price':
           return a.price - b.price;
         case 'health':
-          return b.healthScore - a.healthScore;
+          return (b.healthScore || 0) - (a.healthScore || 0);
         default:
           return a.name.localeCompare(b.name);
       }
@@ -604,6 +643,9 @@ const getFoodItems = () => {
   const getCategories = () => {
     const items = getFoodItems();
     const categories = ['All', ...new Set(items.map(item => item.category))];
+    if (customFoods.length > 0) {
+      categories.push('My Foods');
+    }
     return categories;
   };
 
@@ -613,20 +655,35 @@ const getFoodItems = () => {
     return '#F44336';
   };
 
-  const handleAddToMeal = async (item) => {
+  // 🍽️ NEW: Ask which meal first; the sheet pre-selects the meal-window guess
+  const handleAddToMeal = (item) => {
+    setPendingItem(item);
+  };
+
+  const getPendingFood = (item) => {
+    if (item.foodData) {
+      return item.foodData;
+    }
+    return {
+      foodName: item.name,
+      menuItemId: item.id,
+      nutrition: item.nutrition,
+      healthScore: item.healthScore,
+      category: item.category,
+      servingSize: `1 serving (${item.weight})`,
+      ingredients: item.ingredients,
+      method: 'Manual Selection - ' + (locationData?.name || 'Food Court')
+    };
+  };
+
+  const handleMealSelected = async (mealType, quantity = 1) => {
+    const item = pendingItem;
+    setPendingItem(null);
+    if (!item) return;
+
     try {
-      const mealType = UserDataService.getMealTimeFromHour();
-      
-      // Create food data object
-      const foodData = {
-        foodName: item.name,
-        nutrition: item.nutrition,
-        healthScore: item.healthScore,
-        category: item.category,
-        servingSize: `1 serving (${item.weight})`,
-        ingredients: item.ingredients,
-        method: 'Manual Selection - ' + (locationData?.name || 'Food Court')
-      };
+      // Create food data object, scaled to the chosen portion
+      const foodData = UserDataService.applyPortion(getPendingFood(item), quantity);
       
       // 🚀 Use context for real-time update
       const success = await addFoodToMeal(foodData, mealType);
@@ -634,7 +691,9 @@ const getFoodItems = () => {
       if (success) {
         Alert.alert(
           'Added to Meal! 🍽️',
-          `${item.name} added to your ${mealType}.`,
+          isViewingToday ?
+            `${item.name} added to your ${UserDataService.getMealLabel(mealType).toLowerCase()}.` :
+            `${item.name} added to your ${UserDataService.getMealLabel(mealType).toLowerCase()} on ${UserDataService.formatDayLabel(selectedDate)}.`,
           [
             { text: 'OK' },
             { 
@@ -652,6 +711,30 @@ const getFoodItems = () => {
     }
   };
 
+  // 📋 NEW: Pick several items and save them as a meal template
+  const toggleSelecting = () => {
+    setSelecting(!selecting);
+    setSelectedItems([]);
+  };
+
+  const isSelected = (item) => selectedItems.some(selected => selected.id === item.id);
+
+  const toggleSelectedItem = (item) => {
+    setSelectedItems(isSelected(item) ?
+      selectedItems.filter(selected => selected.id !== item.id) :
+      [...selectedItems, item]
+    );
+  };
+
+  const getSelectedFoods = () => selectedItems.map(getPendingFood);
+
+  const handleTemplateSaved = (template) => {
+    setShowSaveTemplate(false);
+    setSelecting(false);
+    setSelectedItems([]);
+    Alert.alert('Meal Saved', `"${template.name}" is ready under Saved Meals on the home screen.`);
+  };
+
   const renderFoodItem = ({ item }) => (
     <Animated.View
       style={[
@@ -712,26 +795,45 @@ const getFoodItems = () => {
               </View>
             )}
             
-            <View style={[styles.healthTag, { backgroundColor: getHealthColor(item.healthScore) }]}>
-              <Text style={styles.healthTagText}>{item.healthScore}/10</Text>
-            </View>
+            {item.healthScore != null && (
+              <View style={[styles.healthTag, { backgroundColor: getHealthColor(item.healthScore) }]}>
+                <Text style={styles.healthTagText}>{item.healthScore}/10</Text>
+              </View>
+            )}
             
             <Text style={styles.weightText}>{item.weight}</Text>
           </View>
           
-          <TouchableOpacity
-            style={styles.addButton}
-            onPress={() => handleAddToMeal(item)}
-            activeOpacity={0.8}
-          >
-            <LinearGradient
-              colors={['#4CAF50', '#45a049']}
-              style={styles.addButtonGradient}
+          {selecting ? (
+            <TouchableOpacity
+              style={[styles.selectButton, isSelected(item) && styles.selectButtonActive]}
+              onPress={() => toggleSelectedItem(item)}
+              activeOpacity={0.8}
             >
-              <Ionicons name="add" size={20} color="white" />
-              <Text style={styles.addButtonText}>Add</Text>
-            </LinearGradient>
-          </TouchableOpacity>
+              <Ionicons
+                name={isSelected(item) ? 'checkmark-circle' : 'ellipse-outline'}
+                size={20}
+                color={isSelected(item) ? 'white' : '#4CAF50'}
+              />
+              <Text style={[styles.selectButtonText, isSelected(item) && styles.selectButtonTextActive]}>
+                {isSelected(item) ? 'Selected' : 'Select'}
+              </Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={styles.addButton}
+              onPress={() => handleAddToMeal(item)}
+              activeOpacity={0.8}
+            >
+              <LinearGradient
+                colors={['#4CAF50', '#45a049']}
+                style={styles.addButtonGradient}
+              >
+                <Ionicons name="add" size={20} color="white" />
+                <Text style={styles.addButtonText}>Add</Text>
+              </LinearGradient>
+            </TouchableOpacity>
+          )}
         </View>
       </LinearGradient>
     </Animated.View>
@@ -812,6 +914,13 @@ const getFoodItems = () => {
             <Text style={styles.locationDetails}>{locationData?.location || 'Campus'}</Text>
           </View>
           
+          <TouchableOpacity 
+            style={[styles.filterToggle, styles.selectToggle, selecting && styles.selectToggleActive]}
+            onPress={toggleSelecting}
+          >
+            <Ionicons name={selecting ? 'close' : 'bookmark-outline'} size={22} color="white" />
+          </TouchableOpacity>
+
           <TouchableOpacity 
             style={styles.filterToggle}
             onPress={() => setShowFilters(!showFilters)}
@@ -893,6 +1002,7 @@ const getFoodItems = () => {
         data={filteredItems}
         keyExtractor={(item) => item.id}
         renderItem={renderFoodItem}
+        extraData={selectedItems}
         contentContainerStyle={styles.listContainer}
         showsVerticalScrollIndicator={false}
         refreshControl={
@@ -906,6 +1016,39 @@ const getFoodItems = () => {
           </View>
         }
       />
+
+      {/* 📋 NEW: Selection bar for saving a meal template */}
+      {selecting && (
+        <View style={styles.selectionBar}>
+          <Text style={styles.selectionText}>
+            {selectedItems.length} item{selectedItems.length !== 1 ? 's' : ''} · {UserDataService.calculateFoodsNutrition(getSelectedFoods()).calories} cal
+          </Text>
+          <TouchableOpacity
+            style={[styles.selectionSaveButton, selectedItems.length === 0 && styles.selectionSaveButtonDisabled]}
+            onPress={() => setShowSaveTemplate(true)}
+            disabled={selectedItems.length === 0}
+          >
+            <Ionicons name="bookmark" size={16} color="white" />
+            <Text style={styles.selectionSaveText}>Save as Meal</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <SaveTemplateDialog
+        visible={showSaveTemplate}
+        items={showSaveTemplate ? getSelectedFoods() : []}
+        mealType={null}
+        onSaved={handleTemplateSaved}
+        onClose={() => setShowSaveTemplate(false)}
+      />
+
+      {/* Meal chooser for "Add" */}
+      <MealPickerSheet
+        visible={!!pendingItem}
+        food={pendingItem ? getPendingFood(pendingItem) : null}
+        onSelect={handleMealSelected}
+        onClose={() => setPendingItem(null)}
+      />
     </View>
   );
 };
@@ -968,6 +1111,12 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  selectToggle: {
+    marginRight: 8,
+  },
+  selectToggleActive: {
+    backgroundColor: 'rgba(255, 255, 255, 0.4)',
+  },
   timingContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1233,6 +1382,57 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 6,
   },
+  selectButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: '#4CAF50',
+  },
+  selectButtonActive: {
+    backgroundColor: '#4CAF50',
+  },
+  selectButtonText: {
+    color: '#4CAF50',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+  selectButtonTextActive: {
+    color: 'white',
+  },
+  selectionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: 'white',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  selectionText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  selectionSaveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#4CAF50',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 12,
+  },
+  selectionSaveButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  selectionSaveText: {
+    color: 'white',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
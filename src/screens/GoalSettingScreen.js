@@ -24,9 +24,16 @@ const GoalSettingScreen = ({ navigation }) => {
     dailyCarbs: 275,
     dailyFat: 73,
     dailyFiber: 25,
-    waterGlasses: 8,
+    waterMl: 2000,
     mealsPerDay: 4
   });
+  const waterUnit = UserDataService.getWaterSettings().unit;
+
+  // 💧 The water goal is stored in ml but edited in the user's unit. The typed
+  // text is kept as is and only converted on blur and save.
+  const formatWaterGoal = (waterMl) =>
+    (waterUnit === 'ml' ? waterMl : UserDataService.toGlasses(waterMl)).toString();
+  const [waterText, setWaterText] = useState(() => formatWaterGoal(goals.waterMl));
 
   const [loading, setLoading] = useState(true);
   const [notificationsEnabled, setNotificationsEnabled] = useState(true); // 🔔 NEW
@@ -41,6 +48,7 @@ const GoalSettingScreen = ({ navigation }) => {
       const currentGoals = await UserDataService.getUserGoals();
       if (currentGoals) {
         setGoals(currentGoals);
+        setWaterText(formatWaterGoal(currentGoals.waterMl));
       }
     } catch (error) {
       console.error('Error loading goals:', error);
@@ -61,7 +69,7 @@ const GoalSettingScreen = ({ navigation }) => {
 
   const saveGoals = async () => {
     try {
-      const success = await UserDataService.saveUserGoals(goals);
+      const success = await UserDataService.saveUserGoals({ ...goals, waterMl: toWaterMl(waterText) });
       if (success) {
         Alert.alert(
           'Success!',
@@ -82,6 +90,17 @@ const GoalSettingScreen = ({ navigation }) => {
     setGoals(prev => ({ ...prev, [key]: numValue }));
   };
 
+  const toWaterMl = (text) => {
+    const amount = parseFloat(text) || 0;
+    return Math.round(waterUnit === 'ml' ? amount : amount * UserDataService.getWaterSettings().glassSizeMl);
+  };
+
+  const applyWaterGoal = () => {
+    const waterMl = toWaterMl(waterText);
+    setGoals(prev => ({ ...prev, waterMl }));
+    setWaterText(formatWaterGoal(waterMl));
+  };
+
   // 🔔 NEW: Handle notification toggle
 const handleNotificationToggle = async (value) => {
   try {
@@ -341,12 +360,17 @@ const handleNotificationToggle = async (value) => {
             </View>
             <TextInput
               style={styles.goalInput}
-              value={goals.waterGlasses.toString()}
-              onChangeText={(value) => updateGoal('waterGlasses', value)}
+              value={waterText}
+              onChangeText={setWaterText}
+              onBlur={applyWaterGoal}
               keyboardType="numeric"
-              placeholder="8"
+              placeholder={waterUnit === 'ml' ? '2000' : '8'}
             />
-            <Text style={styles.goalUnit}>glasses per day</Text>
+            <Text style={styles.goalUnit}>
+              {waterUnit === 'ml' ?
+                'ml per day' :
+                `glasses of ${UserDataService.getWaterSettings().glassSizeMl} ml per day`}
+            </Text>
           </View>
 
           <View style={styles.goalCard}>
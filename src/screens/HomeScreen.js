@@ -17,22 +17,41 @@ import { BlurView } from 'expo-blur';
 import UserDataService from '../services/userDataService';
 import NotificationService from '../services/notificationService';
 import { useData } from '../context/DataContext'; // 🔧 NEW: Import DataContext
+import FoodEntryEditor from '../components/FoodEntryEditor';
+import DayNavigator from '../components/DayNavigator';
+import MealTemplatesSheet from '../components/MealTemplatesSheet';
+import SaveTemplateDialog from '../components/SaveTemplateDialog';
+import CopyMealsSheet from '../components/CopyMealsSheet';
+import HydrationCard from '../components/HydrationCard';
+import QuickAddRow from '../components/QuickAddRow';
 
 const { width, height } = Dimensions.get('window');
 
 const HomeScreen = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [currentTime, setCurrentTime] = useState(new Date());
+  const [editingEntry, setEditingEntry] = useState(null); // { entry, mealType }
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [templateMeal, setTemplateMeal] = useState(null); // meal type being saved as a template
+  const [showCopyMeals, setShowCopyMeals] = useState(false);
 
   // 🔧 UPDATED: Use DataContext for real-time updates
   const { 
     dailyStats, 
     userGoals, 
     recentScans, 
+    quickAddFoods,
     loading, 
-    refreshData 
+    refreshData,
+    selectedDate,
+    isViewingToday
   } = useData();
 
+  // 📅 NEW: Section titles follow the day picked in the navigator
+  const getDayTitle = (section) => isViewingToday ?
+    `Today's ${section}` :
+    `${section} · ${UserDataService.formatDayLabel(selectedDate)}`;
+
   // Remove old state variables - they're now handled by DataContext
   // const [dailyStats, setDailyStats] = useState(null); // ❌ Remove
   // const [userGoals, setUserGoals] = useState(null); // ❌ Remove
@@ -97,13 +116,15 @@ const HomeScreen = ({ navigation }) => {
     return '🌙 Good Night';
   };
 
+  // 🔧 UPDATED: Follows the meal windows set in Profile
   const getMealTime = () => {
-    const hour = currentTime.getHours();
-    if (hour < 10) return 'Breakfast Time';
-    if (hour < 14) return 'Lunch Time';
-    if (hour < 18) return 'Snack Time';
-    if (hour < 22) return 'Dinner Time';
-    return 'Late Night';
+    const windows = UserDataService.getMealWindows();
+    const lastMealEnd = Math.max(0, ...Object.values(windows).map(window => window.end));
+    if (currentTime.getHours() >= lastMealEnd) return 'Late Night';
+
+    const labels = { breakfast: 'Breakfast Time', lunch: 'Lunch Time', snacks: 'Snack Time', dinner: 'Dinner Time' };
+    const mealType = UserDataService.getMealTimeFromHour(currentTime);
+    return labels[mealType] || `${UserDataService.getMealLabel(mealType)} Time`;
   };
 
   const getCalorieProgress = () => {
@@ -118,7 +139,7 @@ const HomeScreen = ({ navigation }) => {
 
   const getTotalScannedMeals = () => {
     if (!dailyStats) return 0;
-    return ['breakfast', 'lunch', 'snacks', 'dinner'].reduce((count, mealType) => {
+    return UserDataService.MEAL_TYPES.reduce((count, mealType) => {
       return count + (dailyStats[mealType]?.length || 0);
     }, 0);
   };
@@ -230,6 +251,8 @@ const HomeScreen = ({ navigation }) => {
             }
           ]}
         >
+          <DayNavigator light style={styles.dayNavigator} />
+
           <View style={styles.progressCards}>
             {/* Calories Progress */}
             <BlurView intensity={20} style={styles.progressCard}>
@@ -343,6 +366,15 @@ const HomeScreen = ({ navigation }) => {
                 <Text style={styles.actionText}>Nutrition Stats</Text>
                 <Text style={styles.actionSubtext}>View insights</Text>
               </TouchableOpacity>
+
+              {/* 📋 NEW: Saved meal templates */}
+              <TouchableOpacity style={styles.secondaryAction} onPress={() => setShowTemplates(true)}>
+                <View style={styles.actionIcon}>
+                  <Ionicons name="bookmark" size={24} color="#FF9800" />
+                </View>
+                <Text style={styles.actionText}>Saved Meals</Text>
+                <Text style={styles.actionSubtext}>One-tap log</Text>
+              </TouchableOpacity>
             </View>
           </View>
         </Animated.View>
@@ -357,7 +389,7 @@ const HomeScreen = ({ navigation }) => {
             }
           ]}
         >
-          <Text style={styles.sectionTitle}>Today's Summary</Text>
+          <Text style={styles.sectionTitle}>{getDayTitle('Summary')}</Text>
           <View style={styles.summaryCard}>
             <View style={styles.summaryItem}>
               <View style={styles.summaryIcon}>
@@ -397,6 +429,96 @@ const HomeScreen = ({ navigation }) => {
           </View>
         </Animated.View>
 
+        {/* ⭐ NEW: Favourites and frequently logged foods */}
+        {quickAddFoods.length > 0 && (
+          <Animated.View 
+            style={[
+              styles.section,
+              {
+                opacity: fadeAnim,
+                transform: [{ translateY: slideAnim }]
+              }
+            ]}
+          >
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Quick Add</Text>
+              <Text style={styles.sectionHint}>Hold to pick meal & portion</Text>
+            </View>
+            <QuickAddRow />
+          </Animated.View>
+        )}
+
+        {/* 💧 NEW: Hydration */}
+        <Animated.View 
+          style={[
+            styles.section,
+            {
+              opacity: fadeAnim,
+              transform: [{ translateY: slideAnim }]
+            }
+          ]}
+        >
+          <Text style={styles.sectionTitle}>{getDayTitle('Water')}</Text>
+          <HydrationCard />
+        </Animated.View>
+
+        {/* Today's Meals */}
+        <Animated.View 
+          style={[
+            styles.section,
+            {
+              opacity: fadeAnim,
+              transform: [{ translateY: slideAnim }]
+            }
+          ]}
+        >
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>{getDayTitle('Meals')}</Text>
+            {/* 📅 NEW: Repeat meals from an earlier day */}
+            <TouchableOpacity onPress={() => setShowCopyMeals(true)}>
+              <Text style={styles.seeAllText}>Copy Meals</Text>
+            </TouchableOpacity>
+          </View>
+          {getTotalScannedMeals() > 0 ? (
+            <View style={styles.mealsCard}>
+              {UserDataService.MEAL_TYPES
+                .filter(mealType => dailyStats[mealType]?.length > 0)
+                .map(mealType => (
+                  <View key={mealType} style={styles.mealGroup}>
+                    <View style={styles.mealGroupHeader}>
+                      <Text style={styles.mealGroupTitle}>
+                        {UserDataService.getMealLabel(mealType)}
+                      </Text>
+                      <TouchableOpacity onPress={() => setTemplateMeal(mealType)}>
+                        <Ionicons name="bookmark-outline" size={16} color="#4CAF50" />
+                      </TouchableOpacity>
+                    </View>
+                    {dailyStats[mealType].map((food, index) => (
+                      <TouchableOpacity
+                        key={food.id || index}
+                        style={styles.mealEntry}
+                        onPress={() => setEditingEntry({ entry: food, mealType })}
+                      >
+                        <Text style={styles.mealEntryName} numberOfLines={1}>
+                          {food.foodName}{food.quantity && food.quantity !== 1 ? ` · ${UserDataService.formatPortion(food)}` : ''}
+                        </Text>
+                        <Text style={styles.mealEntryCalories}>{food.nutrition?.calories || 0} cal</Text>
+                        <Ionicons name="ellipsis-horizontal" size={16} color="#999" />
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                ))}
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.mealsEmptyCard} onPress={() => setShowCopyMeals(true)}>
+              <Ionicons name="copy-outline" size={20} color="#4CAF50" />
+              <Text style={styles.mealsEmptyText}>
+                Nothing logged yet. Same menu as before? Copy meals from an earlier day.
+              </Text>
+            </TouchableOpacity>
+          )}
+        </Animated.View>
+
         {/* Recent Scans */}
         <Animated.View 
           style={[
@@ -516,6 +638,37 @@ const HomeScreen = ({ navigation }) => {
       >
         <Ionicons name="settings" size={24} color="white" />
       </TouchableOpacity>
+
+      {/* Edit / move / delete a logged entry */}
+      <FoodEntryEditor
+        visible={!!editingEntry}
+        entry={editingEntry?.entry}
+        mealType={editingEntry?.mealType}
+        onClose={() => setEditingEntry(null)}
+      />
+
+      {/* 📋 NEW: Saved meals */}
+      <MealTemplatesSheet
+        visible={showTemplates}
+        onClose={() => setShowTemplates(false)}
+      />
+      <SaveTemplateDialog
+        visible={!!templateMeal}
+        items={templateMeal ? dailyStats[templateMeal] || [] : []}
+        mealType={templateMeal}
+        defaultName={templateMeal ? `My ${UserDataService.getMealLabel(templateMeal).toLowerCase()}` : ''}
+        onSaved={(template) => {
+          setTemplateMeal(null);
+          Alert.alert('Meal Saved', `"${template.name}" is ready under Saved Meals.`);
+        }}
+        onClose={() => setTemplateMeal(null)}
+      />
+
+      {/* 📅 NEW: Copy meals from another day */}
+      <CopyMealsSheet
+        visible={showCopyMeals}
+        onClose={() => setShowCopyMeals(false)}
+      />
     </View>
   );
 };
@@ -604,6 +757,9 @@ const styles = StyleSheet.create({
   progressSection: {
     paddingHorizontal: 20,
   },
+  dayNavigator: {
+    marginBottom: 12,
+  },
   progressCards: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -671,6 +827,10 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     marginTop: 18,
   },
+  sectionHint: {
+    fontSize: 12,
+    color: '#999',
+  },
   sectionHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -804,6 +964,72 @@ const styles = StyleSheet.create({
     backgroundColor: '#e0e0e0',
     marginHorizontal: 16,
   },
+  mealsCard: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  mealsEmptyCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  mealsEmptyText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 12,
+  },
+  mealGroup: {
+    paddingVertical: 8,
+  },
+  mealGroupHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  mealGroupTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+  },
+  mealEntry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  mealEntryName: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginRight: 8,
+  },
+  mealEntryCalories: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginRight: 8,
+  },
   recentScans: {
     paddingLeft: 20,
   },
@@ -0,0 +1,419 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useFocusEffect } from '@react-navigation/native';
+import UserDataService from '../services/userDataService';
+import { useData } from '../context/DataContext';
+import MealPickerSheet from '../components/MealPickerSheet';
+import CustomFoodEditor from '../components/CustomFoodEditor';
+
+// 🍳 NEW: Foods the user defines themselves, for anything not on a menu
+const MyFoodsScreen = ({ route, navigation }) => {
+  const { addFoodToMeal, selectedDate, isViewingToday } = useData();
+  const [tab, setTab] = useState('foods'); // foods, recipes
+  const [foods, setFoods] = useState([]);
+  const [recipes, setRecipes] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [pendingFood, setPendingFood] = useState(null); // food data waiting for meal + portion
+  const [editor, setEditor] = useState(null); // { food } while the editor is open
+
+  useEffect(() => {
+    if (route.params?.tab) {
+      setTab(route.params.tab);
+    }
+  }, [route.params?.tab]);
+
+  const loadFoods = async () => {
+    const [customFoods, savedRecipes] = await Promise.all([
+      UserDataService.getCustomFoods(),
+      UserDataService.getRecipes()
+    ]);
+    setFoods(customFoods);
+    setRecipes(savedRecipes);
+    setLoading(false);
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadFoods();
+    }, [])
+  );
+
+  const isRecipes = tab === 'recipes';
+  const items = isRecipes ? recipes : foods;
+  const visibleItems = UserDataService.filterCustomFoods(
+    isRecipes ? recipes.map(recipe => ({ ...recipe, ingredients: recipe.ingredients.map(ingredient => ingredient.name) })) : foods,
+    searchQuery
+  );
+
+  const toFoodData = (item) => isRecipes ?
+    UserDataService.recipeToFoodData(recipes.find(recipe => recipe.id === item.id)) :
+    UserDataService.customFoodToFoodData(item);
+
+  const logFood = async (food, mealType, quantity = 1) => {
+    const foodData = UserDataService.applyPortion(food, quantity);
+    const success = await addFoodToMeal(foodData, mealType);
+    if (!success) {
+      Alert.alert('Error', 'Failed to add to meal. Please try again.');
+      return;
+    }
+
+    const mealLabel = UserDataService.getMealLabel(mealType).toLowerCase();
+    Alert.alert(
+      'Added to Meal! 🍽️',
+      isViewingToday ?
+        `${food.foodName} added to your ${mealLabel}.` :
+        `${food.foodName} added to your ${mealLabel} on ${UserDataService.formatDayLabel(selectedDate)}.`
+    );
+  };
+
+  // One tap logs a single serving into the meal the clock suggests
+  const handleQuickAdd = (item) => {
+    logFood(toFoodData(item), UserDataService.getMealTimeFromHour());
+  };
+
+  const handleEdit = (item) => {
+    if (isRecipes) {
+      navigation.navigate('RecipeBuilder', { recipeId: item.id });
+    } else {
+      setEditor({ food: item });
+    }
+  };
+
+  const handleCreate = () => {
+    if (isRecipes) {
+      navigation.navigate('RecipeBuilder', { recipeId: null });
+    } else {
+      setEditor({ food: null });
+    }
+  };
+
+  const handleMealSelected = (mealType, quantity) => {
+    const food = pendingFood;
+    setPendingFood(null);
+    if (food) {
+      logFood(food, mealType, quantity);
+    }
+  };
+
+  const handleEditorSaved = () => {
+    setEditor(null);
+    loadFoods();
+  };
+
+  const renderFood = ({ item }) => (
+    <TouchableOpacity
+      style={styles.foodCard}
+      onPress={() => setPendingFood(toFoodData(item))}
+      onLongPress={() => handleEdit(item)}
+      activeOpacity={0.8}
+    >
+      <View style={styles.foodInfo}>
+        <View style={styles.foodNameRow}>
+          <View style={[styles.vegDot, { backgroundColor: item.isVeg ? '#4CAF50' : '#F44336' }]} />
+          <Text style={styles.foodName} numberOfLines={1}>{item.name}</Text>
+        </View>
+        <Text style={styles.foodServing} numberOfLines={1}>
+          {isRecipes ?
+            `${item.ingredients.length} ingredient${item.ingredients.length !== 1 ? 's' : ''} · makes ${item.servings}` :
+            `${item.servingSize}${item.servingGrams ? ` · ${item.servingGrams}g` : ''}`}
+        </Text>
+        <Text style={styles.foodNutrition}>
+          {isRecipes ? 'Per serving: ' : ''}
+          {Math.round(item.nutrition.calories)} cal · {item.nutrition.protein}g protein · {item.nutrition.carbs}g carbs · {item.nutrition.fat}g fat
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.editButton} onPress={() => handleEdit(item)}>
+        <Ionicons name="create-outline" size={20} color="#666" />
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.quickAddButton} onPress={() => handleQuickAdd(item)}>
+        <Ionicons name="add" size={22} color="white" />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <LinearGradient
+        colors={['#4CAF50', '#45a049']}
+        style={styles.header}
+      >
+        <View style={styles.headerContent}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Ionicons name="arrow-back" size={24} color="white" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>My Foods</Text>
+          <TouchableOpacity style={styles.backButton} onPress={handleCreate}>
+            <Ionicons name="add" size={24} color="white" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.tabs}>
+          {[{ key: 'foods', label: 'Foods' }, { key: 'recipes', label: 'Recipes' }].map(item => (
+            <TouchableOpacity
+              key={item.key}
+              style={[styles.tab, tab === item.key && styles.tabActive]}
+              onPress={() => setTab(item.key)}
+            >
+              <Text style={[styles.tabText, tab === item.key && styles.tabTextActive]}>{item.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </LinearGradient>
+
+      {/* Search Bar */}
+      <View style={styles.searchContainer}>
+        <Ionicons name="search" size={20} color="#666" />
+        <TextInput
+          style={styles.searchInput}
+          placeholder={isRecipes ? 'Search recipes...' : 'Search my foods...'}
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholderTextColor="#999"
+        />
+        {searchQuery.length > 0 && (
+          <TouchableOpacity onPress={() => setSearchQuery('')}>
+            <Ionicons name="close-circle" size={20} color="#999" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={visibleItems}
+        renderItem={renderFood}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.listContainer}
+        showsVerticalScrollIndicator={false}
+        ListHeaderComponent={items.length > 0 ? (
+          <Text style={styles.hintText}>Tap + to log one serving to {UserDataService.getMealLabel(UserDataService.getMealTimeFromHour()).toLowerCase()}, or tap a food to pick the meal and portion.</Text>
+        ) : null}
+        ListEmptyComponent={!loading && (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="restaurant-outline" size={64} color="#ccc" />
+            <Text style={styles.emptyText}>
+              {items.length > 0 ? 'Nothing found' : (isRecipes ? 'No recipes yet' : 'No foods yet')}
+            </Text>
+            <Text style={styles.emptySubtext}>
+              {items.length > 0 ?
+                'Try a different search' :
+                (isRecipes ?
+                  'Combine ingredients and the app works out nutrition per serving' :
+                  'Add the things you cook or buy that aren\'t on any menu')}
+            </Text>
+            {items.length === 0 && (
+              <TouchableOpacity style={styles.createButton} onPress={handleCreate}>
+                <Ionicons name="add" size={18} color="white" />
+                <Text style={styles.createButtonText}>{isRecipes ? 'Create Recipe' : 'Create Food'}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      />
+
+      <MealPickerSheet
+        visible={!!pendingFood}
+        food={pendingFood}
+        onSelect={handleMealSelected}
+        onClose={() => setPendingFood(null)}
+      />
+
+      <CustomFoodEditor
+        visible={!!editor}
+        food={editor?.food}
+        onSave={handleEditorSaved}
+        onDelete={handleEditorSaved}
+        onClose={() => setEditor(null)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    paddingTop: 44,
+    paddingBottom: 20,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  tabs: {
+    flexDirection: 'row',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    borderRadius: 12,
+    padding: 4,
+    marginHorizontal: 20,
+    marginTop: 16,
+  },
+  tab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 10,
+  },
+  tabActive: {
+    backgroundColor: 'white',
+  },
+  tabText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: 'white',
+  },
+  tabTextActive: {
+    color: '#4CAF50',
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    marginHorizontal: 20,
+    marginTop: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 25,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  searchInput: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  listContainer: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 12,
+  },
+  foodCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  foodInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  foodNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  vegDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  foodName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  foodServing: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  foodNutrition: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  editButton: {
+    width: 36,
+    height: 36,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  quickAddButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#4CAF50',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 4,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#999',
+    marginTop: 8,
+    textAlign: 'center',
+    paddingHorizontal: 20,
+  },
+  createButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#4CAF50',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 25,
+    marginTop: 20,
+  },
+  createButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
+
+export default MyFoodsScreen;
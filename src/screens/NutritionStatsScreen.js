@@ -12,59 +12,123 @@ import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import UserDataService from '../services/userDataService';
 import { useData } from '../context/DataContext'; // 🔧 Already imported
+import FoodEntryEditor from '../components/FoodEntryEditor';
+import DayNavigator from '../components/DayNavigator';
+import HydrationCard from '../components/HydrationCard';
 
 const { width } = Dimensions.get('window');
 
+const PERIODS = ['today', 'week', 'month', 'custom'];
+// "today" shows whichever day is selected in DataContext
+const PERIOD_LABELS = { today: 'Day', week: 'Week', month: 'Month', custom: 'Custom' };
+const CUSTOM_PRESETS = [14, 30, 90];
+const MAX_CUSTOM_DAYS = 366;
+
+const formatDay = (dateStr, options = { weekday: 'short', month: 'short', day: 'numeric' }) =>
+  UserDataService.parseDateKey(dateStr).toLocaleDateString('en-US', options);
+
 const NutritionStatsScreen = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
-  const [selectedPeriod, setSelectedPeriod] = useState('today'); // today, week, month
-  const [weeklyData, setWeeklyData] = useState([]);
+  const [selectedPeriod, setSelectedPeriod] = useState('today'); // today, week, month, custom
+  const [rangeData, setRangeData] = useState(null);
+  const [monthlyData, setMonthlyData] = useState([]);
+  const [monthStart, setMonthStart] = useState(() => UserDataService.getMonthBounds().start);
+  const [customRange, setCustomRange] = useState(() => {
+    const end = UserDataService.getDateKey();
+    return { start: UserDataService.shiftDateKey(end, -13), end };
+  });
   const [loading, setLoading] = useState(false); // Changed: no longer main loading state
+  const [editingEntry, setEditingEntry] = useState(null); // { entry, mealType }
 
   // 🔧 UPDATED: Use DataContext for real-time data
   const { 
     dailyStats, 
     userGoals, 
     loading: dataLoading,
-    refreshData 
+    refreshData,
+    selectedDate,
+    isViewingToday,
+    getIntakeRange,
+    getMonthlyAggregates
   } = useData();
 
-
-
   useEffect(() => {
-    // Only load weekly data when needed, today's data comes from context
-    if (selectedPeriod === 'week') {
-      loadWeeklyData();
+    // Only load range data when needed, today's data comes from context
+    if (selectedPeriod !== 'today') {
+      loadRangeData();
     }
-  }, [selectedPeriod]);
+  }, [selectedPeriod, monthStart, customRange.start, customRange.end]);
 
-  // 🔧 UPDATED: Only load weekly data separately
-  const loadWeeklyData = async () => {
+  const getRangeBounds = () => {
+    const todayKey = UserDataService.getDateKey();
+    if (selectedPeriod === 'month') {
+      const { start, end } = UserDataService.getMonthBounds(monthStart);
+      return { start, end: end > todayKey ? todayKey : end };
+    }
+    if (selectedPeriod === 'custom') {
+      return customRange;
+    }
+    return { start: UserDataService.shiftDateKey(todayKey, -6), end: todayKey };
+  };
+
+  // 📅 NEW: Week, month and custom periods all come from one range query
+  const loadRangeData = async () => {
     try {
       setLoading(true);
-      const weekly = await UserDataService.getWeeklyData();
-      setWeeklyData(weekly);
+      const { start, end } = getRangeBounds();
+      const [range, months] = await Promise.all([
+        getIntakeRange(start, end),
+        selectedPeriod === 'custom' ? getMonthlyAggregates(start, end) : []
+      ]);
+      setRangeData(range);
+      setMonthlyData(months || []);
     } catch (error) {
-      console.error('Error loading weekly stats:', error);
+      console.error('Error loading range stats:', error);
     } finally {
       setLoading(false);
     }
   };
 
-  // 🔧 UPDATED: Use context refresh for today, load weekly if needed
+  // 🔧 UPDATED: Use context refresh for today, reload the range if needed
   const onRefresh = React.useCallback(async () => {
     setRefreshing(true);
     
     // Always refresh context data
     await refreshData();
     
-    // Also refresh weekly data if that's the selected period
-    if (selectedPeriod === 'week') {
-      await loadWeeklyData();
+    // Also refresh range data if a range period is selected
+    if (selectedPeriod !== 'today') {
+      await loadRangeData();
     }
     
     setRefreshing(false);
-  }, [selectedPeriod, refreshData]);
+  }, [selectedPeriod, monthStart, customRange, refreshData]);
+
+  const shiftMonth = (delta) => {
+    const date = UserDataService.parseDateKey(monthStart);
+    date.setDate(1);
+    date.setMonth(date.getMonth() + delta);
+    const { start } = UserDataService.getMonthBounds(date);
+    if (start <= UserDataService.getDateKey()) {
+      setMonthStart(start);
+    }
+  };
+
+  // Keeps start <= end <= today and the span within MAX_CUSTOM_DAYS
+  const shiftCustomBound = (bound, delta) => {
+    setCustomRange(prev => {
+      const todayKey = UserDataService.getDateKey();
+      const next = { ...prev, [bound]: UserDataService.shiftDateKey(prev[bound], delta) };
+      if (next.end > todayKey || next.start > next.end) return prev;
+      if (UserDataService.shiftDateKey(next.start, MAX_CUSTOM_DAYS - 1) < next.end) return prev;
+      return next;
+    });
+  };
+
+  const applyCustomPreset = (days) => {
+    const end = UserDataService.getDateKey();
+    setCustomRange({ start: UserDataService.shiftDateKey(end, -(days - 1)), end });
+  };
 
   const getProgressPercentage = (current, target) => {
     return Math.min((current / target) * 100, 100);
@@ -86,7 +150,9 @@ const NutritionStatsScreen = ({ navigation }) => {
       <View>
         {/* Macro Overview */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Today's Macros</Text>
+          <Text style={styles.sectionTitle}>
+            {isViewingToday ? "Today's Macros" : `Macros · ${UserDataService.formatDayLabel(selectedDate)}`}
+          </Text>
           <View style={styles.macroGrid}>
             {/* Calories */}
             <View style={styles.macroCard}>
@@ -176,12 +242,14 @@ const NutritionStatsScreen = ({ navigation }) => {
 
         {/* Meals Breakdown */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Meals Today</Text>
-          {['breakfast', 'lunch', 'snacks', 'dinner'].map(mealType => (
+          <Text style={styles.sectionTitle}>
+            {isViewingToday ? 'Meals Today' : `Meals · ${UserDataService.formatDayLabel(selectedDate)}`}
+          </Text>
+          {UserDataService.MEAL_TYPES.map(mealType => (
             <View key={mealType} style={styles.mealCard}>
               <View style={styles.mealHeader}>
                 <Text style={styles.mealTitle}>
-                  {mealType.charAt(0).toUpperCase() + mealType.slice(1)}
+                  {UserDataService.getMealLabel(mealType)}
                 </Text>
                 <Text style={styles.mealCount}>
                   {dailyStats[mealType]?.length || 0} item{(dailyStats[mealType]?.length || 0) !== 1 ? 's' : ''}
@@ -189,10 +257,17 @@ const NutritionStatsScreen = ({ navigation }) => {
               </View>
               
               {dailyStats[mealType]?.map((food, index) => (
-                <View key={food.id || index} style={styles.foodItem}>
-                  <Text style={styles.foodName}>{food.foodName}</Text>
+                <TouchableOpacity
+                  key={food.id || index}
+                  style={styles.foodItem}
+                  onPress={() => setEditingEntry({ entry: food, mealType })}
+                >
+                  <Text style={styles.foodName}>
+                    {food.foodName}{food.quantity && food.quantity !== 1 ? ` · ${UserDataService.formatPortion(food)}` : ''}
+                  </Text>
                   <Text style={styles.foodCalories}>{food.nutrition?.calories || 0} cal</Text>
-                </View>
+                  <Ionicons name="create-outline" size={16} color="#999" style={styles.editIcon} />
+                </TouchableOpacity>
               ))}
               
               {(!dailyStats[mealType] || dailyStats[mealType].length === 0) && (
@@ -202,6 +277,12 @@ const NutritionStatsScreen = ({ navigation }) => {
           ))}
         </View>
 
+        {/* 💧 NEW: Hydration */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Hydration</Text>
+          <HydrationCard />
+        </View>
+
         {/* Micronutrients */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Micronutrients</Text>
@@ -234,46 +315,167 @@ const NutritionStatsScreen = ({ navigation }) => {
     );
   };
 
-  const renderWeeklyStats = () => {
-    if (weeklyData.length === 0) return null;
+  const renderMonthNavigator = () => (
+    <View style={styles.section}>
+      <View style={styles.rangeNavigator}>
+        <TouchableOpacity style={styles.rangeNavButton} onPress={() => shiftMonth(-1)}>
+          <Ionicons name="chevron-back" size={20} color="#4CAF50" />
+        </TouchableOpacity>
+        <Text style={styles.rangeNavLabel}>
+          {formatDay(monthStart, { month: 'long', year: 'numeric' })}
+        </Text>
+        <TouchableOpacity style={styles.rangeNavButton} onPress={() => shiftMonth(1)}>
+          <Ionicons name="chevron-forward" size={20} color="#4CAF50" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
 
-    const weeklyAvg = {
-      calories: Math.round(weeklyData.reduce((sum, day) => sum + day.calories, 0) / weeklyData.length),
-      protein: Math.round(weeklyData.reduce((sum, day) => sum + day.protein, 0) / weeklyData.length * 10) / 10,
-      mealsCount: Math.round(weeklyData.reduce((sum, day) => sum + day.mealsCount, 0) / weeklyData.length * 10) / 10
-    };
+  const renderCustomRangePicker = () => (
+    <View style={styles.section}>
+      <View style={styles.presetRow}>
+        {CUSTOM_PRESETS.map(days => (
+          <TouchableOpacity key={days} style={styles.presetChip} onPress={() => applyCustomPreset(days)}>
+            <Text style={styles.presetChipText}>Last {days} days</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {['start', 'end'].map(bound => (
+        <View key={bound} style={styles.rangeNavigator}>
+          <Text style={styles.rangeBoundLabel}>{bound === 'start' ? 'From' : 'To'}</Text>
+          <TouchableOpacity style={styles.rangeNavButton} onPress={() => shiftCustomBound(bound, -1)}>
+            <Ionicons name="chevron-back" size={20} color="#4CAF50" />
+          </TouchableOpacity>
+          <Text style={styles.rangeNavLabel}>
+            {formatDay(customRange[bound], { month: 'short', day: 'numeric', year: 'numeric' })}
+          </Text>
+          <TouchableOpacity style={styles.rangeNavButton} onPress={() => shiftCustomBound(bound, 1)}>
+            <Ionicons name="chevron-forward" size={20} color="#4CAF50" />
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderRangeStats = () => {
+    if (!rangeData) return null;
+
+    const { averages, mealTotals, loggedDays, dayCount } = rangeData;
+    const titles = { week: 'Weekly Overview', month: 'Monthly Overview', custom: 'Range Overview' };
+    const totalMealCalories = Object.values(mealTotals).reduce((sum, meal) => sum + meal.calories, 0);
+    // The week shows every day; longer ranges only list days with food logged
+    const breakdownDays = selectedPeriod === 'week' ?
+      rangeData.days :
+      rangeData.days.filter(day => day.mealsCount > 0);
+    const waterGoal = userGoals?.waterMl || UserDataService.DEFAULT_GOALS.waterMl;
+    const waterDays = selectedPeriod === 'week' ?
+      rangeData.days :
+      rangeData.days.filter(day => day.waterMl > 0);
+    const waterLoggedDays = rangeData.days.filter(day => day.waterMl > 0);
+    const averageWater = waterLoggedDays.length > 0 ?
+      waterLoggedDays.reduce((sum, day) => sum + day.waterMl, 0) / waterLoggedDays.length :
+      0;
 
     return (
       <View>
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Weekly Overview</Text>
+          <Text style={styles.sectionTitle}>{titles[selectedPeriod]}</Text>
+          <Text style={styles.rangeSubtitle}>Logged {loggedDays} of {dayCount} days</Text>
           <View style={styles.weeklyGrid}>
             <View style={styles.weeklyCard}>
-              <Text style={styles.weeklyValue}>{weeklyAvg.calories}</Text>
+              <Text style={styles.weeklyValue}>{averages.calories}</Text>
               <Text style={styles.weeklyLabel}>Avg Calories/Day</Text>
             </View>
             <View style={styles.weeklyCard}>
-              <Text style={styles.weeklyValue}>{weeklyAvg.protein}g</Text>
+              <Text style={styles.weeklyValue}>{averages.protein}g</Text>
               <Text style={styles.weeklyLabel}>Avg Protein/Day</Text>
             </View>
             <View style={styles.weeklyCard}>
-              <Text style={styles.weeklyValue}>{weeklyAvg.mealsCount}</Text>
+              <Text style={styles.weeklyValue}>{averages.mealsCount}</Text>
               <Text style={styles.weeklyLabel}>Avg Meals/Day</Text>
             </View>
           </View>
         </View>
 
+        {/* 💧 NEW: Water per day */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Hydration</Text>
+          <View style={styles.weeklyGrid}>
+            <View style={styles.weeklyCard}>
+              <Text style={styles.weeklyValue}>{UserDataService.formatWater(averageWater)}</Text>
+              <Text style={styles.weeklyLabel}>Avg Water/Day</Text>
+            </View>
+            <View style={styles.weeklyCard}>
+              <Text style={styles.weeklyValue}>
+                {rangeData.days.filter(day => day.waterMl >= waterGoal).length}/{dayCount}
+              </Text>
+              <Text style={styles.weeklyLabel}>Days Goal Met</Text>
+            </View>
+          </View>
+          <View style={styles.waterHistory}>
+            {waterDays.map(dayData => (
+              <View key={dayData.date} style={styles.dayCard}>
+                <Text style={styles.dayDate}>{formatDay(dayData.date)}</Text>
+                <View style={styles.waterBar}>
+                  <View
+                    style={[
+                      styles.waterBarFill,
+                      { width: `${Math.min(dayData.waterMl / waterGoal * 100, 100)}%` }
+                    ]}
+                  />
+                </View>
+                <Text style={styles.dayStat}>{UserDataService.formatWater(dayData.waterMl)}</Text>
+              </View>
+            ))}
+            {waterDays.length === 0 && (
+              <Text style={styles.emptyMeal}>No water logged in this period</Text>
+            )}
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>By Meal</Text>
+          {UserDataService.MEAL_TYPES.map(mealType => {
+            const meal = mealTotals[mealType];
+            const share = totalMealCalories > 0 ? Math.round(meal.calories / totalMealCalories * 100) : 0;
+            return (
+              <View key={mealType} style={styles.dayCard}>
+                <Text style={styles.dayDate}>
+                  {UserDataService.getMealLabel(mealType)}
+                </Text>
+                <View style={styles.dayStats}>
+                  <Text style={styles.dayStat}>{meal.calories} cal</Text>
+                  <Text style={styles.dayStat}>{share}% of calories</Text>
+                  <Text style={styles.dayStat}>{meal.items} item{meal.items !== 1 ? 's' : ''}</Text>
+                </View>
+              </View>
+            );
+          })}
+        </View>
+
+        {monthlyData.length > 1 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>By Month</Text>
+            {monthlyData.map(month => (
+              <View key={month.month} style={styles.dayCard}>
+                <Text style={styles.dayDate}>
+                  {formatDay(`${month.month}-01`, { month: 'short', year: 'numeric' })}
+                </Text>
+                <View style={styles.dayStats}>
+                  <Text style={styles.dayStat}>{month.averages.calories} cal/day</Text>
+                  <Text style={styles.dayStat}>{month.averages.protein}g protein/day</Text>
+                  <Text style={styles.dayStat}>{month.loggedDays}/{month.dayCount} days</Text>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Daily Breakdown</Text>
-          {weeklyData.map((dayData, index) => (
+          {breakdownDays.map(dayData => (
             <View key={dayData.date} style={styles.dayCard}>
-              <Text style={styles.dayDate}>
-                {new Date(dayData.date).toLocaleDateString('en-US', { 
-                  weekday: 'short', 
-                  month: 'short', 
-                  day: 'numeric' 
-                })}
-              </Text>
+              <Text style={styles.dayDate}>{formatDay(dayData.date)}</Text>
               <View style={styles.dayStats}>
                 <Text style={styles.dayStat}>{dayData.calories} cal</Text>
                 <Text style={styles.dayStat}>{dayData.protein}g protein</Text>
@@ -281,13 +483,16 @@ const NutritionStatsScreen = ({ navigation }) => {
               </View>
             </View>
           ))}
+          {breakdownDays.length === 0 && (
+            <Text style={styles.emptyMeal}>No food logged in this period</Text>
+          )}
         </View>
       </View>
     );
   };
 
-  // 🔧 UPDATED: Check both data loading and weekly loading
-  const isLoading = dataLoading || (selectedPeriod === 'week' && loading);
+  // 🔧 UPDATED: Check both data loading and range loading
+  const isLoading = dataLoading || (selectedPeriod !== 'today' && loading);
 
   return (
     <View style={styles.container}>
@@ -309,7 +514,7 @@ const NutritionStatsScreen = ({ navigation }) => {
 
         {/* Period Selector */}
         <View style={styles.periodSelector}>
-          {['today', 'week'].map(period => (
+          {PERIODS.map(period => (
             <TouchableOpacity
               key={period}
               style={[
@@ -322,7 +527,7 @@ const NutritionStatsScreen = ({ navigation }) => {
                 styles.periodButtonText,
                 selectedPeriod === period && styles.activePeriodButtonText
               ]}>
-                {period.charAt(0).toUpperCase() + period.slice(1)}
+                {PERIOD_LABELS[period]}
               </Text>
             </TouchableOpacity>
           ))}
@@ -337,6 +542,14 @@ const NutritionStatsScreen = ({ navigation }) => {
         }
         showsVerticalScrollIndicator={false}
       >
+        {selectedPeriod === 'today' && (
+          <View style={styles.section}>
+            <DayNavigator style={styles.dayNavigator} />
+          </View>
+        )}
+        {selectedPeriod === 'month' && renderMonthNavigator()}
+        {selectedPeriod === 'custom' && renderCustomRangePicker()}
+
         {isLoading ? (
           <View style={styles.loadingContainer}>
             <Ionicons name="analytics" size={48} color="#4CAF50" />
@@ -345,12 +558,20 @@ const NutritionStatsScreen = ({ navigation }) => {
         ) : (
           <>
             {selectedPeriod === 'today' && renderTodayStats()}
-            {selectedPeriod === 'week' && renderWeeklyStats()}
+            {selectedPeriod !== 'today' && renderRangeStats()}
           </>
         )}
 
         <View style={styles.bottomSpacing} />
       </ScrollView>
+
+      {/* Edit / move / delete a logged entry */}
+      <FoodEntryEditor
+        visible={!!editingEntry}
+        entry={editingEntry?.entry}
+        mealType={editingEntry?.mealType}
+        onClose={() => setEditingEntry(null)}
+      />
     </View>
   );
 };
@@ -530,6 +751,9 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#4CAF50',
   },
+  editIcon: {
+    marginLeft: 8,
+  },
   emptyMeal: {
     fontSize: 14,
     color: '#999',
@@ -620,7 +844,84 @@ const styles = StyleSheet.create({
     color: '#666',
     marginLeft: 16,
   },
+  waterHistory: {
+    marginTop: 12,
+  },
+  waterBar: {
+    flex: 1,
+    height: 6,
+    backgroundColor: '#E3F2FD',
+    borderRadius: 3,
+    marginLeft: 16,
+    overflow: 'hidden',
+  },
+  waterBarFill: {
+    height: '100%',
+    backgroundColor: '#2196F3',
+    borderRadius: 3,
+  },
   // 🔧 NEW: Real-time update indicator styles
+  dayNavigator: {
+    marginTop: 12,
+  },
+  rangeSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  rangeNavigator: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 8,
+    marginTop: 12,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+  },
+  rangeNavButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#E8F5E8',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  rangeNavLabel: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+    textAlign: 'center',
+  },
+  rangeBoundLabel: {
+    width: 44,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+  },
+  presetRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  presetChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#E8F5E8',
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  presetChipText: {
+    fontSize: 12,
+    color: '#4CAF50',
+    fontWeight: '600',
+  },
   updateIndicator: {
     flexDirection: 'row',
     alignItems: 'center',
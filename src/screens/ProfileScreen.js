@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   Text,
@@ -16,14 +16,24 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
+import { useFocusEffect } from '@react-navigation/native';
 import UserDataService from '../services/userDataService';
 import NotificationService from '../services/notificationService';
+import ExportService from '../services/exportService';
+import SyncService from '../services/syncService';
 import { useTheme } from '../context/ThemeContext'; // 🌙 Using your ThemeContext
+import { useData } from '../context/DataContext';
+import MealWindowsEditor from '../components/MealWindowsEditor';
+import MealTypesEditor from '../components/MealTypesEditor';
+import SyncSettingsSheet from '../components/SyncSettingsSheet';
+import RecognitionSettingsSheet from '../components/RecognitionSettingsSheet';
+import RecognitionCache from '../services/recognitionCache';
 
 const { width } = Dimensions.get('window');
 
 const ProfileScreen = ({ navigation }) => {
   const { theme, isDarkMode, toggleTheme } = useTheme(); // 🌙 Get theme values
+  const { refreshData } = useData();
 
   const [profile, setProfile] = useState({
     name: 'User',
@@ -34,6 +44,9 @@ const ProfileScreen = ({ navigation }) => {
     gender: 'male',
     activityLevel: 'moderate',
     goal: 'maintain', // maintain, lose, gain
+    dayStartHour: 0,
+    waterUnit: 'glasses',
+    glassSizeMl: 250,
     joinDate: new Date().toISOString()
   });
 
@@ -42,7 +55,6 @@ const ProfileScreen = ({ navigation }) => {
     darkMode: false,
     units: 'metric', // metric or imperial
     language: 'en',
-    autoSync: true,
     weeklyReports: true
   });
 
@@ -51,6 +63,10 @@ const ProfileScreen = ({ navigation }) => {
   const [loading, setLoading] = useState(true);
   const [editMode, setEditMode] = useState(false);
   const [showStatsModal, setShowStatsModal] = useState(false);
+  const [showMealWindows, setShowMealWindows] = useState(false);
+  const [showMealTypes, setShowMealTypes] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+  const [showRecognition, setShowRecognition] = useState(false);
   
   // 🔧 FIXED: Use state for streak to prevent random changes
   const [streakDays, setStreakDays] = useState(1);
@@ -77,6 +93,19 @@ const ProfileScreen = ({ navigation }) => {
     ]).start();
   }, []);
 
+  // ⚖️ NEW: Pick up weigh-ins and goals changed on the Weight screen, and
+  // anything sync pulled in meanwhile
+  useFocusEffect(
+    useCallback(() => {
+      if (editMode) return;
+      UserDataService.getUserProfile().then(userProfile => {
+        if (userProfile) {
+          setProfile(prev => ({ ...prev, ...userProfile }));
+        }
+      });
+    }, [editMode])
+  );
+
   // 🔧 UPDATED: Load user data with real streak calculation
   const loadUserData = async () => {
     try {
@@ -116,42 +145,21 @@ const ProfileScreen = ({ navigation }) => {
 
   // 🔧 NEW: Real streak calculation based on actual data
   const calculateRealStreak = async () => {
-    try {
-      const today = new Date();
-      let streak = 0;
-      
-      // Check last 30 days for consistent tracking
-      for (let i = 0; i < 30; i++) {
-        const checkDate = new Date(today);
-        checkDate.setDate(today.getDate() - i);
-        
-        const dayIntake = await UserDataService.getDailyIntake(checkDate);
-        const hasMealsLogged = ['breakfast', 'lunch', 'snacks', 'dinner'].some(meal => 
-          dayIntake[meal] && dayIntake[meal].length > 0
-        );
-        
-        if (hasMealsLogged) {
-          streak++;
-        } else {
-          break; // Streak is broken
-        }
-      }
-      
-      // Return at least 1 if user has any meals today
-      const todayMeals = getTotalScans();
-      return Math.max(streak, todayMeals > 0 ? 1 : 0);
-      
-    } catch (error) {
-      console.error('Error calculating streak:', error);
-      // Fallback: return 1 if user has meals today, 0 otherwise
-      return getTotalScans() > 0 ? 1 : 0;
-    }
+    const streak = await UserDataService.calculateStreak();
+
+    // Return at least 1 if user has any meals today
+    const todayMeals = getTotalScans();
+    return Math.max(streak, todayMeals > 0 ? 1 : 0);
   };
 
+  // Only the fields this screen edits are saved, so a goal set on the Weight
+  // screen or a profile pulled by sync isn't overwritten with stale values
   const saveProfile = async () => {
     try {
-      const success = await UserDataService.saveUserProfile(profile);
-      if (success) {
+      const { name, weight, height, age, gender, activityLevel } = profile;
+      const saved = await UserDataService.updateUserProfile({ name, weight, height, age, gender, activityLevel });
+      if (saved) {
+        setProfile(prev => ({ ...prev, ...saved }));
         setEditMode(false);
         Alert.alert('Success!', 'Your profile has been updated.');
         
@@ -182,7 +190,7 @@ const ProfileScreen = ({ navigation }) => {
 
   const getTotalScans = () => {
     return dailyStats ? 
-      ['breakfast', 'lunch', 'snacks', 'dinner'].reduce((total, meal) => 
+      UserDataService.MEAL_TYPES.reduce((total, meal) => 
         total + (dailyStats[meal]?.length || 0), 0
       ) : 0;
   };
@@ -218,6 +226,55 @@ const ProfileScreen = ({ navigation }) => {
     }
   };
 
+  // 🕐 NEW: Late-night meals count towards the previous day until this hour
+  const changeDayStartHour = async (delta) => {
+    const nextHour = UserDataService.clampDayStartHour((profile.dayStartHour || 0) + delta);
+    if (nextHour === (profile.dayStartHour || 0)) return;
+
+    const savedHour = await UserDataService.setDayStartHour(nextHour);
+    if (savedHour === null) {
+      Alert.alert('Error', 'Failed to update day start. Please try again.');
+      return;
+    }
+    setProfile(prev => ({ ...prev, dayStartHour: savedHour }));
+    await refreshData();
+  };
+
+  const formatHour = (hour) => UserDataService.formatHour(hour);
+
+  // 💧 NEW: Water is logged a glass at a time and shown in glasses or ml
+  const saveWaterSettings = async (changes) => {
+    const settings = await UserDataService.saveWaterSettings({ ...UserDataService.getWaterSettings(), ...changes });
+    if (!settings) {
+      Alert.alert('Error', 'Failed to update water settings. Please try again.');
+      return;
+    }
+    setProfile(prev => ({ ...prev, waterUnit: settings.unit, glassSizeMl: settings.glassSizeMl }));
+    await refreshData();
+  };
+
+  // 🍽️ NEW: Meal windows drive the meal suggestion and missed-meal reminders
+  const saveMealWindows = async (windows) => {
+    const savedWindows = await UserDataService.saveMealWindows(windows);
+    if (!savedWindows) {
+      Alert.alert('Error', 'Failed to save meal times. Please try again.');
+      return;
+    }
+    setProfile(prev => ({ ...prev, mealWindows: savedWindows }));
+    setShowMealWindows(false);
+    await NotificationService.rescheduleMealReminders();
+  };
+
+  // 🍽️ NEW: Custom meal types are saved by the editor as they change
+  const handleMealTypesChange = async (mealTypes) => {
+    setProfile(prev => ({
+      ...prev,
+      mealTypes,
+      mealWindows: UserDataService.getMealWindows()
+    }));
+    await Promise.all([refreshData(), NotificationService.rescheduleMealReminders()]);
+  };
+
   const exportData = () => {
     Alert.alert(
       'Export Data',
@@ -230,15 +287,79 @@ const ProfileScreen = ({ navigation }) => {
     );
   };
 
-  const handleExport = (format) => {
-    // Implementation for data export
-    Alert.alert('Success!', `Data exported as ${format.toUpperCase()} format.`);
+  const handleExport = async (format) => {
+    const result = await ExportService.exportData(format);
+    if (!result) {
+      Alert.alert('Export Failed', 'Could not export your data. Please try again.');
+      return;
+    }
+
+    if (!result.shared) {
+      Alert.alert(
+        'Export Saved',
+        `${result.days} day${result.days !== 1 ? 's' : ''} exported as ${format.toUpperCase()} to:\n${result.uri}`
+      );
+    }
+  };
+
+  const importData = async () => {
+    try {
+      const backup = await ExportService.readBackupFile();
+      if (!backup) return; // Picker cancelled
+
+      const { valid, errors } = UserDataService.validateBackup(backup);
+      if (!valid) {
+        Alert.alert('Invalid Backup', errors.slice(0, 3).join('\n'));
+        return;
+      }
+
+      const { merge, replace } = await UserDataService.previewImport(backup);
+      Alert.alert(
+        'Import Data',
+        `Merge: ${merge.newDays} new day${merge.newDays !== 1 ? 's' : ''}, ` +
+        `${merge.changedDays} updated, ${merge.entriesAdded} entries added ` +
+        `(${merge.duplicatesSkipped} duplicates skipped).\n\n` +
+        `Replace: removes ${replace.daysRemoved} day${replace.daysRemoved !== 1 ? 's' : ''} ` +
+        `(${replace.entriesRemoved} entries) and restores ${replace.daysRestored} ` +
+        `(${replace.entriesRestored} entries), including goals and profile.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Merge', onPress: () => runImport(backup, 'merge') },
+          {
+            text: 'Replace',
+            style: 'destructive',
+            onPress: () => Alert.alert(
+              'Replace All Data?',
+              'Your current history will be deleted and replaced with the backup.',
+              [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Replace', style: 'destructive', onPress: () => runImport(backup, 'replace') }
+              ]
+            )
+          }
+        ]
+      );
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      Alert.alert('Import Failed', error.message || 'Could not read the selected file.');
+    }
+  };
+
+  const runImport = async (backup, mode) => {
+    const result = await UserDataService.importBackup(backup, mode);
+    if (!result) {
+      Alert.alert('Import Failed', 'Could not import the backup. Please try again.');
+      return;
+    }
+
+    await Promise.all([loadUserData(), refreshData()]);
+    Alert.alert('Import Complete', `${result.days} day${result.days !== 1 ? 's' : ''} imported.`);
   };
 
   const clearData = () => {
     Alert.alert(
       'Clear All Data',
-      'This will permanently delete all your nutrition data. Are you sure?',
+      'This will permanently delete all your nutrition data on this device. Anything already synced stays on your sync server. Are you sure?',
       [
         { text: 'Cancel', style: 'cancel' },
         { 
@@ -246,7 +367,11 @@ const ProfileScreen = ({ navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await UserDataService.clearAllData();
+              if (!await SyncService.clearLocalData()) {
+                Alert.alert('Error', 'Failed to clear data.');
+                return;
+              }
+              await RecognitionCache.clear();
               Alert.alert('Success!', 'All data has been cleared.');
               navigation.goBack();
             } catch (error) {
@@ -384,7 +509,11 @@ const ProfileScreen = ({ navigation }) => {
           <Text style={styles.sectionTitle}>Health Metrics</Text>
           
           <View style={styles.metricsRow}>
-            <View style={styles.metricCard}>
+            <TouchableOpacity
+              style={styles.metricCard}
+              onPress={() => navigation.navigate('Weight')}
+              disabled={editMode}
+            >
               <Text style={styles.metricValue}>
                 {editMode ? (
                   <TextInput
@@ -398,7 +527,7 @@ const ProfileScreen = ({ navigation }) => {
                 )}
               </Text>
               <Text style={styles.metricLabel}>Weight</Text>
-            </View>
+            </TouchableOpacity>
             
             <View style={styles.metricCard}>
               <Text style={styles.metricValue}>
@@ -594,6 +723,134 @@ const ProfileScreen = ({ navigation }) => {
                 value={preferences.weeklyReports}
               />
             </View>
+
+            <View style={styles.divider} />
+
+            {/* 🔄 NEW: Share data between devices */}
+            <TouchableOpacity style={styles.preferenceRow} onPress={() => setShowSync(true)}>
+              <View style={styles.preferenceIcon}>
+                <Ionicons name="sync" size={20} color="#009688" />
+              </View>
+              <View style={styles.preferenceContent}>
+                <Text style={styles.preferenceTitle}>Sync Devices</Text>
+                <Text style={styles.preferenceDescription}>Share your log with a phone or tablet</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color={theme.textSecondary} />
+            </TouchableOpacity>
+
+            <View style={styles.divider} />
+
+            {/* 🤖 NEW: Choose the AI behind the scanner */}
+            <TouchableOpacity style={styles.preferenceRow} onPress={() => setShowRecognition(true)}>
+              <View style={styles.preferenceIcon}>
+                <Ionicons name="sparkles" size={20} color="#FF9800" />
+              </View>
+              <View style={styles.preferenceContent}>
+                <Text style={styles.preferenceTitle}>Food Recognition</Text>
+                <Text style={styles.preferenceDescription}>AI provider and models for photo scans</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color={theme.textSecondary} />
+            </TouchableOpacity>
+
+            <View style={styles.divider} />
+
+            {/* 🍽️ NEW: Meal types */}
+            <TouchableOpacity style={styles.preferenceRow} onPress={() => setShowMealTypes(true)}>
+              <View style={styles.preferenceIcon}>
+                <Ionicons name="list" size={20} color="#9C27B0" />
+              </View>
+              <View style={styles.preferenceContent}>
+                <Text style={styles.preferenceTitle}>Meal Types</Text>
+                <Text style={styles.preferenceDescription} numberOfLines={1}>
+                  {UserDataService.getMealTypes().map(mealType => mealType.name).join(', ')}
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color={theme.textSecondary} />
+            </TouchableOpacity>
+
+            <View style={styles.divider} />
+
+            {/* 🍽️ NEW: Meal windows */}
+            <TouchableOpacity style={styles.preferenceRow} onPress={() => setShowMealWindows(true)}>
+              <View style={styles.preferenceIcon}>
+                <Ionicons name="restaurant" size={20} color="#FF6B35" />
+              </View>
+              <View style={styles.preferenceContent}>
+                <Text style={styles.preferenceTitle}>Meal Times</Text>
+                <Text style={styles.preferenceDescription}>Suggested meals and missed-meal reminders</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color={theme.textSecondary} />
+            </TouchableOpacity>
+
+            <View style={styles.divider} />
+
+            {/* 🕐 NEW: Day boundary for night owls */}
+            <View style={styles.preferenceRow}>
+              <View style={styles.preferenceIcon}>
+                <Ionicons name="time" size={20} color="#4CAF50" />
+              </View>
+              <View style={styles.preferenceContent}>
+                <Text style={styles.preferenceTitle}>Day Starts At</Text>
+                <Text style={styles.preferenceDescription}>
+                  Meals before {formatHour(profile.dayStartHour || 0)} count for the previous day
+                </Text>
+              </View>
+              <View style={styles.hourStepper}>
+                <TouchableOpacity style={styles.hourStepButton} onPress={() => changeDayStartHour(-1)}>
+                  <Ionicons name="remove" size={16} color={theme.primary} />
+                </TouchableOpacity>
+                <Text style={styles.hourStepValue}>{formatHour(profile.dayStartHour || 0)}</Text>
+                <TouchableOpacity style={styles.hourStepButton} onPress={() => changeDayStartHour(1)}>
+                  <Ionicons name="add" size={16} color={theme.primary} />
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            <View style={styles.divider} />
+
+            {/* 💧 NEW: Water unit and glass size */}
+            <TouchableOpacity
+              style={styles.preferenceRow}
+              onPress={() => saveWaterSettings({ unit: UserDataService.getWaterSettings().unit === 'ml' ? 'glasses' : 'ml' })}
+            >
+              <View style={styles.preferenceIcon}>
+                <Ionicons name="water" size={20} color="#2196F3" />
+              </View>
+              <View style={styles.preferenceContent}>
+                <Text style={styles.preferenceTitle}>Water Unit</Text>
+                <Text style={styles.preferenceDescription}>Tap to switch between glasses and ml</Text>
+              </View>
+              <Text style={styles.hourStepValue}>
+                {UserDataService.getWaterSettings().unit === 'ml' ? 'ml' : 'Glasses'}
+              </Text>
+            </TouchableOpacity>
+
+            <View style={styles.divider} />
+
+            <View style={styles.preferenceRow}>
+              <View style={styles.preferenceIcon}>
+                <Ionicons name="beaker" size={20} color="#2196F3" />
+              </View>
+              <View style={styles.preferenceContent}>
+                <Text style={styles.preferenceTitle}>Glass Size</Text>
+                <Text style={styles.preferenceDescription}>Amount added by each tap of + on Home</Text>
+              </View>
+              <View style={styles.hourStepper}>
+                <TouchableOpacity
+                  style={styles.hourStepButton}
+                  onPress={() => saveWaterSettings({ glassSizeMl: UserDataService.getWaterSettings().glassSizeMl - 50 })}
+                >
+                  <Ionicons name="remove" size={16} color={theme.primary} />
+                </TouchableOpacity>
+                <Text style={styles.hourStepValue}>{UserDataService.getWaterSettings().glassSizeMl} ml</Text>
+                <TouchableOpacity
+                  style={styles.hourStepButton}
+                  onPress={() => saveWaterSettings({ glassSizeMl: UserDataService.getWaterSettings().glassSizeMl + 50 })}
+                >
+                  <Ionicons name="add" size={16} color={theme.primary} />
+                </TouchableOpacity>
+              </View>
+            </View>
           </View>
         </Animated.View>
 
@@ -640,6 +897,16 @@ const ProfileScreen = ({ navigation }) => {
               <Text style={styles.actionText}>Export Data</Text>
             </TouchableOpacity>
             
+            <TouchableOpacity 
+              style={styles.actionCard}
+              onPress={importData}
+            >
+              <View style={styles.actionIcon}>
+                <Ionicons name="cloud-upload" size={24} color="#9C27B0" />
+              </View>
+              <Text style={styles.actionText}>Import Data</Text>
+            </TouchableOpacity>
+            
             <TouchableOpacity 
               style={[styles.actionCard, styles.dangerAction]}
               onPress={clearData}
@@ -727,6 +994,32 @@ const ProfileScreen = ({ navigation }) => {
           </View>
         </View>
       </Modal>
+
+      <MealWindowsEditor
+        visible={showMealWindows}
+        windows={profile.mealWindows}
+        onSave={saveMealWindows}
+        onClose={() => setShowMealWindows(false)}
+      />
+
+      <MealTypesEditor
+        visible={showMealTypes}
+        onChange={handleMealTypesChange}
+        onClose={() => setShowMealTypes(false)}
+      />
+
+      <SyncSettingsSheet
+        visible={showSync}
+        onClose={() => {
+          setShowSync(false);
+          loadUserData();
+        }}
+      />
+
+      <RecognitionSettingsSheet
+        visible={showRecognition}
+        onClose={() => setShowRecognition(false)}
+      />
     </View>
   );
 };
@@ -1023,6 +1316,25 @@ const createStyles = (theme) => StyleSheet.create({
     fontSize: 12,
     color: theme.textSecondary,
   },
+  hourStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  hourStepButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: theme.background,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  hourStepValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.text,
+    minWidth: 52,
+    textAlign: 'center',
+  },
   actionsGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -0,0 +1,465 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useFocusEffect } from '@react-navigation/native';
+import UserDataService from '../services/userDataService';
+import { useData } from '../context/DataContext';
+import IngredientPicker from '../components/IngredientPicker';
+
+const EMPTY_RECIPE = { name: '', servings: 1, ingredients: [] };
+
+const SUMMARY_NUTRIENTS = [
+  { key: 'protein', label: 'Protein' },
+  { key: 'carbs', label: 'Carbs' },
+  { key: 'fat', label: 'Fat' },
+  { key: 'fiber', label: 'Fiber' }
+];
+
+// 🍲 NEW: Build a dish from ingredients; nutrition is worked out per serving
+const RecipeBuilderScreen = ({ route, navigation }) => {
+  const recipeId = route.params?.recipeId || null;
+  const { refreshData } = useData();
+  const [recipe, setRecipe] = useState(EMPTY_RECIPE);
+  const [showPicker, setShowPicker] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Drawer screens stay mounted, so reload whenever the screen is opened
+  useFocusEffect(
+    useCallback(() => {
+      const loadRecipe = async () => {
+        const existing = recipeId ? await UserDataService.getRecipe(recipeId) : null;
+        setRecipe(existing || EMPTY_RECIPE);
+      };
+      loadRecipe();
+    }, [recipeId])
+  );
+
+  const { total, perServing } = UserDataService.calculateRecipeNutrition(recipe.ingredients, recipe.servings);
+
+  const changeServings = (delta) => {
+    setRecipe(prev => ({ ...prev, servings: Math.max(1, prev.servings + delta) }));
+  };
+
+  const addIngredient = (ingredient) => {
+    setRecipe(prev => ({ ...prev, ingredients: [...prev.ingredients, ingredient] }));
+    setShowPicker(false);
+  };
+
+  const updateAmount = (ingredientId, text) => {
+    setRecipe(prev => ({
+      ...prev,
+      ingredients: prev.ingredients.map(ingredient =>
+        ingredient.id === ingredientId ? { ...ingredient, amount: text } : ingredient
+      )
+    }));
+  };
+
+  const removeIngredient = (ingredientId) => {
+    setRecipe(prev => ({
+      ...prev,
+      ingredients: prev.ingredients.filter(ingredient => ingredient.id !== ingredientId)
+    }));
+  };
+
+  const finishSave = async (saved, updatePastLogs) => {
+    if (updatePastLogs) {
+      const updated = await UserDataService.recalculateRecipeEntries(saved);
+      if (updated === null) {
+        Alert.alert('Error', 'Recipe saved, but past logs could not be updated.');
+      }
+      await refreshData();
+    }
+    navigation.navigate('MyFoods', { tab: 'recipes' });
+  };
+
+  const handleSave = async () => {
+    if (!recipe.name.trim()) {
+      Alert.alert('Name Required', 'Give your recipe a name.');
+      return;
+    }
+    if (recipe.ingredients.length === 0) {
+      Alert.alert('No Ingredients', 'Add at least one ingredient.');
+      return;
+    }
+
+    setSaving(true);
+    const saved = await UserDataService.saveRecipe(recipe);
+    const loggedDays = saved && recipe.id ? await UserDataService.getRecipeLoggedDays(saved.id) : [];
+    setSaving(false);
+
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save recipe. Please try again.');
+      return;
+    }
+
+    // Past logs keep their old numbers unless the user asks to update them
+    if (loggedDays.length > 0) {
+      Alert.alert(
+        'Update Past Logs?',
+        `${saved.name} was logged on ${loggedDays.length} day${loggedDays.length !== 1 ? 's' : ''}. Recalculate those entries with the new nutrition?`,
+        [
+          { text: 'Keep As Logged', onPress: () => finishSave(saved, false) },
+          { text: 'Update', onPress: () => finishSave(saved, true) }
+        ]
+      );
+    } else {
+      finishSave(saved, false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Recipe',
+      `Delete ${recipe.name}? Meals you already logged are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const success = await UserDataService.deleteRecipe(recipe.id);
+            if (success) {
+              navigation.navigate('MyFoods', { tab: 'recipes' });
+            } else {
+              Alert.alert('Error', 'Failed to delete recipe. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <LinearGradient
+        colors={['#4CAF50', '#45a049']}
+        style={styles.header}
+      >
+        <View style={styles.headerContent}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.navigate('MyFoods', { tab: 'recipes' })}
+          >
+            <Ionicons name="arrow-back" size={24} color="white" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>{recipe.id ? 'Edit Recipe' : 'New Recipe'}</Text>
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+            <Text style={styles.saveButtonText}>{saving ? 'Saving...' : 'Save'}</Text>
+          </TouchableOpacity>
+        </View>
+      </LinearGradient>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Name and servings */}
+        <View style={styles.card}>
+          <Text style={styles.label}>Recipe Name</Text>
+          <TextInput
+            style={styles.input}
+            value={recipe.name}
+            onChangeText={(text) => setRecipe(prev => ({ ...prev, name: text }))}
+            placeholder="e.g. Egg Bhurji"
+            placeholderTextColor="#999"
+            maxLength={60}
+          />
+
+          <View style={styles.servingsRow}>
+            <Text style={styles.servingsLabel}>Makes</Text>
+            <TouchableOpacity style={styles.stepButton} onPress={() => changeServings(-1)}>
+              <Ionicons name="remove" size={18} color="#4CAF50" />
+            </TouchableOpacity>
+            <Text style={styles.servingsValue}>{recipe.servings}</Text>
+            <TouchableOpacity style={styles.stepButton} onPress={() => changeServings(1)}>
+              <Ionicons name="add" size={18} color="#4CAF50" />
+            </TouchableOpacity>
+            <Text style={styles.servingsLabel}>serving{recipe.servings !== 1 ? 's' : ''}</Text>
+          </View>
+        </View>
+
+        {/* Per-serving nutrition */}
+        <View style={styles.card}>
+          <View style={styles.summaryHeader}>
+            <Text style={styles.sectionTitle}>Per Serving</Text>
+            <Text style={styles.totalText}>{total.calories} cal in total</Text>
+          </View>
+          <Text style={styles.caloriesValue}>{perServing.calories} cal</Text>
+          <View style={styles.summaryRow}>
+            {SUMMARY_NUTRIENTS.map(({ key, label }) => (
+              <View key={key} style={styles.summaryItem}>
+                <Text style={styles.summaryValue}>{perServing[key]}g</Text>
+                <Text style={styles.summaryLabel}>{label}</Text>
+              </View>
+            ))}
+          </View>
+        </View>
+
+        {/* Ingredients */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Ingredients</Text>
+          {recipe.ingredients.length === 0 && (
+            <Text style={styles.emptyText}>No ingredients yet</Text>
+          )}
+          {recipe.ingredients.map(ingredient => (
+            <View key={ingredient.id} style={styles.ingredientRow}>
+              <View style={styles.ingredientInfo}>
+                <Text style={styles.ingredientName} numberOfLines={1}>{ingredient.name}</Text>
+                <Text style={styles.ingredientCalories}>
+                  {Math.round((ingredient.baseNutrition.calories || 0) * (parseFloat(ingredient.amount) || 0) / ingredient.baseAmount)} cal
+                </Text>
+              </View>
+              <TextInput
+                style={styles.amountInput}
+                value={String(ingredient.amount)}
+                onChangeText={(text) => updateAmount(ingredient.id, text)}
+                keyboardType="numeric"
+                maxLength={6}
+                selectTextOnFocus
+              />
+              <Text style={styles.unitText}>{ingredient.unit === 'g' ? 'g' : 'serv'}</Text>
+              <TouchableOpacity style={styles.removeButton} onPress={() => removeIngredient(ingredient.id)}>
+                <Ionicons name="close-circle" size={20} color="#999" />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <TouchableOpacity style={styles.addIngredientButton} onPress={() => setShowPicker(true)}>
+            <Ionicons name="add" size={18} color="#4CAF50" />
+            <Text style={styles.addIngredientText}>Add Ingredient</Text>
+          </TouchableOpacity>
+        </View>
+
+        {!!recipe.id && (
+          <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+            <Ionicons name="trash" size={18} color="#F44336" />
+            <Text style={styles.deleteText}>Delete Recipe</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      <IngredientPicker
+        visible={showPicker}
+        onSelect={addIngredient}
+        onClose={() => setShowPicker(false)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    paddingTop: 44,
+    paddingBottom: 20,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  saveButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    color: '#333',
+  },
+  servingsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  servingsLabel: {
+    fontSize: 15,
+    color: '#333',
+    marginHorizontal: 8,
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#E8F5E8',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  servingsValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    minWidth: 32,
+    textAlign: 'center',
+  },
+  summaryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  totalText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  caloriesValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+    marginBottom: 12,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  summaryItem: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  summaryValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginVertical: 8,
+  },
+  ingredientRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  ingredientInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  ingredientName: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+  },
+  ingredientCalories: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  amountInput: {
+    width: 64,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    fontSize: 15,
+    color: '#333',
+    textAlign: 'right',
+  },
+  unitText: {
+    width: 36,
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
+  removeButton: {
+    padding: 4,
+  },
+  addIngredientButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    marginTop: 8,
+    borderRadius: 12,
+    backgroundColor: '#E8F5E8',
+  },
+  addIngredientText: {
+    color: '#4CAF50',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    backgroundColor: '#FFEBEE',
+    marginBottom: 40,
+  },
+  deleteText: {
+    color: '#F44336',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
+
+export default RecipeBuilderScreen;
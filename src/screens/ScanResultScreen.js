@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -7,15 +7,26 @@ import {
   ScrollView,
   TouchableOpacity,
   Dimensions,
-  Alert
+  Alert,
+  TextInput
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import UserDataService from '../services/userDataService';
+import { useData } from '../context/DataContext';
+import MealPickerSheet from '../components/MealPickerSheet';
+import IngredientPicker from '../components/IngredientPicker';
+import FoodRecognitionService from '../services/foodRecognition';
 
 const { width } = Dimensions.get('window');
 
 const ScanResultScreen = ({ route, navigation }) => {
-  const { imageUri, foodData, userInput } = route.params;
+  const { imageUri, userInput } = route.params;
+  const { addFoodToMeal, selectedDate, isViewingToday } = useData();
+  const [foodData, setFoodData] = useState(route.params.foodData);
+  const [showMealPicker, setShowMealPicker] = useState(false);
+  const [editingItems, setEditingItems] = useState(false);
+  const [showItemPicker, setShowItemPicker] = useState(false);
+  const [nameDrafts, setNameDrafts] = useState({}); // ✏️ Names being typed, by item index
 
   // 🎯 Safe rendering helper to prevent Text component errors
   const safeRender = (value, fallback = 'N/A') => {
@@ -52,17 +63,80 @@ const ScanResultScreen = ({ route, navigation }) => {
     Alert.alert('Saved!', 'Food item saved to your history');
   };
 
-  const handleAddToMeal = async () => {
+  // ✏️ NEW: Fix what the AI detected before logging. Totals are recomputed
+  // the same way as for a fresh scan. Typed names are picked up here too, so
+  // a count change or removal never loses a rename in progress.
+  const updateItems = (change) => {
+    const items = foodData.individualItems.map((item, index) => ({ ...item, name: nameDrafts[index] ?? item.name }));
+    change(items);
+    setNameDrafts({});
+    setFoodData(FoodRecognitionService.applyItemEdits(foodData, items));
+  };
+
+  const changeItemCount = (index, delta) => {
+    updateItems(items => {
+      items[index].visibleCount = Math.min(50, Math.max(1, items[index].visibleCount + delta));
+    });
+  };
+
+  // Names are applied on blur or submit, not on every keystroke
+  const commitNames = () => {
+    if (Object.keys(nameDrafts).length > 0) {
+      updateItems(() => {});
+    }
+  };
+
+  const removeItem = (index) => {
+    if (foodData.individualItems.length === 1) {
+      Alert.alert('Keep One Item', 'A scan needs at least one item. Use Scan Again to start over.');
+      return;
+    }
+    updateItems(items => {
+      items.splice(index, 1);
+    });
+  };
+
+  const handleItemPicked = (ingredient) => {
+    setShowItemPicker(false);
+    updateItems(items => {
+      items.push(FoodRecognitionService.createItemFromIngredient(ingredient));
+    });
+  };
+
+  // Blank names get a placeholder so the logged entry is never nameless
+  const finishEditing = () => {
+    setEditingItems(false);
+    const needsCleanup = Object.keys(nameDrafts).length > 0 ||
+      foodData.individualItems.some(item => !item.name || item.name !== item.name.trim());
+    if (!needsCleanup) return;
+    updateItems(items => {
+      items.forEach((item, index) => {
+        item.name = String(item.name || '').trim() || `Item ${index + 1}`;
+      });
+    });
+  };
+
+  // 🍽️ NEW: Let the user confirm the meal instead of guessing silently
+  const handleAddToMeal = () => {
+    if (editingItems) finishEditing();
+    setShowMealPicker(true);
+  };
+
+  const handleMealSelected = async (mealType, quantity = 1) => {
+    setShowMealPicker(false);
     try {
-      // Determine current meal time
-      const mealType = UserDataService.getMealTimeFromHour();
-      
-      // Save to user's daily intake
-      await UserDataService.addFoodToMeal(foodData, mealType);
+      // Save to the day selected on Home (today unless the user is backfilling)
+      const success = await addFoodToMeal(UserDataService.applyPortion(foodData, quantity), mealType);
+      if (!success) {
+        Alert.alert('Error', 'Failed to add to meal. Please try again.');
+        return;
+      }
       
       Alert.alert(
         'Added to Meal!', 
-        `Added to your ${mealType} for today.`,
+        isViewingToday ?
+          `Added to your ${UserDataService.getMealLabel(mealType).toLowerCase()} for today.` :
+          `Added to your ${UserDataService.getMealLabel(mealType).toLowerCase()} on ${UserDataService.formatDayLabel(selectedDate)}.`,
         [
           { text: 'OK' },
           { text: 'View Stats', onPress: () => navigation.navigate('NutritionStats') }
@@ -129,6 +203,16 @@ const ScanResultScreen = ({ route, navigation }) => {
           <Text style={styles.methodText}>Analyzed via {safeRender(foodData.method, 'AI Analysis')}</Text>
         </View>
 
+        {/* Cached Result Notice */}
+        {!!foodData.cached && (
+          <View style={styles.cachedContainer}>
+            <Ionicons name="archive" size={16} color="#1976d2" />
+            <Text style={styles.cachedText}>
+              Cached result from {new Date(foodData.cachedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - this photo was analyzed before
+            </Text>
+          </View>
+        )}
+
         {/* AI Enhanced Notice */}
         {foodData.hasAIGeneratedNutrition && (
           <View style={styles.aiEnhancedContainer}>
@@ -142,9 +226,24 @@ const ScanResultScreen = ({ route, navigation }) => {
         {/* Individual Items Breakdown */}
         {foodData.individualItems && Array.isArray(foodData.individualItems) && foodData.individualItems.length > 0 && (
           <View style={styles.individualItemsContainer}>
-            <Text style={styles.sectionTitle}>
-              Individual Items {foodData.totalFoodPieces && `(${safeRender(foodData.totalFoodPieces)} pieces total)`}
-            </Text>
+            <View style={styles.itemsTitleRow}>
+              <Text style={[styles.sectionTitle, styles.itemsTitle]}>
+                Individual Items {foodData.totalFoodPieces && `(${safeRender(foodData.totalFoodPieces)} pieces total)`}
+              </Text>
+              {/* ✏️ NEW: Correct counts, names and missed items */}
+              {Array.isArray(foodData.individualItems) && foodData.individualItems.every(item => item?.perUnitNutrition) && (
+                <TouchableOpacity
+                  style={styles.editItemsButton}
+                  onPress={() => (editingItems ? finishEditing() : setEditingItems(true))}
+                >
+                  <Ionicons name={editingItems ? 'checkmark' : 'create-outline'} size={16} color="#2196F3" />
+                  <Text style={styles.editItemsText}>{editingItems ? 'Done' : 'Edit'}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+            {!!foodData.userEdited && !editingItems && (
+              <Text style={styles.editedNote}>Edited by you - totals updated</Text>
+            )}
             
             {foodData.individualItems.map((item, index) => {
               if (!item) return null; // Skip null items
@@ -152,15 +251,46 @@ const ScanResultScreen = ({ route, navigation }) => {
               return (
                 <View key={index} style={styles.individualItem}>
                   <View style={styles.itemHeader}>
-                    <Text style={styles.itemName}>{safeRender(item.name, `Item ${index + 1}`)}</Text>
-                    <View style={styles.itemQuantity}>
-                      <Text style={styles.quantityText}>
-                        {safeRender(item.visibleCount, '1')}x
-                      </Text>
-                      <Text style={styles.weightText}>
-                        {safeRender(item.totalWeight, `${safeRender(item.visibleCount, '1')} piece${safeNumber(item.visibleCount, 1) > 1 ? 's' : ''}`)}
-                      </Text>
-                    </View>
+                    {editingItems ? (
+                      <TextInput
+                        style={[styles.itemName, styles.itemNameInput]}
+                        value={nameDrafts[index] ?? item.name}
+                        onChangeText={(text) => setNameDrafts(prev => ({ ...prev, [index]: text }))}
+                        onBlur={commitNames}
+                        onSubmitEditing={commitNames}
+                        placeholder={`Item ${index + 1}`}
+                        placeholderTextColor="#999"
+                      />
+                    ) : (
+                      <Text style={styles.itemName}>{safeRender(item.name, `Item ${index + 1}`)}</Text>
+                    )}
+                    {editingItems ? (
+                      <View style={styles.itemEditControls}>
+                        <TouchableOpacity
+                          style={styles.stepperButton}
+                          onPress={() => changeItemCount(index, -1)}
+                          disabled={item.visibleCount <= 1}
+                        >
+                          <Ionicons name="remove" size={16} color={item.visibleCount <= 1 ? '#ccc' : '#4CAF50'} />
+                        </TouchableOpacity>
+                        <Text style={styles.stepperValue}>{item.visibleCount}x</Text>
+                        <TouchableOpacity style={styles.stepperButton} onPress={() => changeItemCount(index, 1)}>
+                          <Ionicons name="add" size={16} color="#4CAF50" />
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.removeItemButton} onPress={() => removeItem(index)}>
+                          <Ionicons name="trash-outline" size={18} color="#F44336" />
+                        </TouchableOpacity>
+                      </View>
+                    ) : (
+                      <View style={styles.itemQuantity}>
+                        <Text style={styles.quantityText}>
+                          {safeRender(item.visibleCount, '1')}x
+                        </Text>
+                        <Text style={styles.weightText}>
+                          {safeRender(item.totalWeight, `${safeRender(item.visibleCount, '1')} piece${safeNumber(item.visibleCount, 1) > 1 ? 's' : ''}`)}
+                        </Text>
+                      </View>
+                    )}
                   </View>
                   
                   {/* Per Unit Info */}
@@ -220,6 +350,14 @@ const ScanResultScreen = ({ route, navigation }) => {
                     </View>
                   )}
                   
+                  {/* Added by the user */}
+                  {item.addedByUser && (
+                    <View style={styles.userProvidedBadge}>
+                      <Ionicons name="hand-left" size={12} color="#4CAF50" />
+                      <Text style={styles.userProvidedText}>Added by you</Text>
+                    </View>
+                  )}
+                  
                   {/* User provided badge */}
                   {item.userProvided && (
                     <View style={styles.userProvidedBadge}>
@@ -227,9 +365,30 @@ const ScanResultScreen = ({ route, navigation }) => {
                       <Text style={styles.userProvidedText}>User assisted</Text>
                     </View>
                   )}
+
+                  {/* Values the validator changed */}
+                  {item.clampedFields?.length > 0 && (
+                    <View style={styles.adjustedBadge}>
+                      <Ionicons name="alert-circle" size={12} color="#F44336" />
+                      <Text style={styles.adjustedText}>Capped: {item.clampedFields.join(', ')}</Text>
+                    </View>
+                  )}
+                  {item.estimatedFields?.length > 0 && (
+                    <View style={styles.estimatedBadge}>
+                      <Ionicons name="help-circle" size={12} color="#F57C00" />
+                      <Text style={styles.estimatedText}>Estimated: {item.estimatedFields.join(', ')}</Text>
+                    </View>
+                  )}
                 </View>
               );
             })}
+
+            {editingItems && (
+              <TouchableOpacity style={styles.addItemButton} onPress={() => setShowItemPicker(true)}>
+                <Ionicons name="add-circle-outline" size={20} color="#4CAF50" />
+                <Text style={styles.addItemText}>Add Missed Item</Text>
+              </TouchableOpacity>
+            )}
           </View>
         )}
 
@@ -335,6 +494,22 @@ const ScanResultScreen = ({ route, navigation }) => {
           </View>
         )}
 
+        {/* Warning for clamped or filled-in AI values */}
+        {!!(foodData.hasClampedValues || foodData.hasEstimatedValues) && (
+          <View style={styles.warningContainer}>
+            <Ionicons name="warning" size={16} color="#FF9800" />
+            <Text style={styles.warningText}>
+              {foodData.hasClampedValues ?
+                'Some AI values looked implausible and were capped. ' :
+                ''}
+              {foodData.hasEstimatedValues ?
+                'Some values were missing and have been estimated. ' :
+                ''}
+              Check the items below before logging.
+            </Text>
+          </View>
+        )}
+
         {/* User Assisted Info */}
         {foodData.userAssisted && (
           <View style={styles.userAssistedContainer}>
@@ -383,6 +558,22 @@ const ScanResultScreen = ({ route, navigation }) => {
           </TouchableOpacity>
         </View>
       </View>
+
+      {/* Meal chooser for "Add to Meal" */}
+      <MealPickerSheet
+        visible={showMealPicker}
+        food={foodData}
+        onSelect={handleMealSelected}
+        onClose={() => setShowMealPicker(false)}
+      />
+
+      {/* Search for an item the scan missed */}
+      <IngredientPicker
+        visible={showItemPicker}
+        title="Add Missed Item"
+        onSelect={handleItemPicked}
+        onClose={() => setShowItemPicker(false)}
+      />
     </ScrollView>
   );
 };
@@ -486,6 +677,23 @@ const styles = StyleSheet.create({
     fontWeight: '500',
   },
 
+  // Cached Result Notice
+  cachedContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#e3f2fd',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  cachedText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#1976d2',
+    fontWeight: '500',
+    flex: 1,
+  },
+
   // AI Enhanced Notice
   aiEnhancedContainer: {
     flexDirection: 'row',
@@ -541,6 +749,84 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#666',
   },
+
+  // Item editing
+  itemsTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  itemsTitle: {
+    flex: 1,
+  },
+  editItemsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#e3f2fd',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginBottom: 12,
+    marginLeft: 8,
+  },
+  editItemsText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2196F3',
+    marginLeft: 4,
+  },
+  editedNote: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  itemNameInput: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+    paddingVertical: 4,
+    marginRight: 8,
+  },
+  itemEditControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#e8f5e8',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2196F3',
+    minWidth: 36,
+    textAlign: 'center',
+  },
+  removeItemButton: {
+    marginLeft: 10,
+    padding: 4,
+  },
+  addItemButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderStyle: 'dashed',
+  },
+  addItemText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4CAF50',
+    marginLeft: 6,
+  },
   perUnitInfo: {
     marginBottom: 8,
   },
@@ -619,6 +905,39 @@ const styles = StyleSheet.create({
     fontWeight: '500',
   },
 
+  adjustedBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#ffebee',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginTop: 8,
+  },
+  adjustedText: {
+    fontSize: 10,
+    color: '#F44336',
+    marginLeft: 4,
+    fontWeight: '500',
+  },
+  estimatedBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#FFF8E1',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginTop: 8,
+  },
+  estimatedText: {
+    fontSize: 10,
+    color: '#F57C00',
+    marginLeft: 4,
+    fontWeight: '500',
+  },
+
   // Fallback combo styles
   comboContainer: {
     backgroundColor: 'white',
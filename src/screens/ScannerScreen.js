@@ -18,6 +18,7 @@ import { CameraView, Camera } from 'expo-camera';
 import { Ionicons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
 import * as MediaLibrary from 'expo-media-library';
+import QuickAddRow from '../components/QuickAddRow';
 
 const { width, height } = Dimensions.get('window');
 
@@ -323,6 +324,13 @@ const pickFromGallery = async () => {
         </TouchableOpacity>
       </View>
 
+      {/* ⭐ NEW: Skip the scan for foods logged all the time */}
+      {!isAnalyzing && (
+        <View style={styles.quickAddContainer}>
+          <QuickAddRow dark />
+        </View>
+      )}
+
       {/* Bottom controls */}
       <View style={styles.bottomControls}>
         <TouchableOpacity style={styles.controlButton} onPress={pickFromGallery}>
@@ -629,6 +637,13 @@ const styles = StyleSheet.create({
     fontSize: 10,
     marginTop: 2,
   },
+  quickAddContainer: {
+    position: 'absolute',
+    bottom: 130,
+    left: 20,
+    right: 0,
+    zIndex: 1,
+  },
   bottomControls: {
     position: 'absolute',
     bottom: 40,
@@ -0,0 +1,552 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  Dimensions,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useFocusEffect } from '@react-navigation/native';
+import UserDataService from '../services/userDataService';
+import WeightTrendChart from '../components/WeightTrendChart';
+
+const { width } = Dimensions.get('window');
+
+const GOALS = [
+  { key: 'lose', label: 'Lose' },
+  { key: 'maintain', label: 'Maintain' },
+  { key: 'gain', label: 'Gain' }
+];
+
+const formatDate = (dateStr, options = { weekday: 'short', month: 'short', day: 'numeric' }) =>
+  UserDataService.parseDateKey(dateStr).toLocaleDateString('en-US', options);
+
+// ⚖️ NEW: Weight history, smoothed trend and a projection towards the target
+const WeightScreen = ({ navigation }) => {
+  const [log, setLog] = useState([]);
+  const [projection, setProjection] = useState(null);
+  const [form, setForm] = useState({ weight: '', waist: '', bodyFat: '' });
+  const [goal, setGoal] = useState('maintain');
+  const [targetWeight, setTargetWeight] = useState('');
+
+  const loadWeightData = async () => {
+    const [weightLog, weightProjection, profile] = await Promise.all([
+      UserDataService.getWeightLog(),
+      UserDataService.getWeightProjection(),
+      UserDataService.getUserProfile()
+    ]);
+    setLog(UserDataService.calculateWeightTrend(weightLog));
+    setProjection(weightProjection);
+    setGoal(profile?.goal || 'maintain');
+    setTargetWeight(profile?.targetWeight ? String(profile.targetWeight) : '');
+
+    // Today's entry, if any, is edited in place
+    const todayEntry = weightLog.find(entry => entry.date === UserDataService.getDateKey());
+    setForm({
+      weight: todayEntry ? String(todayEntry.weight) : '',
+      waist: todayEntry?.waist ? String(todayEntry.waist) : '',
+      bodyFat: todayEntry?.bodyFat ? String(todayEntry.bodyFat) : ''
+    });
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadWeightData();
+    }, [])
+  );
+
+  const handleLogWeight = async () => {
+    const saved = await UserDataService.logWeight({ date: UserDataService.getDateKey(), ...form });
+    if (!saved) {
+      Alert.alert('Weight Required', 'Enter your weight in kg.');
+      return;
+    }
+    await loadWeightData();
+  };
+
+  const handleSaveGoal = async (changes) => {
+    const saved = await UserDataService.saveWeightGoal({ goal, targetWeight, ...changes });
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save your weight goal. Please try again.');
+      return;
+    }
+    setProjection(await UserDataService.getWeightProjection());
+  };
+
+  const handleDelete = (entry) => {
+    Alert.alert(
+      'Delete Entry',
+      `Delete ${entry.weight} kg from ${formatDate(entry.date)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await UserDataService.deleteWeightEntry(entry.date);
+            await loadWeightData();
+          }
+        }
+      ]
+    );
+  };
+
+  const formatChange = (kgPerWeek) => `${kgPerWeek > 0 ? '+' : ''}${kgPerWeek} kg/week`;
+
+  const getProjectionMessage = () => {
+    if (!projection) return '';
+    switch (projection.status) {
+      case 'no-target':
+        return 'Set a target weight to see when you could reach it.';
+      case 'maintain':
+        return 'You are maintaining. Keep your average intake close to your maintenance calories.';
+      case 'reached':
+        return 'You have reached your target weight. 🎉';
+      case 'no-intake':
+        return 'Log your meals for a few days to project your progress.';
+      case 'off-track':
+        return projection.goal === 'lose' ?
+          'At your current intake you are not in a calorie deficit, so the target is out of reach.' :
+          'At your current intake you are not in a calorie surplus, so the target is out of reach.';
+      default:
+        return `At this pace you reach ${projection.targetWeight} kg around ${formatDate(projection.targetDate, { month: 'long', day: 'numeric', year: 'numeric' })} (${projection.daysToTarget} days).`;
+    }
+  };
+
+  const latest = log[log.length - 1];
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <LinearGradient
+        colors={['#4CAF50', '#45a049']}
+        style={styles.header}
+      >
+        <View style={styles.headerContent}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Ionicons name="arrow-back" size={24} color="white" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Weight</Text>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        <View style={styles.headerStats}>
+          <View style={styles.headerStat}>
+            <Text style={styles.headerStatValue}>{latest ? `${latest.weight} kg` : '--'}</Text>
+            <Text style={styles.headerStatLabel}>Last weigh-in</Text>
+          </View>
+          <View style={styles.headerStat}>
+            <Text style={styles.headerStatValue}>{latest ? `${latest.trend} kg` : '--'}</Text>
+            <Text style={styles.headerStatLabel}>Trend</Text>
+          </View>
+          <View style={styles.headerStat}>
+            <Text style={styles.headerStatValue}>
+              {projection?.observedWeeklyChange != null ? formatChange(projection.observedWeeklyChange) : '--'}
+            </Text>
+            <Text style={styles.headerStatLabel}>Last 4 weeks</Text>
+          </View>
+        </View>
+      </LinearGradient>
+
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        {/* Today's weigh-in */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Today's Weigh-in</Text>
+          <View style={styles.inputRow}>
+            {[
+              { key: 'weight', label: 'Weight', unit: 'kg' },
+              { key: 'waist', label: 'Waist', unit: 'cm' },
+              { key: 'bodyFat', label: 'Body fat', unit: '%' }
+            ].map(field => (
+              <View key={field.key} style={styles.inputField}>
+                <Text style={styles.inputLabel}>{field.label}</Text>
+                <View style={styles.inputWrapper}>
+                  <TextInput
+                    style={styles.input}
+                    value={form[field.key]}
+                    onChangeText={(value) => setForm(prev => ({ ...prev, [field.key]: value }))}
+                    keyboardType="decimal-pad"
+                    placeholder={field.key === 'weight' ? '0.0' : 'optional'}
+                    placeholderTextColor="#bbb"
+                  />
+                  <Text style={styles.inputUnit}>{field.unit}</Text>
+                </View>
+              </View>
+            ))}
+          </View>
+          <TouchableOpacity style={styles.primaryButton} onPress={handleLogWeight}>
+            <Ionicons name="checkmark" size={18} color="white" />
+            <Text style={styles.primaryButtonText}>Save Weigh-in</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Trend chart */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Trend</Text>
+          <WeightTrendChart
+            entries={log.slice(-90)}
+            targetWeight={projection?.targetWeight}
+            width={width - 72}
+          />
+          <View style={styles.legend}>
+            <View style={[styles.legendDot, { backgroundColor: '#A5D6A7' }]} />
+            <Text style={styles.legendText}>Weigh-ins</Text>
+            <View style={[styles.legendDot, { backgroundColor: '#4CAF50' }]} />
+            <Text style={styles.legendText}>Trend</Text>
+            {!!projection?.targetWeight && (
+              <>
+                <View style={[styles.legendDot, { backgroundColor: '#FF9800' }]} />
+                <Text style={styles.legendText}>Target</Text>
+              </>
+            )}
+          </View>
+        </View>
+
+        {/* Goal and projection */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Goal</Text>
+          <View style={styles.goalRow}>
+            {GOALS.map(item => (
+              <TouchableOpacity
+                key={item.key}
+                style={[styles.goalChip, goal === item.key && styles.goalChipActive]}
+                onPress={() => {
+                  setGoal(item.key);
+                  handleSaveGoal({ goal: item.key });
+                }}
+              >
+                <Text style={[styles.goalChipText, goal === item.key && styles.goalChipTextActive]}>
+                  {item.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.targetRow}>
+            <Text style={styles.inputLabel}>Target weight</Text>
+            <View style={[styles.inputWrapper, styles.targetInput]}>
+              <TextInput
+                style={styles.input}
+                value={targetWeight}
+                onChangeText={setTargetWeight}
+                onEndEditing={() => handleSaveGoal({ targetWeight })}
+                keyboardType="decimal-pad"
+                placeholder="0.0"
+                placeholderTextColor="#bbb"
+              />
+              <Text style={styles.inputUnit}>kg</Text>
+            </View>
+          </View>
+
+          {projection && (
+            <View style={styles.projection}>
+              <Text style={styles.projectionText}>{getProjectionMessage()}</Text>
+              {projection.dailyBalance !== null && (
+                <View style={styles.balanceRow}>
+                  <View style={styles.balanceItem}>
+                    <Text style={styles.balanceValue}>{projection.averageIntake}</Text>
+                    <Text style={styles.balanceLabel}>Avg intake</Text>
+                  </View>
+                  <View style={styles.balanceItem}>
+                    <Text style={styles.balanceValue}>{projection.maintenanceCalories}</Text>
+                    <Text style={styles.balanceLabel}>Maintenance</Text>
+                  </View>
+                  <View style={styles.balanceItem}>
+                    <Text style={styles.balanceValue}>
+                      {projection.dailyBalance > 0 ? '+' : ''}{projection.dailyBalance}
+                    </Text>
+                    <Text style={styles.balanceLabel}>cal/day</Text>
+                  </View>
+                  <View style={styles.balanceItem}>
+                    <Text style={styles.balanceValue}>{formatChange(projection.weeklyChange)}</Text>
+                    <Text style={styles.balanceLabel}>Expected</Text>
+                  </View>
+                </View>
+              )}
+              {projection.dailyBalance !== null && (
+                <Text style={styles.projectionNote}>
+                  Based on {projection.loggedDays} logged day{projection.loggedDays !== 1 ? 's' : ''} in the last two weeks
+                  and your profile's age, height, sex and activity level.
+                </Text>
+              )}
+            </View>
+          )}
+        </View>
+
+        {/* History */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>History</Text>
+          {log.length === 0 && (
+            <Text style={styles.emptyText}>No weigh-ins yet</Text>
+          )}
+          {[...log].reverse().map(entry => (
+            <TouchableOpacity
+              key={entry.date}
+              style={styles.historyRow}
+              onLongPress={() => handleDelete(entry)}
+            >
+              <Text style={styles.historyDate}>{formatDate(entry.date)}</Text>
+              <View style={styles.historyValues}>
+                <Text style={styles.historyWeight}>{entry.weight} kg</Text>
+                {!!(entry.waist || entry.bodyFat) && (
+                  <Text style={styles.historyExtra}>
+                    {[entry.waist && `${entry.waist} cm`, entry.bodyFat && `${entry.bodyFat}%`].filter(Boolean).join(' · ')}
+                  </Text>
+                )}
+              </View>
+              <TouchableOpacity onPress={() => handleDelete(entry)}>
+                <Ionicons name="trash-outline" size={18} color="#999" />
+              </TouchableOpacity>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    paddingTop: 44,
+    paddingBottom: 20,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  headerStats: {
+    flexDirection: 'row',
+    marginTop: 16,
+    paddingHorizontal: 20,
+  },
+  headerStat: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerStatValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  headerStatLabel: {
+    fontSize: 12,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginTop: 2,
+  },
+  content: {
+    flex: 1,
+  },
+  contentContainer: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    marginHorizontal: -4,
+  },
+  inputField: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  inputLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#333',
+  },
+  inputUnit: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 4,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#4CAF50',
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginTop: 16,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  legendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginLeft: 12,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  goalRow: {
+    flexDirection: 'row',
+    backgroundColor: '#f0f0f0',
+    borderRadius: 12,
+    padding: 4,
+  },
+  goalChip: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 10,
+  },
+  goalChipActive: {
+    backgroundColor: '#4CAF50',
+  },
+  goalChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+  },
+  goalChipTextActive: {
+    color: 'white',
+  },
+  targetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  targetInput: {
+    width: 120,
+  },
+  projection: {
+    backgroundColor: '#E8F5E8',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 16,
+  },
+  projectionText: {
+    fontSize: 14,
+    color: '#333',
+    lineHeight: 20,
+  },
+  balanceRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  balanceItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  balanceValue: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  balanceLabel: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2,
+  },
+  projectionNote: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  historyDate: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  historyValues: {
+    alignItems: 'flex-end',
+    marginRight: 12,
+  },
+  historyWeight: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  historyExtra: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+});
+
+export default WeightScreen;
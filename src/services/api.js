@@ -0,0 +1,94 @@
+import axios from 'axios';
+import Constants from 'expo-constants';
+
+// REST client for a self-hosted sync server. The server only stores records
+// and hands them back; conflicts are settled on the device (see syncService).
+//
+//   GET  /health                      -> { ok: true }
+//   GET  /sync/changes?since=<cursor> -> { cursor, records: [record], hasMore }
+//   POST /sync/changes { deviceId, records: [record] } -> { accepted, cursor }
+//
+// A record is { kind, id, updatedAt, deleted?, date?, mealType?, position?, data }.
+// The server keeps the newest record per kind + id by updatedAt and numbers
+// every stored change, so `cursor` is the last change number a device has seen.
+// scripts/sync-mock-server.js is a reference server for local testing.
+class ApiClient {
+  constructor() {
+    this.DEFAULT_SERVER_URL = Constants.expoConfig?.extra?.SYNC_SERVER_URL || process.env.EXPO_PUBLIC_SYNC_SERVER_URL || '';
+    this.TIMEOUT_MS = 15000;
+    this.http = null;
+    this.serverUrl = '';
+  }
+
+  normalizeServerUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '');
+  }
+
+  // Points the client at a server; an empty URL disconnects it
+  configure({ serverUrl, token } = {}) {
+    this.serverUrl = this.normalizeServerUrl(serverUrl);
+    this.http = this.serverUrl ? axios.create({
+      baseURL: this.serverUrl,
+      timeout: this.TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      }
+    }) : null;
+  }
+
+  isConfigured() {
+    return !!this.http;
+  }
+
+  // Turns axios failures into one readable message
+  describeError(error) {
+    if (error.response) {
+      const detail = error.response.data?.error || error.response.statusText || '';
+      return `Server error ${error.response.status}${detail ? `: ${detail}` : ''}`;
+    }
+    if (error.code === 'ECONNABORTED') {
+      return `Request timeout after ${this.TIMEOUT_MS}ms`;
+    }
+    if (error.request) {
+      return 'Could not reach the sync server';
+    }
+    return error.message;
+  }
+
+  async request(config) {
+    if (!this.http) {
+      throw new Error('Sync server is not configured');
+    }
+    try {
+      const response = await this.http.request(config);
+      return response.data;
+    } catch (error) {
+      const wrapped = new Error(this.describeError(error));
+      wrapped.status = error.response?.status || null;
+      wrapped.isNetworkError = !error.response;
+      throw wrapped;
+    }
+  }
+
+  async checkConnection() {
+    const data = await this.request({ method: 'GET', url: '/health' });
+    return !!data?.ok;
+  }
+
+  async pullChanges(since = 0) {
+    const data = await this.request({ method: 'GET', url: '/sync/changes', params: { since } });
+    return {
+      cursor: data?.cursor ?? since,
+      records: Array.isArray(data?.records) ? data.records : [],
+      hasMore: !!data?.hasMore
+    };
+  }
+
+  async pushChanges(deviceId, records) {
+    const data = await this.request({ method: 'POST', url: '/sync/changes', data: { deviceId, records } });
+    return { accepted: data?.accepted || 0, cursor: data?.cursor ?? null };
+  }
+}
+
+export default new ApiClient();
@@ -0,0 +1,684 @@
+import * as SQLite from 'expo-sqlite';
+
+const DATABASE_NAME = 'lpu_food_scanner.db';
+
+// Nutrient columns are stored per entry so range totals can be summed in SQL
+const NUTRIENT_COLUMNS = {
+  calories: 'calories',
+  protein: 'protein',
+  carbs: 'carbs',
+  fat: 'fat',
+  fiber: 'fiber',
+  sugar: 'sugar',
+  sodium: 'sodium',
+  iron: 'iron',
+  calcium: 'calcium',
+  vitaminC: 'vitamin_c'
+};
+
+const SCHEMA = `
+  PRAGMA journal_mode = WAL;
+
+  CREATE TABLE IF NOT EXISTS days (
+    date TEXT PRIMARY KEY NOT NULL,
+    water_glasses INTEGER NOT NULL DEFAULT 0,
+    water_ml INTEGER NOT NULL DEFAULT 0,
+    water_updated_at TEXT,
+    total_nutrition TEXT,
+    updated_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS entries (
+    row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL,
+    date TEXT NOT NULL,
+    meal_type TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    food_name TEXT,
+    ${Object.values(NUTRIENT_COLUMNS).map(column => `${column} REAL NOT NULL DEFAULT 0`).join(',\n    ')},
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_entries_date ON entries (date);
+  CREATE INDEX IF NOT EXISTS idx_entries_date_meal ON entries (date, meal_type);
+  CREATE INDEX IF NOT EXISTS idx_entries_id ON entries (id);
+
+  CREATE TABLE IF NOT EXISTS goals (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    data TEXT NOT NULL,
+    updated_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS scans (
+    id TEXT PRIMARY KEY NOT NULL,
+    entry_id TEXT,
+    scanned_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_scans_scanned_at ON scans (scanned_at);
+
+  CREATE TABLE IF NOT EXISTS custom_foods (
+    id TEXT PRIMARY KEY NOT NULL,
+    name TEXT NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS recipes (
+    id TEXT PRIMARY KEY NOT NULL,
+    name TEXT NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS meal_templates (
+    id TEXT PRIMARY KEY NOT NULL,
+    name TEXT NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS weight_log (
+    date TEXT PRIMARY KEY NOT NULL,
+    weight REAL NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS favorite_foods (
+    key TEXT PRIMARY KEY NOT NULL,
+    name TEXT NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS tombstones (
+    id TEXT PRIMARY KEY NOT NULL,
+    kind TEXT NOT NULL,
+    date TEXT,
+    deleted_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_tombstones_deleted_at ON tombstones (deleted_at);
+`;
+
+// Columns added after the first release. CREATE TABLE IF NOT EXISTS leaves
+// older tables alone, so these are added with ALTER TABLE when missing.
+const COLUMN_UPGRADES = [
+  { table: 'days', column: 'water_ml', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'days', column: 'water_updated_at', definition: 'TEXT' }
+];
+
+class DatabaseService {
+  constructor() {
+    this.dbPromise = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Opens the database and creates the schema on first use
+  getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = (async () => {
+        const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+        await db.execAsync(SCHEMA);
+        await this.addMissingColumns(db);
+        return db;
+      })().catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async addMissingColumns(db) {
+    for (const { table, column, definition } of COLUMN_UPGRADES) {
+      const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+      if (!columns.some(info => info.name === column)) {
+        await db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  }
+
+  // withTransactionAsync cannot nest, so two writers starting at once would
+  // collide on BEGIN, and a single statement landing in the middle of another
+  // writer's transaction would be rolled back with it. Every write is queued
+  // and runs one after another; never call a queued method from a task.
+  async write(task) {
+    const db = await this.getDb();
+    const run = this.writeQueue.then(() => task(db));
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async transaction(task) {
+    return this.write(db => db.withTransactionAsync(() => task(db)));
+  }
+
+  // === DAYS ===
+  assembleDays(dayRows, entryRows) {
+    const days = {};
+    dayRows.forEach(row => {
+      days[row.date] = {
+        date: row.date,
+        waterMl: row.water_ml,
+        totalNutrition: row.total_nutrition ? JSON.parse(row.total_nutrition) : undefined
+      };
+    });
+    entryRows.forEach(row => {
+      const day = days[row.date] || (days[row.date] = { date: row.date, waterMl: 0 });
+      (day[row.meal_type] = day[row.meal_type] || []).push(JSON.parse(row.data));
+    });
+    return days;
+  }
+
+  async getDay(date) {
+    const days = await this.getDaysInRange(date, date);
+    return days[date] || null;
+  }
+
+  // Inclusive range of YYYY-MM-DD keys, returned as { [date]: day }
+  async getDaysInRange(startDate, endDate) {
+    const db = await this.getDb();
+    const dayRows = await db.getAllAsync(
+      'SELECT * FROM days WHERE date BETWEEN ? AND ? ORDER BY date',
+      [startDate, endDate]
+    );
+    const entryRows = await db.getAllAsync(
+      'SELECT date, meal_type, data FROM entries WHERE date BETWEEN ? AND ? ORDER BY date, meal_type, position',
+      [startDate, endDate]
+    );
+    return this.assembleDays(dayRows, entryRows);
+  }
+
+  async getAllDays() {
+    const db = await this.getDb();
+    const dayRows = await db.getAllAsync('SELECT * FROM days ORDER BY date');
+    const entryRows = await db.getAllAsync('SELECT date, meal_type, data FROM entries ORDER BY date, meal_type, position');
+    return this.assembleDays(dayRows, entryRows);
+  }
+
+  // Dates (newest first) that have at least one logged entry
+  async getLoggedDates(limit = 366) {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync(
+      'SELECT DISTINCT date FROM entries ORDER BY date DESC LIMIT ?',
+      [limit]
+    );
+    return rows.map(row => row.date);
+  }
+
+  // Where the given entries are stored, as { [id]: { date, entry } }
+  async getEntriesById(ids) {
+    if (ids.length === 0) return {};
+    const db = await this.getDb();
+    const rows = await db.getAllAsync(
+      `SELECT id, date, data FROM entries WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids.map(String)
+    );
+    const entries = {};
+    rows.forEach(row => {
+      entries[row.id] = { date: row.date, entry: JSON.parse(row.data) };
+    });
+    return entries;
+  }
+
+  // Dates with at least one entry logged from the given recipe
+  async getDatesForRecipe(recipeId) {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync(
+      "SELECT DISTINCT date FROM entries WHERE json_extract(data, '$.recipeId') = ? ORDER BY date",
+      [String(recipeId)]
+    );
+    return rows.map(row => row.date);
+  }
+
+  // Logged foods grouped by what they are: the menu item, My Foods entry or
+  // recipe they came from, else the lower-cased name. Keep in step with
+  // UserDataService.getFoodKey(). `data` is the most recently logged entry.
+  async getFoodFrequencies(sinceDate, limit = 20) {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync(
+      `SELECT key, COUNT(*) AS count, COUNT(DISTINCT date) AS days, MAX(timestamp) AS last_logged_at, data
+       FROM (
+         SELECT
+           CASE
+             WHEN json_extract(data, '$.menuItemId') IS NOT NULL THEN 'menu:' || json_extract(data, '$.menuItemId')
+             WHEN json_extract(data, '$.customFoodId') IS NOT NULL THEN 'custom:' || json_extract(data, '$.customFoodId')
+             WHEN json_extract(data, '$.recipeId') IS NOT NULL THEN 'recipe:' || json_extract(data, '$.recipeId')
+             ELSE 'name:' || lower(trim(food_name))
+           END AS key,
+           date, timestamp, data
+         FROM entries
+         WHERE date >= ?
+       )
+       WHERE key IS NOT NULL AND key != 'name:'
+       GROUP BY key
+       ORDER BY count DESC, last_logged_at DESC
+       LIMIT ?`,
+      [sinceDate, limit]
+    );
+    return rows.map(row => ({
+      key: row.key,
+      count: row.count,
+      days: row.days,
+      lastLoggedAt: row.last_logged_at,
+      food: JSON.parse(row.data)
+    }));
+  }
+
+  async countEntriesForMealType(mealType) {
+    const db = await this.getDb();
+    const row = await db.getFirstAsync('SELECT COUNT(*) AS count FROM entries WHERE meal_type = ?', [mealType]);
+    return row?.count || 0;
+  }
+
+  async writeEntryTombstone(db, id, date, deletedAt) {
+    await db.runAsync(
+      `INSERT INTO tombstones (id, kind, date, deleted_at) VALUES (?, 'entry', ?, ?)
+       ON CONFLICT(id) DO UPDATE SET deleted_at = excluded.deleted_at`,
+      [id, date, deletedAt]
+    );
+  }
+
+  // Entries that disappear from a day leave a tombstone, so sync can tell a
+  // deleted entry from one this device has never seen.
+  // Days written from a pull pass `keepUpdatedAt`, so they aren't collected
+  // and pushed straight back; a day new to this device takes `updatedAt`.
+  // `movedIds` are entries that live on under another date and get no tombstone.
+  async writeDay(db, date, day, mealTypes, { updatedAt, keepUpdatedAt = false, movedIds = [] } = {}) {
+    const now = new Date().toISOString();
+    await db.runAsync(
+      `INSERT INTO days (date, water_ml, water_updated_at, total_nutrition, updated_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(date) DO UPDATE SET
+         water_updated_at = CASE WHEN days.water_ml != excluded.water_ml THEN ? ELSE days.water_updated_at END,
+         water_ml = excluded.water_ml,
+         total_nutrition = excluded.total_nutrition,
+         updated_at = CASE WHEN ? THEN COALESCE(days.updated_at, excluded.updated_at) ELSE excluded.updated_at END`,
+      [
+        date, Math.round(day.waterMl) || 0, day.waterMl > 0 ? now : null, JSON.stringify(day.totalNutrition || {}), updatedAt || now,
+        // Resetting water to 0 is a change too, or a pull would bring the old amount back
+        now,
+        keepUpdatedAt ? 1 : 0
+      ]
+    );
+
+    const keptIds = new Set([...movedIds, ...this.getEntryIds(day, mealTypes)]);
+    const previousRows = await db.getAllAsync('SELECT row_id, id, meal_type FROM entries WHERE date = ?', [date]);
+    for (const row of previousRows) {
+      // Entries under a meal type this device doesn't know (e.g. one only
+      // another device has) are left as they are rather than deleted
+      if (!mealTypes.includes(row.meal_type) && !keptIds.has(row.id)) continue;
+      if (!keptIds.has(row.id)) {
+        await this.writeEntryTombstone(db, row.id, date, now);
+      }
+      await db.runAsync('DELETE FROM entries WHERE row_id = ?', [row.row_id]);
+    }
+
+    const columns = Object.values(NUTRIENT_COLUMNS);
+    const insertSql = `INSERT INTO entries (id, date, meal_type, position, food_name, ${columns.join(', ')}, timestamp, data)
+      VALUES (?, ?, ?, ?, ?, ${columns.map(() => '?').join(', ')}, ?, ?)`;
+
+    for (const mealType of mealTypes) {
+      const entries = day[mealType] || [];
+      for (let position = 0; position < entries.length; position++) {
+        const entry = entries[position];
+        await db.runAsync(insertSql, [
+          String(entry.id),
+          date,
+          mealType,
+          position,
+          entry.foodName || null,
+          ...Object.keys(NUTRIENT_COLUMNS).map(key => parseFloat(entry.nutrition?.[key]) || 0),
+          entry.timestamp || null,
+          JSON.stringify(entry)
+        ]);
+      }
+    }
+  }
+
+  getEntryIds(day, mealTypes) {
+    return mealTypes.flatMap(mealType => (day[mealType] || []).map(entry => String(entry.id)));
+  }
+
+  // Replaces everything stored for each given day in a single transaction. An
+  // entry moved between two of the days is still there, so it isn't tombstoned.
+  async saveDays(days, mealTypes, options) {
+    const movedIds = [...(options?.movedIds || []), ...Object.values(days).flatMap(day => this.getEntryIds(day, mealTypes))];
+    await this.transaction(async (db) => {
+      for (const [date, day] of Object.entries(days)) {
+        await this.writeDay(db, date, day, mealTypes, { ...options, movedIds });
+      }
+    });
+  }
+
+  async saveDay(date, day, mealTypes, options) {
+    return this.saveDays({ [date]: day }, mealTypes, options);
+  }
+
+  // Swaps the whole log for `days`. One transaction, so a failed import
+  // leaves the old log in place. Entries missing from `days` get tombstones,
+  // otherwise the next sync would pull them straight back.
+  async replaceAllDays(days, mealTypes) {
+    await this.transaction(async (db) => {
+      const now = new Date().toISOString();
+      const keptIds = new Set(Object.values(days).flatMap(day => this.getEntryIds(day, mealTypes)));
+      const previousRows = await db.getAllAsync('SELECT id, date FROM entries');
+      for (const { id, date } of previousRows) {
+        if (!keptIds.has(id)) {
+          await this.writeEntryTombstone(db, id, date, now);
+        }
+      }
+      await db.runAsync('DELETE FROM entries');
+      await db.runAsync('DELETE FROM days');
+      for (const [date, day] of Object.entries(days)) {
+        await this.writeDay(db, date, day, mealTypes);
+      }
+    });
+  }
+
+  // Water used to be counted in glasses; moves those counts into water_ml
+  async convertWaterGlassesToMl(glassMl) {
+    await this.transaction(async (db) => {
+      await db.runAsync(
+        'UPDATE days SET water_ml = water_ml + water_glasses * ?, water_glasses = 0 WHERE water_glasses > 0',
+        [glassMl]
+      );
+    });
+  }
+
+  // === SYNC ===
+  // Days written since the given ISO time, with when their water last changed.
+  // Water that was never logged has no change time, so it can't overwrite
+  // water logged on another device.
+  getWaterChangeTime(row) {
+    return row.water_updated_at || (row.water_ml > 0 ? row.updated_at : null);
+  }
+
+  async getDaysChangedSince(since) {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync(
+      'SELECT date, water_ml, water_updated_at, updated_at FROM days WHERE updated_at > ? ORDER BY date',
+      [since || '']
+    );
+    return rows.map(row => ({
+      date: row.date,
+      waterMl: row.water_ml,
+      waterUpdatedAt: this.getWaterChangeTime(row),
+      updatedAt: row.updated_at
+    }));
+  }
+
+  async getWaterUpdatedAt(date) {
+    const db = await this.getDb();
+    const row = await db.getFirstAsync('SELECT water_ml, water_updated_at, updated_at FROM days WHERE date = ?', [date]);
+    return row ? this.getWaterChangeTime(row) : null;
+  }
+
+  // Water written from another device keeps that device's change time
+  async setWaterUpdatedAt(date, updatedAt) {
+    await this.write(db => db.runAsync('UPDATE days SET water_updated_at = ? WHERE date = ?', [updatedAt, date]));
+  }
+
+  async getTombstonesSince(since) {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync(
+      'SELECT * FROM tombstones WHERE deleted_at > ? ORDER BY deleted_at',
+      [since || '']
+    );
+    return rows.map(row => ({ id: row.id, kind: row.kind, date: row.date, deletedAt: row.deleted_at }));
+  }
+
+  async getTombstones(ids) {
+    if (ids.length === 0) return [];
+    const db = await this.getDb();
+    const rows = await db.getAllAsync(
+      `SELECT * FROM tombstones WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids.map(String)
+    );
+    return rows.map(row => ({ id: row.id, kind: row.kind, date: row.date, deletedAt: row.deleted_at }));
+  }
+
+  async saveTombstone({ id, kind, date, deletedAt }) {
+    await this.write(db => db.runAsync(
+      `INSERT INTO tombstones (id, kind, date, deleted_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET deleted_at = excluded.deleted_at`,
+      [String(id), kind, date || null, deletedAt]
+    ));
+  }
+
+  async deleteTombstones(ids) {
+    if (ids.length === 0) return;
+    await this.write(db => db.runAsync(`DELETE FROM tombstones WHERE id IN (${ids.map(() => '?').join(', ')})`, ids.map(String)));
+  }
+
+  // === GOALS ===
+  async getGoals() {
+    const db = await this.getDb();
+    const row = await db.getFirstAsync('SELECT data FROM goals WHERE id = 1');
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getGoalsUpdatedAt() {
+    const db = await this.getDb();
+    const row = await db.getFirstAsync('SELECT updated_at FROM goals WHERE id = 1');
+    return row?.updated_at || null;
+  }
+
+  async saveGoals(goals, updatedAt = new Date().toISOString()) {
+    await this.write(db => db.runAsync(
+      `INSERT INTO goals (id, data, updated_at) VALUES (1, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      [JSON.stringify(goals), updatedAt]
+    ));
+  }
+
+  // === RECENT SCANS ===
+  async getRecentScans(limit = 10) {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync(
+      'SELECT data FROM scans ORDER BY scanned_at DESC, rowid DESC LIMIT ?',
+      [limit]
+    );
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async insertScan(scan, maxScans = 50) {
+    await this.transaction(async (db) => {
+      await db.runAsync(
+        'INSERT OR REPLACE INTO scans (id, entry_id, scanned_at, data) VALUES (?, ?, ?, ?)',
+        [String(scan.id), scan.entryId || null, scan.scannedAt, JSON.stringify(scan)]
+      );
+      await db.runAsync(
+        'DELETE FROM scans WHERE id NOT IN (SELECT id FROM scans ORDER BY scanned_at DESC, rowid DESC LIMIT ?)',
+        [maxScans]
+      );
+    });
+  }
+
+  // Replaces the stored list, keeping the given order (newest first)
+  async replaceRecentScans(scans) {
+    await this.transaction(async (db) => {
+      await db.runAsync('DELETE FROM scans');
+      for (const scan of [...scans].reverse()) {
+        await db.runAsync(
+          'INSERT OR REPLACE INTO scans (id, entry_id, scanned_at, data) VALUES (?, ?, ?, ?)',
+          [String(scan.id), scan.entryId || null, scan.scannedAt || new Date().toISOString(), JSON.stringify(scan)]
+        );
+      }
+    });
+  }
+
+  // === CUSTOM FOODS ===
+  async getCustomFoods() {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync('SELECT data FROM custom_foods ORDER BY name COLLATE NOCASE');
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async saveCustomFood(food) {
+    await this.write(db => db.runAsync(
+      `INSERT INTO custom_foods (id, name, updated_at, data) VALUES (?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET name = excluded.name, updated_at = excluded.updated_at, data = excluded.data`,
+      [String(food.id), food.name, food.updatedAt || new Date().toISOString(), JSON.stringify(food)]
+    ));
+  }
+
+  async deleteCustomFood(id) {
+    await this.write(db => db.runAsync('DELETE FROM custom_foods WHERE id = ?', [String(id)]));
+  }
+
+  async replaceCustomFoods(foods) {
+    await this.transaction(async (db) => {
+      await db.runAsync('DELETE FROM custom_foods');
+      for (const food of foods) {
+        await db.runAsync(
+          'INSERT OR REPLACE INTO custom_foods (id, name, updated_at, data) VALUES (?, ?, ?, ?)',
+          [String(food.id), food.name, food.updatedAt || new Date().toISOString(), JSON.stringify(food)]
+        );
+      }
+    });
+  }
+
+  // === RECIPES ===
+  async getRecipes() {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync('SELECT data FROM recipes ORDER BY name COLLATE NOCASE');
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async saveRecipe(recipe) {
+    await this.write(db => db.runAsync(
+      `INSERT INTO recipes (id, name, updated_at, data) VALUES (?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET name = excluded.name, updated_at = excluded.updated_at, data = excluded.data`,
+      [String(recipe.id), recipe.name, recipe.updatedAt || new Date().toISOString(), JSON.stringify(recipe)]
+    ));
+  }
+
+  async deleteRecipe(id) {
+    await this.write(db => db.runAsync('DELETE FROM recipes WHERE id = ?', [String(id)]));
+  }
+
+  async replaceRecipes(recipes) {
+    await this.transaction(async (db) => {
+      await db.runAsync('DELETE FROM recipes');
+      for (const recipe of recipes) {
+        await db.runAsync(
+          'INSERT OR REPLACE INTO recipes (id, name, updated_at, data) VALUES (?, ?, ?, ?)',
+          [String(recipe.id), recipe.name, recipe.updatedAt || new Date().toISOString(), JSON.stringify(recipe)]
+        );
+      }
+    });
+  }
+
+  // === MEAL TEMPLATES ===
+  async getMealTemplates() {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync('SELECT data FROM meal_templates ORDER BY name COLLATE NOCASE');
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async saveMealTemplate(template) {
+    await this.write(db => db.runAsync(
+      `INSERT INTO meal_templates (id, name, updated_at, data) VALUES (?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET name = excluded.name, updated_at = excluded.updated_at, data = excluded.data`,
+      [String(template.id), template.name, template.updatedAt || new Date().toISOString(), JSON.stringify(template)]
+    ));
+  }
+
+  async deleteMealTemplate(id) {
+    await this.write(db => db.runAsync('DELETE FROM meal_templates WHERE id = ?', [String(id)]));
+  }
+
+  async replaceMealTemplates(templates) {
+    await this.transaction(async (db) => {
+      await db.runAsync('DELETE FROM meal_templates');
+      for (const template of templates) {
+        await db.runAsync(
+          'INSERT OR REPLACE INTO meal_templates (id, name, updated_at, data) VALUES (?, ?, ?, ?)',
+          [String(template.id), template.name, template.updatedAt || new Date().toISOString(), JSON.stringify(template)]
+        );
+      }
+    });
+  }
+
+  // === WEIGHT LOG ===
+  // One measurement per day, keyed by YYYY-MM-DD
+  async getWeightLog() {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync('SELECT data FROM weight_log ORDER BY date');
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async saveWeightEntry(entry) {
+    await this.write(db => db.runAsync(
+      `INSERT INTO weight_log (date, weight, updated_at, data) VALUES (?, ?, ?, ?)
+       ON CONFLICT(date) DO UPDATE SET weight = excluded.weight, updated_at = excluded.updated_at, data = excluded.data`,
+      [entry.date, entry.weight, entry.updatedAt || new Date().toISOString(), JSON.stringify(entry)]
+    ));
+  }
+
+  async deleteWeightEntry(date) {
+    await this.write(db => db.runAsync('DELETE FROM weight_log WHERE date = ?', [date]));
+  }
+
+  async replaceWeightLog(entries) {
+    await this.transaction(async (db) => {
+      await db.runAsync('DELETE FROM weight_log');
+      for (const entry of entries) {
+        await db.runAsync(
+          'INSERT OR REPLACE INTO weight_log (date, weight, updated_at, data) VALUES (?, ?, ?, ?)',
+          [entry.date, entry.weight, entry.updatedAt || new Date().toISOString(), JSON.stringify(entry)]
+        );
+      }
+    });
+  }
+
+  // === FAVORITE FOODS ===
+  async getFavoriteFoods() {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync('SELECT data FROM favorite_foods ORDER BY name COLLATE NOCASE');
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async saveFavoriteFood(favorite) {
+    await this.write(db => db.runAsync(
+      `INSERT INTO favorite_foods (key, name, updated_at, data) VALUES (?, ?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET name = excluded.name, updated_at = excluded.updated_at, data = excluded.data`,
+      [favorite.key, favorite.name, favorite.updatedAt || new Date().toISOString(), JSON.stringify(favorite)]
+    ));
+  }
+
+  async deleteFavoriteFood(key) {
+    await this.write(db => db.runAsync('DELETE FROM favorite_foods WHERE key = ?', [key]));
+  }
+
+  async replaceFavoriteFoods(favorites) {
+    await this.transaction(async (db) => {
+      await db.runAsync('DELETE FROM favorite_foods');
+      for (const favorite of favorites) {
+        await db.runAsync(
+          'INSERT OR REPLACE INTO favorite_foods (key, name, updated_at, data) VALUES (?, ?, ?, ?)',
+          [favorite.key, favorite.name, favorite.updatedAt || new Date().toISOString(), JSON.stringify(favorite)]
+        );
+      }
+    });
+  }
+
+  // === UTILITIES ===
+  async clearAll() {
+    await this.transaction(async (db) => {
+      await db.runAsync('DELETE FROM entries');
+      await db.runAsync('DELETE FROM days');
+      await db.runAsync('DELETE FROM goals');
+      await db.runAsync('DELETE FROM scans');
+      await db.runAsync('DELETE FROM custom_foods');
+      await db.runAsync('DELETE FROM recipes');
+      await db.runAsync('DELETE FROM meal_templates');
+      await db.runAsync('DELETE FROM weight_log');
+      await db.runAsync('DELETE FROM favorite_foods');
+      await db.runAsync('DELETE FROM tombstones');
+    });
+  }
+}
+
+export default new DatabaseService();
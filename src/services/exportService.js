@@ -0,0 +1,103 @@
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import UserDataService from './userDataService';
+
+const NUTRIENT_COLUMNS = [
+  'calories', 'protein', 'carbs', 'fat', 'fiber',
+  'sugar', 'sodium', 'iron', 'calcium', 'vitaminC'
+];
+
+class ExportService {
+  // === FORMATTERS ===
+  toJSON(backup) {
+    return JSON.stringify(backup, null, 2);
+  }
+
+  escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // One row per logged food entry, oldest day first
+  toCSV(backup) {
+    const header = ['date', 'meal', 'food', 'quantity', ...NUTRIENT_COLUMNS, 'method', 'timestamp'];
+    const rows = [header];
+
+    Object.keys(backup.days).sort().forEach(date => {
+      const day = backup.days[date];
+      UserDataService.MEAL_TYPES.forEach(mealType => {
+        (day[mealType] || []).forEach(entry => {
+          rows.push([
+            date,
+            mealType,
+            entry.foodName,
+            entry.quantity || 1,
+            ...NUTRIENT_COLUMNS.map(key => entry.nutrition?.[key] ?? 0),
+            entry.method || '',
+            entry.timestamp || ''
+          ]);
+        });
+      });
+    });
+
+    return rows.map(row => row.map(value => this.escapeCsvValue(value)).join(',')).join('\n');
+  }
+
+  // === EXPORT ===
+  async exportData(format = 'json') {
+    try {
+      const backup = await UserDataService.createBackup();
+      const stamp = UserDataService.getDateKey(new Date(backup.exportedAt));
+      const isCsv = format === 'csv';
+
+      const file = new File(Paths.document, `lpu-nutrition-${stamp}.${isCsv ? 'csv' : 'json'}`);
+      if (file.exists) {
+        file.delete();
+      }
+      file.create();
+      file.write(isCsv ? this.toCSV(backup) : this.toJSON(backup));
+      console.log('📤 Export written to', file.uri);
+
+      const canShare = await Sharing.isAvailableAsync();
+      if (canShare) {
+        await Sharing.shareAsync(file.uri, {
+          mimeType: isCsv ? 'text/csv' : 'application/json',
+          dialogTitle: 'Export nutrition data',
+          UTI: isCsv ? 'public.comma-separated-values-text' : 'public.json'
+        });
+      }
+
+      return {
+        uri: file.uri,
+        days: Object.keys(backup.days).length,
+        shared: canShare
+      };
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      return null;
+    }
+  }
+
+  // === IMPORT ===
+  // Returns the parsed backup, or null if the user cancelled the picker
+  async readBackupFile() {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: ['application/json', 'text/plain', '*/*'],
+      copyToCacheDirectory: true
+    });
+    if (result.canceled || !result.assets?.length) {
+      return null;
+    }
+
+    const text = await new File(result.assets[0].uri).text();
+    try {
+      return JSON.parse(text);
+    } catch (parseError) {
+      throw new Error('Selected file is not valid JSON');
+    }
+  }
+}
+
+export default new ExportService();
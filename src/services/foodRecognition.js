@@ -1,20 +1,98 @@
 import * as FileSystem from 'expo-file-system';
 import * as ImageManipulator from 'expo-image-manipulator';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import Constants from 'expo-constants';
+import { RECOGNITION_PROVIDERS, getRecognitionProvider } from './recognitionProviders';
+import RecognitionCache from './recognitionCache';
+import NutritionValidator from './nutritionValidator';
+import UserDataService from './userDataService';
+
+const RECOGNITION_SETTINGS_KEY = 'recognition_settings';
 
 class FoodRecognitionService {
   constructor() {
-    this.APIs = {
-      GEMINI_KEY: Constants.expoConfig?.extra?.GEMINI_API_KEY || process.env.EXPO_PUBLIC_GEMINI_API_KEY,
-      
-      // ✅ UPDATED: 2.5 Flash primary, 2.0 Flash Exp backup
-      GEMINI_MODELS: [
-        'gemini-2.5-flash',      // PRIMARY: Most accurate (paid)
-        'gemini-2.0-flash-exp',  // BACKUP: Free fallback
-      ],
-      
-      GEMINI_URL: 'https://generativelanguage.googleapis.com/v1beta/models',
+    this.settings = null;
+  }
+
+  // ============================================================
+  // PROVIDER SETTINGS
+  // ============================================================
+
+  // EXPO_PUBLIC_RECOGNITION_PROVIDER=stub starts a fresh install on the
+  // offline stub, e.g. for simulators without an API key
+  createDefaultSettings() {
+    const configured = Constants.expoConfig?.extra?.RECOGNITION_PROVIDER || process.env.EXPO_PUBLIC_RECOGNITION_PROVIDER;
+    const models = {};
+    RECOGNITION_PROVIDERS.forEach(provider => {
+      models[provider.id] = [...provider.DEFAULT_MODELS];
+    });
+
+    return {
+      provider: getRecognitionProvider(configured) ? configured : 'gemini',
+      fallbackToOtherProviders: false,
+      models, // provider id -> model names, tried in order
+      openai: {
+        baseUrl: getRecognitionProvider('openai').DEFAULT_BASE_URL,
+        apiKey: getRecognitionProvider('openai').DEFAULT_API_KEY
+      }
+    };
+  }
+
+  async getSettings() {
+    if (this.settings) return this.settings;
+
+    const defaults = this.createDefaultSettings();
+    try {
+      const stored = JSON.parse(await AsyncStorage.getItem(RECOGNITION_SETTINGS_KEY)) || {};
+      this.settings = {
+        ...defaults,
+        ...stored,
+        models: { ...defaults.models, ...stored.models },
+        openai: { ...defaults.openai, ...stored.openai }
+      };
+    } catch (error) {
+      console.error('Error loading recognition settings:', error);
+      this.settings = defaults;
+    }
+    return this.settings;
+  }
+
+  async saveSettings(changes) {
+    const current = await this.getSettings();
+    const next = {
+      ...current,
+      ...changes,
+      models: { ...current.models, ...changes.models },
+      openai: { ...current.openai, ...changes.openai }
     };
+
+    try {
+      await AsyncStorage.setItem(RECOGNITION_SETTINGS_KEY, JSON.stringify(next));
+      this.settings = next;
+      return next;
+    } catch (error) {
+      console.error('Error saving recognition settings:', error);
+      return null;
+    }
+  }
+
+  // [{ provider, model }] in the order recognizeFood tries them: the chosen
+  // provider's models, then the other configured ones if fallback is on.
+  // The stub is never a silent fallback.
+  getModelChain(settings) {
+    const primary = getRecognitionProvider(settings.provider) || getRecognitionProvider('gemini');
+    const others = settings.fallbackToOtherProviders ?
+      RECOGNITION_PROVIDERS.filter(provider =>
+        provider !== primary && provider.id !== 'stub' && provider.isConfigured(settings)
+      ) :
+      [];
+
+    return [primary, ...others].flatMap(provider =>
+      (settings.models[provider.id] || [])
+        .map(model => String(model).trim())
+        .filter(Boolean)
+        .map(model => ({ provider, model }))
+    );
   }
 
   // ============================================================
@@ -161,6 +239,21 @@ Return ONLY valid JSON with complete nutrition:
   "confidence": 0.9
 }
 
+Return ONLY JSON.`;
+  }
+
+  // Sent once when an answer fails validation, with what was wrong
+  createRepairPrompt(originalPrompt, previousText, errors) {
+    return `${originalPrompt}
+
+Your previous answer failed validation:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Previous answer:
+${String(previousText).slice(0, 4000)}
+
+Fix these problems and return the corrected JSON. Every perUnitNutrition value must be a plain number for ONE piece, realistic for its perUnitWeight.
+
 Return ONLY JSON.`;
   }
 
@@ -171,30 +264,56 @@ Return ONLY JSON.`;
   async recognizeFood(imageUri, userInput = null) {
     console.log('🎯 Starting food recognition...');
     const startTime = Date.now();
+    const settings = await this.getSettings();
+    const chain = this.getModelChain(settings);
 
     const base64Image = await this.optimizeImageForAI(imageUri);
     console.log(`⚡ Image processed in ${Date.now() - startTime}ms`);
 
+    // Same photo, hint and model as before: skip the API call
+    const imageHash = RecognitionCache.hashString(base64Image);
+    for (const { provider, model } of chain) {
+      const cached = await RecognitionCache.get(RecognitionCache.getKey(imageHash, userInput, provider.id, model));
+      if (cached) {
+        console.log(`💾 Using cached ${model} result`);
+        return {
+          ...cached.result,
+          imageUri,
+          userInput,
+          timestamp: new Date().toISOString(),
+          processingTime: Date.now() - startTime,
+          cached: true,
+          cachedAt: cached.savedAt
+        };
+      }
+    }
+
     const prompt = userInput ? 
       this.createUserAssistedPrompt(userInput) : 
       this.createCompleteDetectionPrompt();
 
-    // Try models in order: 2.5 Flash → 2.0 Flash Exp
-    for (let i = 0; i < this.APIs.GEMINI_MODELS.length; i++) {
-      const model = this.APIs.GEMINI_MODELS[i];
+    // Try models in the configured order, e.g. 2.5 Flash → 2.0 Flash Exp
+    for (let i = 0; i < chain.length; i++) {
+      const { provider, model } = chain[i];
       
       try {
-        console.log(`🧠 Trying ${model}...`);
+        console.log(`🧠 Trying ${provider.label} ${model}...`);
         
-        const result = await this.analyzeWithGemini(base64Image, prompt, model, userInput);
+        const result = await this.analyzeWithRepair(provider, model, { base64Image, prompt, settings }, userInput);
         
         if (result) {
           const totalTime = Date.now() - startTime;
           console.log(`✅ ${model} succeeded in ${totalTime}ms`);
           
-          return { 
+          const analyzed = { 
             ...result, 
-            usedModel: model === 'gemini-2.5-flash' ? 'Gemini 2.5 Flash' : 'Gemini 2.0 Flash Exp', 
+            method: `${provider.label} Complete Analysis`,
+            usedModel: provider.getModelLabel(model)
+          };
+          await RecognitionCache.set(RecognitionCache.getKey(imageHash, userInput, provider.id, model), analyzed);
+          
+          return { 
+            ...analyzed, 
             imageUri, 
             userInput, 
             processingTime: totalTime 
@@ -204,7 +323,7 @@ Return ONLY JSON.`;
         console.warn(`⚠️ ${model} failed:`, error.message);
         
         // If not last model, try next
-        if (i < this.APIs.GEMINI_MODELS.length - 1) {
+        if (i < chain.length - 1) {
           console.log(`🔄 Trying backup model...`);
           continue;
         }
@@ -216,66 +335,53 @@ Return ONLY JSON.`;
     return this.getFallbackData(imageUri, userInput);
   }
 
-  async analyzeWithGemini(base64Image, prompt, model, userInput = null) {
-    if (!this.APIs.GEMINI_KEY) {
-      throw new Error('Missing Gemini API key');
-    }
-
-    const url = `${this.APIs.GEMINI_URL}/${model}:generateContent?key=${this.APIs.GEMINI_KEY}`;
-    
-    const payload = {
-      contents: [{
-        parts: [
-          { text: prompt },
-          {
-            inline_data: {
-              mime_type: "image/jpeg",
-              data: base64Image
-            }
-          }
-        ]
-      }],
-      generationConfig: {
-        temperature: 0.1,
-        maxOutputTokens: 4096,
-        topK: 32,
-        topP: 1,
-        responseMimeType: "application/json"
-      },
-      safetySettings: [
-        { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-        { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-        { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-        { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
-      ]
-    };
-
-    const response = await this.safeFetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    }, 30000);
+  // One model's answer, validated. A failing answer gets a single repair
+  // prompt; whichever answer needed fewer fixes is repaired and used.
+  async analyzeWithRepair(provider, model, { base64Image, prompt, settings }, userInput = null) {
+    const analyze = (text) => provider.analyze({
+      base64Image,
+      prompt: text,
+      model,
+      settings,
+      safeFetch: this.safeFetch.bind(this)
+    });
 
-    const candidate = response?.candidates?.[0];
-    if (!candidate) throw new Error('No response from Gemini');
+    const text = await analyze(prompt);
+    console.log('✅ Response received');
+    let validation = this.validateResponse(text);
+    let repairAttempted = false;
 
-    const finishReason = candidate.finishReason;
-    if (finishReason && finishReason !== 'STOP') {
-      throw new Error(`Gemini stopped: ${finishReason}`);
+    if (!validation.valid) {
+      console.warn('⚠️ Response failed validation:', validation.errors);
+      repairAttempted = true;
+      try {
+        const retry = this.validateResponse(await analyze(this.createRepairPrompt(prompt, text, validation.errors)));
+        if (retry.data && (!validation.data || retry.errors.length <= validation.errors.length)) {
+          validation = retry;
+        }
+        console.log(retry.valid ? '🩹 Repaired response passed validation' : '⚠️ Repaired response still has issues');
+      } catch (error) {
+        console.warn('⚠️ Repair attempt failed:', error.message);
+      }
     }
 
-    const text = candidate?.content?.parts?.[0]?.text;
-    if (!text) throw new Error('Empty response from Gemini');
-
-    console.log('✅ Response received');
-    return await this.processGeminiResponse(text, userInput);
+    if (!validation.data) {
+      throw new Error(validation.errors[0] || 'Invalid JSON response');
+    }
+    return this.formatFoodData(validation.data, userInput, {
+      passed: validation.valid,
+      repairAttempted,
+      issues: validation.errors,
+      clampedFields: validation.clampedFields,
+      estimatedFields: validation.estimatedFields
+    });
   }
 
   // ============================================================
   // PROCESS RESPONSE (NO DATABASE NEEDED)
   // ============================================================
 
-  async processGeminiResponse(text, userInput = null) {
+  parseResponse(text) {
     try {
       console.log('🔍 Parsing response...');
       
@@ -290,7 +396,7 @@ Return ONLY JSON.`;
         const parsedData = JSON.parse(jsonString);
         
         console.log('✅ Successfully parsed');
-        return this.formatFoodData(parsedData, userInput);
+        return parsedData;
       }
       
       throw new Error('Invalid JSON response');
@@ -300,44 +406,76 @@ Return ONLY JSON.`;
     }
   }
 
-  formatFoodData(data, userInput = null) {
+  validateResponse(text) {
+    let parsed;
+    try {
+      parsed = this.parseResponse(text);
+    } catch (error) {
+      return { valid: false, errors: [`Response was not valid JSON: ${error.message}`], data: null, clampedFields: [], estimatedFields: [] };
+    }
+    return NutritionValidator.validate(parsed);
+  }
+
+  formatFoodData(data, userInput = null, validation = null) {
     if (!data.detectedItems || data.detectedItems.length === 0) {
       throw new Error('No items detected');
     }
 
-    const processedItems = data.detectedItems.map(item => {
-      const count = parseInt(item.visibleCount) || 1;
-      const perUnitNutrition = item.perUnitNutrition || {};
-      
-      // Calculate total nutrition
-      const totalNutrition = {};
-      Object.keys(perUnitNutrition).forEach(key => {
-        const value = perUnitNutrition[key] * count;
-        totalNutrition[key] = (key === 'calories' || key === 'sodium' || key === 'calcium') ? 
-          Math.round(value) : Math.round(value * 10) / 10;
-      });
+    const processedItems = data.detectedItems.map(item => this.buildItem(item, userInput));
 
-      return {
-        name: item.foodName,
-        visibleCount: count,
-        perUnitWeight: item.perUnitWeight || '100g',
-        totalWeight: `${parseInt(item.perUnitWeight || 100) * count}g`,
-        perUnitNutrition: perUnitNutrition,
-        totalNutrition: totalNutrition,
-        category: item.category || 'Food Item',
-        healthScore: item.healthScore || 6,
-        ingredients: item.ingredients || ['mixed ingredients'],
-        tips: item.tips || 'Enjoy as part of a balanced diet',
-        userProvided: userInput ? true : false,
-        portion: {
-          size: count > 3 ? 'Large' : count > 1 ? 'Medium' : 'Small',
-          quantity: `${count} piece${count > 1 ? 's' : ''}`,
-          weight: `${parseInt(item.perUnitWeight || 100) * count}g`
-        }
-      };
+    return {
+      ...this.summarizeItems(processedItems),
+      confidence: data.confidence || 0.9,
+      method: 'AI Complete Analysis',
+      timestamp: new Date().toISOString(),
+      userAssisted: userInput ? true : false,
+      hasAIGeneratedNutrition: true,
+      // Which values the validator had to clamp or fill in
+      validation,
+      hasClampedValues: !!validation?.clampedFields.length,
+      hasEstimatedValues: !!validation?.estimatedFields.length
+    };
+  }
+
+  // One detected item with totals for all of its visible pieces. Items added
+  // by hand may have no known weight; their weights stay empty.
+  buildItem(item, userInput = null) {
+    const count = parseInt(item.visibleCount) || 1;
+    const unitWeight = parseInt(item.perUnitWeight) || null;
+    const totalWeight = unitWeight ? `${unitWeight * count}g` : undefined;
+    const perUnitNutrition = item.perUnitNutrition || {};
+    
+    // Calculate total nutrition
+    const totalNutrition = {};
+    Object.keys(perUnitNutrition).forEach(key => {
+      totalNutrition[key] = perUnitNutrition[key] * count;
     });
 
-    // Calculate grand totals
+    return {
+      name: item.foodName,
+      visibleCount: count,
+      perUnitWeight: unitWeight ? item.perUnitWeight : undefined,
+      totalWeight,
+      perUnitNutrition: perUnitNutrition,
+      totalNutrition: UserDataService.roundNutrition(totalNutrition),
+      category: item.category || 'Food Item',
+      healthScore: item.healthScore || 6,
+      ingredients: item.ingredients || ['mixed ingredients'],
+      tips: item.tips || 'Enjoy as part of a balanced diet',
+      userProvided: userInput ? true : false,
+      addedByUser: !!item.addedByUser,
+      clampedFields: item.clampedFields || [],
+      estimatedFields: item.estimatedFields || [],
+      portion: {
+        size: count > 3 ? 'Large' : count > 1 ? 'Medium' : 'Small',
+        quantity: `${count} piece${count > 1 ? 's' : ''}`,
+        weight: totalWeight
+      }
+    };
+  }
+
+  // Name, grand totals and meal-level details for a list of built items
+  summarizeItems(processedItems) {
     const grandTotalNutrition = {
       calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0,
       sugar: 0, sodium: 0, iron: 0, calcium: 0, vitaminC: 0
@@ -349,16 +487,11 @@ Return ONLY JSON.`;
       });
     });
     
-    Object.keys(grandTotalNutrition).forEach(key => {
-      if (key === 'calories' || key === 'sodium' || key === 'calcium') {
-        grandTotalNutrition[key] = Math.round(grandTotalNutrition[key]);
-      } else {
-        grandTotalNutrition[key] = Math.round(grandTotalNutrition[key] * 10) / 10;
-      }
-    });
+    Object.assign(grandTotalNutrition, UserDataService.roundNutrition(grandTotalNutrition));
 
     const totalPieces = processedItems.reduce((sum, item) => sum + item.visibleCount, 0);
-    const totalWeight = processedItems.reduce((sum, item) => sum + parseInt(item.totalWeight), 0);
+    const totalWeight = processedItems.reduce((sum, item) => sum + (parseInt(item.totalWeight) || 0), 0);
+    const weightKnown = processedItems.every(item => item.totalWeight);
 
     return {
       foodName: this.createFoodName(processedItems),
@@ -366,18 +499,53 @@ Return ONLY JSON.`;
       itemCount: processedItems.length,
       totalFoodPieces: totalPieces,
       individualItems: processedItems,
-      confidence: data.confidence || 0.9,
       category: processedItems.length > 1 ? 'Combo Meal' : processedItems[0].category,
-      servingSize: `${totalPieces} piece${totalPieces > 1 ? 's' : ''} total (${totalWeight}g)`,
+      servingSize: `${totalPieces} piece${totalPieces > 1 ? 's' : ''} total${weightKnown ? ` (${totalWeight}g)` : ''}`,
       nutrition: grandTotalNutrition,
       healthScore: this.calculateHealthScore(grandTotalNutrition),
       dietaryInfo: this.getDietaryInfo(processedItems),
       ingredients: this.extractIngredients(processedItems),
-      tips: this.generateTips(processedItems, grandTotalNutrition),
-      method: 'Gemini Complete Analysis',
-      timestamp: new Date().toISOString(),
-      userAssisted: userInput ? true : false,
-      hasAIGeneratedNutrition: true
+      tips: this.generateTips(processedItems, grandTotalNutrition)
+    };
+  }
+
+  // ============================================================
+  // USER EDITS (SCAN RESULT SCREEN)
+  // ============================================================
+
+  // Re-totals a result after the user changed counts, renamed, removed or
+  // added items. `items` are individualItems in their edited form.
+  applyItemEdits(foodData, items) {
+    if (!items.length) {
+      throw new Error('Keep at least one item');
+    }
+
+    const processedItems = items.map(item => this.buildItem({ ...item, foodName: item.name }, foodData.userInput));
+
+    return {
+      ...foodData,
+      ...this.summarizeItems(processedItems),
+      userEdited: true,
+      hasClampedValues: processedItems.some(item => item.clampedFields.length > 0),
+      hasEstimatedValues: processedItems.some(item => item.estimatedFields.length > 0)
+    };
+  }
+
+  // A missed item picked from IngredientPicker, as one piece of its default
+  // amount (100g for the nutrient table, one serving otherwise)
+  createItemFromIngredient(ingredient) {
+    const factor = (parseFloat(ingredient.amount) || 0) / (parseFloat(ingredient.baseAmount) || 1);
+    const perUnitNutrition = UserDataService.scaleNutrition(ingredient.baseNutrition || {}, factor);
+
+    return {
+      name: ingredient.name,
+      visibleCount: 1,
+      perUnitWeight: ingredient.unit === 'g' ? `${Math.round(ingredient.amount)}g` : undefined,
+      perUnitNutrition,
+      category: ingredient.source === 'menu' ? 'Menu Item' : 'Food Item',
+      ingredients: [ingredient.name],
+      tips: 'Added by you',
+      addedByUser: true
     };
   }
 
@@ -524,6 +692,7 @@ Return ONLY JSON.`;
         confidence: 0.95,
         category: 'Packaged Food',
         servingSize: '100g',
+        servingGrams: 100, // nutriments below are per 100g; the portion step scales them
         brand: product.brands || 'Unknown Brand',
         nutrition: {
           calories: Math.round(nutriments['energy-kcal_100g'] || 0),
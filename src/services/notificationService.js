@@ -32,6 +32,33 @@ class NotificationService {
     };
   }
 
+  // Every meal is announced when its window opens and reminded about half an
+  // hour before it closes, so edited windows move the notifications too. The
+  // built-in meals keep their hand-written copy; the fixed times above are
+  // only used for a meal type without a window.
+  getMealSchedule() {
+    const windows = UserDataService.getMealWindows();
+    const mealTimes = {};
+    const reminderTimes = {};
+
+    UserDataService.MEAL_TYPES.forEach(mealType => {
+      const window = windows[mealType];
+      const label = UserDataService.getMealLabel(mealType);
+      const meal = this.mealTimes[mealType] || { title: `${label} Time! 🍽️`, message: `Time for your ${label.toLowerCase()}` };
+      const reminder = this.reminderTimes[mealType] || { message: `Don't forget to log your ${label.toLowerCase()}!` };
+
+      if (window) {
+        mealTimes[mealType] = { ...meal, hour: window.start, minute: 0 };
+        reminderTimes[mealType] = { ...reminder, hour: window.end - 1, minute: 30 };
+      } else if (this.mealTimes[mealType]) {
+        mealTimes[mealType] = this.mealTimes[mealType];
+        reminderTimes[mealType] = this.reminderTimes[mealType];
+      }
+    });
+
+    return { mealTimes, reminderTimes };
+  }
+
   // 🔧 FIXED: Better initialization check
   async shouldInitialize() {
     try {
@@ -108,6 +135,14 @@ class NotificationService {
     }
   }
 
+  // Called after meal types or meal windows change
+  async rescheduleMealReminders() {
+    const enabled = await this.getNotificationStatus();
+    if (enabled) {
+      await this.scheduleDailyMealReminders();
+    }
+  }
+
   // 🔧 FIXED: Better scheduling logic
   async scheduleDailyMealReminders() {
     try {
@@ -123,13 +158,15 @@ class NotificationService {
       const currentHour = now.getHours();
       const currentMinute = now.getMinutes();
       
+      const { mealTimes, reminderTimes } = this.getMealSchedule();
+
       // Schedule meal time notifications
-      for (const [mealType, config] of Object.entries(this.mealTimes)) {
+      for (const [mealType, config] of Object.entries(mealTimes)) {
         await this.scheduleNotificationWithDate(mealType, config, 'mealTime');
       }
       
       // Schedule reminder notifications
-      for (const [mealType, config] of Object.entries(this.reminderTimes)) {
+      for (const [mealType, config] of Object.entries(reminderTimes)) {
         await this.scheduleNotificationWithDate(mealType, config, 'reminder');
       }
       
@@ -185,22 +222,14 @@ class NotificationService {
       }
       
       const todayIntake = await UserDataService.getDailyIntake();
-      const currentHour = new Date().getHours();
-      
-      const missedMeals = [];
-      
-      // Only check if current time has passed meal time
-      if (currentHour >= 10 && (!todayIntake.breakfast || todayIntake.breakfast.length === 0)) {
-        missedMeals.push('breakfast');
-      }
       
-      if (currentHour >= 15 && (!todayIntake.lunch || todayIntake.lunch.length === 0)) {
-        missedMeals.push('lunch');
-      }
-      
-      if (currentHour >= 21 && (!todayIntake.dinner || todayIntake.dinner.length === 0)) {
-        missedMeals.push('dinner');
-      }
+      // Only meals whose window (set in Profile) has already closed.
+      // Snacks are optional, so they never count as missed.
+      const missedMeals = UserDataService.getMissedMeals(
+        todayIntake,
+        new Date(),
+        UserDataService.MEAL_TYPES.filter(mealType => mealType !== 'snacks')
+      );
       
       // Send only one missed meal notification per check
       if (missedMeals.length > 0) {
@@ -234,7 +263,11 @@ class NotificationService {
         },
       };
       
-      const message = messages[mealType];
+      const label = UserDataService.getMealLabel(mealType);
+      const message = messages[mealType] || {
+        title: `${label} Not Logged 🍽️`,
+        body: `Add your ${label.toLowerCase()} to keep your nutrition tracking complete.`,
+      };
       
       await Notifications.scheduleNotificationAsync({
         content: {
@@ -0,0 +1,209 @@
+import UserDataService from './userDataService';
+
+// Checks AI detection answers before they reach the log. Numbers that arrive
+// as strings are coerced, missing nutrients are estimated and implausible
+// values are clamped to bounds for a single piece, tightened by what kind of
+// food it is (a drink can't be denser than 1.5 kcal/g). Every change is
+// reported so the caller can ask the model again or flag the result.
+
+const NUTRIENT_KEYS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium', 'iron', 'calcium', 'vitaminC'];
+
+// Per piece: calories in kcal; sodium, iron, calcium and vitamin C in mg; the rest in g
+const NUTRIENT_LIMITS = {
+  calories: 2500,
+  protein: 150,
+  carbs: 350,
+  fat: 200,
+  fiber: 60,
+  sugar: 250,
+  sodium: 6000,
+  iron: 60,
+  calcium: 2500,
+  vitaminC: 1000
+};
+
+// Gram-based nutrients can't outweigh the piece itself
+const GRAM_NUTRIENTS = ['protein', 'carbs', 'fat', 'fiber', 'sugar'];
+
+// First match on the category and dish name wins
+const CATEGORY_RULES = [
+  { id: 'beverage', pattern: /\b(beverage|drink|tea|coffee|chai|juice|lassi|shake|smoothie|soda|buttermilk|chaas|milk)\b/, maxKcalPerGram: 1.5, typicalWeight: 250, maxWeight: 1000 },
+  { id: 'condiment', pattern: /\b(pickle|achar|chutney|sauce|condiment|dip|raita)\b/, maxKcalPerGram: 5, typicalWeight: 25, maxWeight: 200 },
+  { id: 'curry', pattern: /\b(curry|dal|daal|sabzi|sabji|gravy|soup|sambar|stew|rajma|chole|kadhi)\b/, maxKcalPerGram: 3, typicalWeight: 150, maxWeight: 600 },
+  { id: 'produce', pattern: /\b(fruits?|vegetables?|salad)\b/, maxKcalPerGram: 2.5, typicalWeight: 100, maxWeight: 500 },
+  { id: 'grain', pattern: /\b(bread|rice|roti|chapati|naan|paratha|grains?|biryani|pulao|noodles?|pasta|idli|dosa)\b/, maxKcalPerGram: 4.5, typicalWeight: 120, maxWeight: 600 },
+  { id: 'sweet', pattern: /\b(sweets?|desserts?|mithai|cake|pastry|ice cream|chocolate|halwa|ladoo|laddu|gulab jamun|jalebi)\b/, maxKcalPerGram: 6, typicalWeight: 80, maxWeight: 400 },
+  { id: 'snack', pattern: /\b(snacks?|fried|samosa|pakora|chips|namkeen|kachori|vada|pakoda)\b/, maxKcalPerGram: 6, typicalWeight: 60, maxWeight: 400 },
+];
+const DEFAULT_RULE = { id: 'food', maxKcalPerGram: 9, typicalWeight: 100, maxWeight: 1000 };
+
+const MAX_VISIBLE_COUNT = 50;
+
+class NutritionValidator {
+  constructor() {
+    this.NUTRIENT_KEYS = NUTRIENT_KEYS;
+  }
+
+  // 12, "12", "12.5g" and "about 300 kcal" are numbers; "high" and NaN are not
+  toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+    const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  getCategoryRule(item) {
+    const text = `${item.category || ''} ${item.foodName || ''}`.toLowerCase();
+    return CATEGORY_RULES.find(rule => rule.pattern.test(text)) || DEFAULT_RULE;
+  }
+
+  // Returns { item, errors, clamped, estimated }; clamped and estimated hold
+  // field names like 'calories' or 'perUnitWeight'
+  validateItem(rawItem) {
+    const item = rawItem && typeof rawItem === 'object' ? rawItem : {};
+    const errors = [];
+    const clamped = [];
+    const estimated = [];
+
+    let foodName = typeof item.foodName === 'string' ? item.foodName.trim() : '';
+    if (!foodName) {
+      errors.push('foodName is missing');
+      estimated.push('foodName');
+      foodName = 'Unknown Item';
+    }
+    const label = foodName;
+    const rule = this.getCategoryRule({ ...item, foodName });
+
+    let visibleCount = this.toNumber(item.visibleCount);
+    if (visibleCount === null || visibleCount < 1) {
+      errors.push(`${label}: visibleCount must be a whole number of at least 1`);
+      estimated.push('visibleCount');
+      visibleCount = 1;
+    } else if (visibleCount > MAX_VISIBLE_COUNT) {
+      errors.push(`${label}: visibleCount ${visibleCount} is implausible`);
+      clamped.push('visibleCount');
+      visibleCount = MAX_VISIBLE_COUNT;
+    }
+    visibleCount = Math.max(1, Math.round(visibleCount));
+
+    let weight = this.toNumber(item.perUnitWeight);
+    if (weight === null || weight <= 0) {
+      errors.push(`${label}: perUnitWeight must be a weight in grams like "70g"`);
+      estimated.push('perUnitWeight');
+      weight = rule.typicalWeight;
+    } else if (weight > rule.maxWeight) {
+      errors.push(`${label}: ${weight}g is too heavy for one piece of ${rule.id}`);
+      clamped.push('perUnitWeight');
+      weight = rule.maxWeight;
+    }
+    weight = Math.max(1, Math.round(weight));
+
+    const rawNutrition = item.perUnitNutrition && typeof item.perUnitNutrition === 'object' ? item.perUnitNutrition : {};
+    if (rawNutrition !== item.perUnitNutrition) {
+      errors.push(`${label}: perUnitNutrition is missing`);
+    }
+
+    const nutrition = {};
+    NUTRIENT_KEYS.forEach(key => {
+      const value = this.toNumber(rawNutrition[key]);
+      if (value === null) {
+        if (rawNutrition === item.perUnitNutrition) {
+          errors.push(`${label}: perUnitNutrition.${key} ${key in rawNutrition ? 'is not a number' : 'is missing'}`);
+        }
+        estimated.push(key);
+        nutrition[key] = 0;
+        return;
+      }
+
+      let limit = NUTRIENT_LIMITS[key];
+      if (GRAM_NUTRIENTS.includes(key)) limit = Math.min(limit, weight);
+      if (key === 'calories') limit = Math.min(limit, weight * rule.maxKcalPerGram);
+
+      if (value < 0 || value > limit) {
+        errors.push(`${label}: ${key} ${value} is implausible for ${weight}g of ${rule.id} (0-${Math.round(limit)})`);
+        clamped.push(key);
+        nutrition[key] = Math.min(Math.max(0, value), limit);
+      } else {
+        nutrition[key] = value;
+      }
+    });
+
+    // Calories should roughly agree with the macros (4/4/9 kcal per gram)
+    const macroCalories = nutrition.protein * 4 + nutrition.carbs * 4 + nutrition.fat * 9;
+    const caloriesTrusted = !clamped.includes('calories') && !estimated.includes('calories');
+    const macrosKnown = ['protein', 'carbs', 'fat'].some(key => !estimated.includes(key));
+    if (macrosKnown && Math.abs(macroCalories - nutrition.calories) > Math.max(50, nutrition.calories * 0.35)) {
+      if (caloriesTrusted) {
+        errors.push(`${label}: ${nutrition.calories} kcal doesn't match its macros (~${Math.round(macroCalories)} kcal)`);
+      }
+      if (macroCalories <= Math.min(NUTRIENT_LIMITS.calories, weight * rule.maxKcalPerGram)) {
+        nutrition.calories = macroCalories;
+        if (!estimated.includes('calories')) estimated.push('calories');
+      }
+    }
+
+    Object.assign(nutrition, UserDataService.roundNutrition(nutrition));
+
+    let healthScore = this.toNumber(item.healthScore);
+    if (healthScore !== null) {
+      healthScore = Math.min(10, Math.max(1, healthScore));
+    }
+
+    return {
+      item: {
+        ...item,
+        foodName,
+        visibleCount,
+        perUnitWeight: `${weight}g`,
+        perUnitNutrition: nutrition,
+        category: typeof item.category === 'string' && item.category.trim() ? item.category.trim() : undefined,
+        healthScore: healthScore ?? undefined,
+        ingredients: Array.isArray(item.ingredients) ? item.ingredients.filter(ing => typeof ing === 'string') : undefined,
+        tips: typeof item.tips === 'string' ? item.tips : undefined,
+        clampedFields: clamped,
+        estimatedFields: estimated
+      },
+      errors,
+      clamped,
+      estimated
+    };
+  }
+
+  // Returns { valid, errors, data, clampedFields, estimatedFields }. `data` is
+  // always safe to format, or null when nothing usable came back.
+  // Field lists read like 'Samosa calories'.
+  validate(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.detectedItems)) {
+      return { valid: false, errors: ['detectedItems must be an array'], data: null, clampedFields: [], estimatedFields: [] };
+    }
+    if (raw.detectedItems.length === 0) {
+      return { valid: false, errors: ['detectedItems is empty'], data: null, clampedFields: [], estimatedFields: [] };
+    }
+
+    const errors = [];
+    const clampedFields = [];
+    const estimatedFields = [];
+    const detectedItems = raw.detectedItems.map(rawItem => {
+      const result = this.validateItem(rawItem);
+      errors.push(...result.errors);
+      result.clamped.forEach(field => clampedFields.push(`${result.item.foodName} ${field}`));
+      result.estimated.forEach(field => estimatedFields.push(`${result.item.foodName} ${field}`));
+      return result.item;
+    });
+
+    const confidence = this.toNumber(raw.confidence);
+    return {
+      valid: errors.length === 0,
+      errors,
+      data: {
+        ...raw,
+        detectedItems,
+        confidence: confidence === null ? undefined : Math.min(1, Math.max(0, confidence > 1 ? confidence / 100 : confidence))
+      },
+      clampedFields,
+      estimatedFields
+    };
+  }
+}
+
+export default new NutritionValidator();
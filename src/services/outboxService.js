@@ -0,0 +1,317 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+
+const OUTBOX_KEY = 'outbox';
+const PAYLOAD_KEY_PREFIX = 'outbox_payload_';
+
+// Persistent queue for writes that need the network. Modules register a
+// handler per job type and enqueue jobs instead of calling the server
+// directly; jobs survive restarts and are retried with exponential backoff.
+//
+// The list under OUTBOX_KEY holds the jobs without their payloads. Every
+// payload has a key of its own, so a big first sync can't grow one value
+// past what Android's AsyncStorage can read back (about 2 MB).
+//
+// A failed attempt backs off. Coming back online (watchConnectivity), the app
+// returning to the foreground and the drawer badge all call retryNow() to
+// skip the wait.
+class OutboxService {
+  constructor() {
+    this.BASE_DELAY_MS = 5000;
+    this.MAX_DELAY_MS = 30 * 60 * 1000;
+    this.MAX_OFFLINE_DELAY_MS = 2 * 60 * 1000;
+    // Jobs the server keeps rejecting are dropped after this many tries,
+    // unless their handler opts out. Network failures never count towards it.
+    this.MAX_ATTEMPTS = 8;
+
+    this.handlers = new Map();
+    this.listeners = new Set();
+    this.jobs = null;
+    this.savedPayloads = new Map(); // job id -> payload as last written
+    this.loadPromise = null;
+    this.writeQueue = Promise.resolve();
+    this.flushPromise = null;
+    this.retryTimer = null;
+    this.idCounter = 0;
+  }
+
+  // === JOBS ===
+  // handler(payload, job) resolves when the write reached the server and
+  // throws to retry. Errors marked isNetworkError are retried indefinitely.
+  // Pass maxAttempts: Infinity for writes that must never be given up on;
+  // they stay pending with their lastError until they go through.
+  registerHandler(type, handler, { maxAttempts = this.MAX_ATTEMPTS } = {}) {
+    this.handlers.set(type, { send: handler, maxAttempts });
+    this.scheduleFlush(0);
+  }
+
+  createJobId() {
+    this.idCounter = (this.idCounter + 1) % 1296;
+    return `${Date.now().toString(36)}-${this.idCounter.toString(36).padStart(2, '0')}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  getPayloadKey(id) {
+    return `${PAYLOAD_KEY_PREFIX}${id}`;
+  }
+
+  // A failed read rejects instead of standing in an empty list, which the
+  // next save would write over the stored jobs
+  async loadJobs() {
+    if (this.jobs) return this.jobs;
+    if (!this.loadPromise) {
+      this.loadPromise = this.readJobs()
+        .then(jobs => {
+          this.jobs = jobs;
+          return jobs;
+        })
+        .catch(error => {
+          console.error('Error loading outbox:', error);
+          this.loadPromise = null;
+          throw error;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  async readJobs() {
+    const stored = await AsyncStorage.getItem(OUTBOX_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    if (!Array.isArray(parsed)) return [];
+
+    // Older versions stored payloads inside the list; those are moved out on the next save
+    const separate = parsed.filter(job => !('payload' in job));
+    const payloads = new Map(await AsyncStorage.multiGet(separate.map(job => this.getPayloadKey(job.id))));
+
+    const jobs = [];
+    parsed.forEach(job => {
+      if ('payload' in job) {
+        jobs.push(job);
+        return;
+      }
+      // Payloads are written before the list, so a missing one belongs to a job that was done
+      const stored = payloads.get(this.getPayloadKey(job.id));
+      if (stored == null) return;
+      const payload = JSON.parse(stored);
+      this.savedPayloads.set(job.id, payload);
+      jobs.push({ ...job, payload });
+    });
+    return jobs;
+  }
+
+  // New and changed payloads first, then the list, then payloads of finished jobs
+  async saveJobs(jobs) {
+    const changed = jobs.filter(job => this.savedPayloads.get(job.id) !== job.payload);
+    if (changed.length > 0) {
+      await AsyncStorage.multiSet(changed.map(job => [this.getPayloadKey(job.id), JSON.stringify(job.payload)]));
+      changed.forEach(job => this.savedPayloads.set(job.id, job.payload));
+    }
+
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(jobs.map(({ payload, ...job }) => job)));
+
+    const finished = [...this.savedPayloads.keys()].filter(id => !jobs.some(job => job.id === id));
+    if (finished.length > 0) {
+      await AsyncStorage.multiRemove(finished.map(id => this.getPayloadKey(id)));
+      finished.forEach(id => this.savedPayloads.delete(id));
+    }
+  }
+
+  // Changes to the job list are applied one at a time and saved right away
+  updateJobs(change) {
+    const run = this.writeQueue.then(async () => {
+      const jobs = await this.loadJobs();
+      const result = change(jobs);
+      await this.saveJobs(jobs);
+      this.notify();
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Jobs with the same type and dedupeKey are coalesced: the newer payload
+  // replaces a job that hasn't been sent yet
+  async enqueue(type, payload = {}, { dedupeKey = null } = {}) {
+    try {
+      const job = await this.updateJobs(jobs => {
+        const existing = dedupeKey ? jobs.find(item => item.type === type && item.dedupeKey === dedupeKey) : null;
+        if (existing) {
+          existing.payload = payload;
+          existing.updatedAt = new Date().toISOString();
+          return existing;
+        }
+
+        const created = {
+          id: this.createJobId(),
+          type,
+          dedupeKey,
+          payload,
+          attempts: 0,
+          nextAttemptAt: 0,
+          lastError: null,
+          createdAt: new Date().toISOString()
+        };
+        jobs.push(created);
+        return created;
+      });
+      this.scheduleFlush(0);
+      return job;
+    } catch (error) {
+      console.error('Error adding to outbox:', error);
+      return null;
+    }
+  }
+
+  async getPendingJobs(type) {
+    const jobs = await this.loadJobs();
+    return type ? jobs.filter(job => job.type === type) : [...jobs];
+  }
+
+  async getPendingCount() {
+    try {
+      return (await this.loadJobs()).length;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Called with the pending count whenever it may have changed
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const count = this.jobs?.length || 0;
+    this.listeners.forEach(listener => listener(count));
+  }
+
+  // Drops every job, e.g. when the user clears their data. Works from the
+  // stored keys, so an outbox that can't be read is cleared as well.
+  clear() {
+    const run = this.writeQueue.then(async () => {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove(keys.filter(key => key === OUTBOX_KEY || key.startsWith(PAYLOAD_KEY_PREFIX)));
+      this.jobs = [];
+      this.savedPayloads.clear();
+      this.loadPromise = null;
+      this.notify();
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // === DELIVERY ===
+  // Doubles the wait after each failure, with some jitter so devices that
+  // went offline together don't all retry at the same instant
+  getRetryDelay(attempts, maxDelayMs = this.MAX_DELAY_MS) {
+    const delay = Math.min(maxDelayMs, this.BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  scheduleFlush(delayMs) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush().catch(() => {});
+    }, Math.max(0, delayMs));
+  }
+
+  // Sends every job that is due, oldest first. Concurrent calls share one run.
+  // Resolves to { sent, failed, pending }; rejects when the jobs can't be read.
+  flush() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.runFlush().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async runFlush() {
+    const jobs = await this.loadJobs();
+    const due = jobs.filter(job => job.nextAttemptAt <= Date.now() && this.handlers.has(job.type));
+    let sent = 0;
+    let failed = 0;
+
+    for (const job of due) {
+      const payload = job.payload;
+      try {
+        await this.handlers.get(job.type).send(payload, job);
+        sent++;
+        await this.updateJobs(list => {
+          const index = list.findIndex(item => item.id === job.id);
+          // A coalesced payload that arrived while sending still has to go
+          if (index !== -1 && list[index].payload === payload) {
+            list.splice(index, 1);
+          }
+        });
+      } catch (error) {
+        failed++;
+        const offline = !!error.isNetworkError;
+        const { maxAttempts } = this.handlers.get(job.type);
+        await this.updateJobs(list => {
+          const index = list.findIndex(item => item.id === job.id);
+          if (index === -1) return;
+          const failedJob = list[index];
+          failedJob.lastError = error.message;
+          // attempts counts what the server turned down; being offline only
+          // backs off, and never for longer than MAX_OFFLINE_DELAY_MS
+          if (offline) {
+            failedJob.offlineFailures = (failedJob.offlineFailures || 0) + 1;
+            failedJob.nextAttemptAt = Date.now() + this.getRetryDelay(failedJob.offlineFailures, this.MAX_OFFLINE_DELAY_MS);
+            return;
+          }
+          failedJob.attempts += 1;
+          failedJob.offlineFailures = 0;
+          if (failedJob.attempts >= maxAttempts) {
+            console.error(`Outbox: dropping ${failedJob.type} job after ${failedJob.attempts} attempts:`, error.message);
+            list.splice(index, 1);
+          } else {
+            failedJob.nextAttemptAt = Date.now() + this.getRetryDelay(failedJob.attempts);
+          }
+        });
+        // Everything else would fail the same way while offline
+        if (offline) break;
+      }
+    }
+
+    const remaining = (await this.loadJobs()).filter(job => this.handlers.has(job.type));
+    if (remaining.length > 0) {
+      const nextAttemptAt = Math.min(...remaining.map(job => job.nextAttemptAt));
+      this.scheduleFlush(nextAttemptAt - Date.now());
+    }
+    return { sent, failed, pending: (await this.loadJobs()).length };
+  }
+
+  // Retries as soon as the device is back online. Returns the unsubscribe function.
+  watchConnectivity() {
+    let wasOffline = false;
+    return NetInfo.addEventListener(state => {
+      const online = !!state.isConnected && state.isInternetReachable !== false;
+      if (online && wasOffline) {
+        console.log('📶 Back online, sending queued writes');
+        this.retryNow();
+      }
+      wasOffline = !online;
+    });
+  }
+
+  // Skips the backoff wait, e.g. when the app comes back to the foreground.
+  // Resolves to null when the jobs can't be read.
+  async retryNow() {
+    try {
+      await this.updateJobs(jobs => {
+        jobs.forEach(job => {
+          job.nextAttemptAt = 0;
+        });
+      });
+      return await this.flush();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default new OutboxService();
@@ -0,0 +1,132 @@
+import { File, Paths } from 'expo-file-system';
+
+const CACHE_FILE_NAME = 'recognition-cache.json';
+
+// Remembers recognition results so analyzing the same photo again is instant
+// and costs no API quota. Entries are keyed by a hash of the optimized image,
+// the user's hint and the model that answered, and live in one JSON file in
+// the document directory. Least recently used entries go first once the cache
+// is full; entries older than MAX_AGE_DAYS are never returned.
+class RecognitionCache {
+  constructor() {
+    this.MAX_ENTRIES = 50;
+    this.MAX_AGE_DAYS = 30;
+    this.entries = null;
+    this.loadPromise = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // === KEYS ===
+  // 53-bit string hash (cyrb53). Not cryptographic, but a collision between
+  // two photos is vanishingly unlikely at this cache size.
+  hashString(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  getKey(imageHash, userInput, providerId, model) {
+    const hint = String(userInput || '').trim().toLowerCase();
+    return `${imageHash}|${providerId}:${model}|${hint}`;
+  }
+
+  // === STORAGE ===
+  getFile() {
+    return new File(Paths.document, CACHE_FILE_NAME);
+  }
+
+  async loadEntries() {
+    if (this.entries) return this.entries;
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const file = this.getFile();
+          const parsed = file.exists ? JSON.parse(await file.text()) : {};
+          this.entries = parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (error) {
+          console.error('Error loading recognition cache:', error);
+          this.entries = {};
+        }
+        return this.entries;
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  // Writes are queued so two scans finishing together don't interleave
+  persist() {
+    this.writeQueue = this.writeQueue.then(() => {
+      try {
+        const file = this.getFile();
+        if (!file.exists) {
+          file.create();
+        }
+        file.write(JSON.stringify(this.entries || {}));
+      } catch (error) {
+        console.error('Error saving recognition cache:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  isExpired(entry) {
+    return Date.now() - new Date(entry.savedAt).getTime() > this.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  // === ENTRIES ===
+  async get(key) {
+    const entries = await this.loadEntries();
+    const entry = entries[key];
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      delete entries[key];
+      await this.persist();
+      return null;
+    }
+
+    entry.lastUsedAt = new Date().toISOString();
+    await this.persist();
+    return entry;
+  }
+
+  async set(key, result) {
+    const entries = await this.loadEntries();
+    const now = new Date().toISOString();
+    entries[key] = { result, savedAt: now, lastUsedAt: now };
+    this.evict();
+    await this.persist();
+  }
+
+  // Drops expired entries, then the least recently used beyond MAX_ENTRIES
+  evict() {
+    const entries = this.entries || {};
+    Object.keys(entries).forEach(key => {
+      if (this.isExpired(entries[key])) delete entries[key];
+    });
+
+    const keys = Object.keys(entries);
+    if (keys.length <= this.MAX_ENTRIES) return;
+    keys
+      .sort((a, b) => entries[a].lastUsedAt.localeCompare(entries[b].lastUsedAt))
+      .slice(0, keys.length - this.MAX_ENTRIES)
+      .forEach(key => {
+        delete entries[key];
+      });
+  }
+
+  async clear() {
+    this.entries = {};
+    this.loadPromise = null;
+    await this.persist();
+  }
+}
+
+export default new RecognitionCache();
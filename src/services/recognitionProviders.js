@@ -0,0 +1,239 @@
+import Constants from 'expo-constants';
+
+// Vision backends for FoodRecognitionService. A provider turns an image and a
+// prompt into the model's raw text answer; parsing and nutrition maths stay in
+// the service, so every provider is held to the same JSON format.
+//
+//   provider.analyze({ base64Image, prompt, model, settings, safeFetch }) -> text
+//
+// `settings` is the recognition settings object (see foodRecognition.js) and
+// `safeFetch` the service's fetch with timeout.
+
+const extra = Constants.expoConfig?.extra || {};
+
+// ============================================================
+// GEMINI
+// ============================================================
+
+class GeminiProvider {
+  constructor() {
+    this.id = 'gemini';
+    this.label = 'Gemini';
+    this.description = 'Google Gemini with your API key';
+    this.API_KEY = extra.GEMINI_API_KEY || process.env.EXPO_PUBLIC_GEMINI_API_KEY;
+    this.BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+    this.DEFAULT_MODELS = [
+      'gemini-2.5-flash',      // PRIMARY: Most accurate (paid)
+      'gemini-2.0-flash-exp',  // BACKUP: Free fallback
+    ];
+  }
+
+  isConfigured() {
+    return !!this.API_KEY;
+  }
+
+  // 'gemini-2.0-flash-exp' -> 'Gemini 2.0 Flash Exp'
+  getModelLabel(model) {
+    return model
+      .split('-')
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join(' ');
+  }
+
+  async analyze({ base64Image, prompt, model, safeFetch }) {
+    if (!this.API_KEY) {
+      throw new Error('Missing Gemini API key');
+    }
+
+    const url = `${this.BASE_URL}/${model}:generateContent?key=${this.API_KEY}`;
+
+    const payload = {
+      contents: [{
+        parts: [
+          { text: prompt },
+          {
+            inline_data: {
+              mime_type: "image/jpeg",
+              data: base64Image
+            }
+          }
+        ]
+      }],
+      generationConfig: {
+        temperature: 0.1,
+        maxOutputTokens: 4096,
+        topK: 32,
+        topP: 1,
+        responseMimeType: "application/json"
+      },
+      safetySettings: [
+        { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+        { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+        { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+        { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
+      ]
+    };
+
+    const response = await safeFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    }, 30000);
+
+    const candidate = response?.candidates?.[0];
+    if (!candidate) throw new Error('No response from Gemini');
+
+    const finishReason = candidate.finishReason;
+    if (finishReason && finishReason !== 'STOP') {
+      throw new Error(`Gemini stopped: ${finishReason}`);
+    }
+
+    const text = candidate?.content?.parts?.[0]?.text;
+    if (!text) throw new Error('Empty response from Gemini');
+    return text;
+  }
+}
+
+// ============================================================
+// OPENAI-COMPATIBLE (OpenAI, OpenRouter, Groq, Ollama, LM Studio...)
+// ============================================================
+
+class OpenAICompatibleProvider {
+  constructor() {
+    this.id = 'openai';
+    this.label = 'OpenAI-compatible';
+    this.description = 'Any /chat/completions endpoint with vision';
+    this.DEFAULT_BASE_URL = extra.OPENAI_BASE_URL || process.env.EXPO_PUBLIC_OPENAI_BASE_URL || 'https://api.openai.com/v1';
+    this.DEFAULT_API_KEY = extra.OPENAI_API_KEY || process.env.EXPO_PUBLIC_OPENAI_API_KEY || '';
+    this.DEFAULT_MODELS = ['gpt-4o-mini'];
+  }
+
+  // Local servers usually need no key, so a base URL is enough
+  isConfigured(settings) {
+    return !!settings?.openai?.baseUrl;
+  }
+
+  getModelLabel(model) {
+    return model;
+  }
+
+  async analyze({ base64Image, prompt, model, settings, safeFetch }) {
+    const baseUrl = String(settings?.openai?.baseUrl || '').trim().replace(/\/+$/, '');
+    const apiKey = settings?.openai?.apiKey;
+    if (!baseUrl) {
+      throw new Error('Missing OpenAI-compatible base URL');
+    }
+
+    const payload = {
+      model,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${base64Image}` } }
+        ]
+      }],
+      temperature: 0.1,
+      max_tokens: 4096,
+      response_format: { type: 'json_object' }
+    };
+
+    const response = await safeFetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(payload)
+    }, 30000);
+
+    const choice = response?.choices?.[0];
+    if (!choice) throw new Error(`No response from ${model}`);
+
+    if (choice.finish_reason === 'length') {
+      throw new Error(`${model} stopped: output too long`);
+    }
+
+    const text = choice.message?.content;
+    if (!text) throw new Error(`Empty response from ${model}`);
+    return text;
+  }
+}
+
+// ============================================================
+// OFFLINE STUB
+// ============================================================
+
+// Answers instantly without a network so the scan flow can be tried offline
+// or on a simulator. The same input always gives the same answer.
+class StubProvider {
+  constructor() {
+    this.id = 'stub';
+    this.label = 'Offline Stub';
+    this.description = 'Sample answers for testing, no network';
+    this.DEFAULT_MODELS = ['stub'];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getModelLabel() {
+    return 'Offline Stub';
+  }
+
+  async analyze({ prompt }) {
+    const userInput = prompt.match(/^User says image contains: "(.*)"/)?.[1];
+    const detectedItems = userInput ? [{
+      foodName: userInput,
+      visibleCount: 1,
+      perUnitWeight: '150g',
+      perUnitNutrition: {
+        calories: 200, protein: 8, carbs: 28, fat: 6, fiber: 3,
+        sugar: 4, sodium: 300, iron: 1.5, calcium: 60, vitaminC: 4
+      },
+      category: 'Food Item',
+      healthScore: 6,
+      ingredients: ['sample'],
+      tips: 'Sample answer from the offline stub'
+    }] : [
+      {
+        foodName: 'Chapati',
+        visibleCount: 2,
+        perUnitWeight: '60g',
+        perUnitNutrition: {
+          calories: 120, protein: 3.5, carbs: 20, fat: 3, fiber: 2.5,
+          sugar: 0.5, sodium: 120, iron: 1, calcium: 10, vitaminC: 0
+        },
+        category: 'Bread',
+        healthScore: 7,
+        ingredients: ['wheat', 'water'],
+        tips: 'Sample answer from the offline stub'
+      },
+      {
+        foodName: 'Dal Tadka',
+        visibleCount: 1,
+        perUnitWeight: '150g',
+        perUnitNutrition: {
+          calories: 180, protein: 9, carbs: 22, fat: 6, fiber: 5,
+          sugar: 2, sodium: 420, iron: 2.5, calcium: 40, vitaminC: 3
+        },
+        category: 'Curry',
+        healthScore: 8,
+        ingredients: ['lentils', 'onion', 'tomato'],
+        tips: 'Sample answer from the offline stub'
+      }
+    ];
+
+    return JSON.stringify({ detectedItems, confidence: 0.8 });
+  }
+}
+
+export const RECOGNITION_PROVIDERS = [
+  new GeminiProvider(),
+  new OpenAICompatibleProvider(),
+  new StubProvider(),
+];
+
+export const getRecognitionProvider = (id) =>
+  RECOGNITION_PROVIDERS.find(provider => provider.id === id) || null;
@@ -0,0 +1,205 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import UserDataService from './userDataService';
+import Database from './database';
+
+class StorageMigrationService {
+  constructor() {
+    // Each migration upgrades stored data from `version - 1` to `version`.
+    // Append new entries here whenever the shape of a stored record changes.
+    this.migrations = [
+      {
+        version: 1,
+        description: 'Normalize day records, recent scans and goals',
+        run: () => this.migrateToV1()
+      },
+      {
+        version: 2,
+        description: 'Move history, goals and recent scans into SQLite',
+        run: () => this.migrateToV2()
+      },
+      {
+        version: 3,
+        description: 'Re-key entries filed under UTC dates to local days',
+        run: () => this.migrateToV3()
+      },
+      {
+        version: 4,
+        description: 'Store water intake in millilitres',
+        run: () => this.migrateToV4()
+      },
+    ];
+    this.CURRENT_VERSION = this.migrations[this.migrations.length - 1].version;
+    this.pendingRun = null;
+  }
+
+  async getSchemaVersion() {
+    const version = await AsyncStorage.getItem(UserDataService.STORAGE_KEYS.SCHEMA_VERSION);
+    return parseInt(version) || 0;
+  }
+
+  // Safe to call more than once: concurrent callers share the same run
+  runMigrations() {
+    if (!this.pendingRun) {
+      this.pendingRun = this.applyPendingMigrations().finally(() => {
+        this.pendingRun = null;
+      });
+    }
+    return this.pendingRun;
+  }
+
+  async applyPendingMigrations() {
+    let version = await this.getSchemaVersion();
+    const pending = this.migrations.filter(migration => migration.version > version);
+
+    for (const migration of pending) {
+      try {
+        console.log(`🗄️ Migrating storage to v${migration.version}: ${migration.description}`);
+        await migration.run();
+        version = migration.version;
+        await AsyncStorage.setItem(UserDataService.STORAGE_KEYS.SCHEMA_VERSION, String(version));
+      } catch (error) {
+        // Stop here so the failed step is retried on next launch
+        console.error(`Storage migration to v${migration.version} failed:`, error);
+        break;
+      }
+    }
+
+    return version;
+  }
+
+  // === MIGRATIONS ===
+  async migrateToV1() {
+    const { STORAGE_KEYS } = UserDataService;
+
+    const keys = await AsyncStorage.getAllKeys();
+    const dayKeys = keys.filter(key => key.startsWith(STORAGE_KEYS.DAILY_INTAKE));
+    const dayRecords = await AsyncStorage.multiGet(dayKeys);
+
+    const writes = [];
+    dayRecords.forEach(([key, value]) => {
+      if (!value) return;
+      try {
+        const dateStr = key.replace(STORAGE_KEYS.DAILY_INTAKE, '');
+        const day = UserDataService.normalizeDay(JSON.parse(value), dateStr);
+        writes.push([key, JSON.stringify(day)]);
+      } catch (parseError) {
+        console.warn('Skipping unreadable day record:', key);
+      }
+    });
+
+    const scans = await AsyncStorage.getItem(STORAGE_KEYS.RECENT_SCANS);
+    if (scans) {
+      const normalizedScans = (JSON.parse(scans) || [])
+        .filter(scan => scan && typeof scan === 'object')
+        .map((scan, index) => ({
+          ...UserDataService.normalizeEntry(scan, index),
+          scannedAt: scan.scannedAt || scan.timestamp || new Date().toISOString()
+        }));
+      writes.push([STORAGE_KEYS.RECENT_SCANS, JSON.stringify(normalizedScans)]);
+    }
+
+    const goals = await AsyncStorage.getItem(STORAGE_KEYS.USER_GOALS);
+    if (goals) {
+      writes.push([STORAGE_KEYS.USER_GOALS, JSON.stringify(UserDataService.normalizeGoals(JSON.parse(goals)))]);
+    }
+
+    if (writes.length > 0) {
+      await AsyncStorage.multiSet(writes);
+    }
+    console.log(`✅ Normalized ${dayRecords.length} day records`);
+  }
+
+  // Copies the AsyncStorage records into the SQLite store, then drops them so
+  // there is a single source of truth. The profile stays in AsyncStorage.
+  async migrateToV2() {
+    const { STORAGE_KEYS, MEAL_TYPES } = UserDataService;
+
+    const keys = await AsyncStorage.getAllKeys();
+    const dayKeys = keys.filter(key => key.startsWith(STORAGE_KEYS.DAILY_INTAKE));
+    const dayRecords = await AsyncStorage.multiGet(dayKeys);
+
+    const days = {};
+    dayRecords.forEach(([key, value]) => {
+      if (!value) return;
+      try {
+        const dateStr = key.replace(STORAGE_KEYS.DAILY_INTAKE, '');
+        days[dateStr] = UserDataService.normalizeDay(JSON.parse(value), dateStr);
+      } catch (parseError) {
+        console.warn('Skipping unreadable day record:', key);
+      }
+    });
+    await Database.saveDays(days, MEAL_TYPES);
+
+    const goals = await AsyncStorage.getItem(STORAGE_KEYS.USER_GOALS);
+    if (goals) {
+      await Database.saveGoals(JSON.parse(goals));
+    }
+
+    const scans = await AsyncStorage.getItem(STORAGE_KEYS.RECENT_SCANS);
+    if (scans) {
+      await Database.replaceRecentScans(JSON.parse(scans) || []);
+    }
+
+    await AsyncStorage.multiRemove([...dayKeys, STORAGE_KEYS.USER_GOALS, STORAGE_KEYS.RECENT_SCANS]);
+    console.log(`✅ Moved ${Object.keys(days).length} day records into SQLite`);
+  }
+
+  // Day keys used to come from toISOString(), so entries logged late at night
+  // or early in the morning could sit under the neighbouring UTC date. Only
+  // entries whose key still matches the UTC date of their timestamp are moved;
+  // anything else was placed deliberately (e.g. by an import) and is kept.
+  async migrateToV3() {
+    const { MEAL_TYPES } = UserDataService;
+    const days = await Database.getAllDays();
+    const changed = {};
+
+    const getDay = (dateStr) => {
+      if (!changed[dateStr]) {
+        changed[dateStr] = UserDataService.normalizeDay(days[dateStr] || {}, dateStr);
+      }
+      return changed[dateStr];
+    };
+
+    let moved = 0;
+    Object.entries(days).forEach(([dateStr, day]) => {
+      MEAL_TYPES.forEach(mealType => {
+        (day[mealType] || []).forEach(entry => {
+          const loggedAt = new Date(entry.timestamp);
+          if (!entry.timestamp || isNaN(loggedAt)) return;
+          if (loggedAt.toISOString().split('T')[0] !== dateStr) return;
+
+          const localKey = UserDataService.getDateKey(loggedAt);
+          if (localKey === dateStr) return;
+
+          const source = getDay(dateStr);
+          source[mealType] = source[mealType].filter(item => !(item.id === entry.id && item.timestamp === entry.timestamp));
+          const target = getDay(localKey);
+          target[mealType] = [...target[mealType], entry]
+            .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+          moved++;
+        });
+      });
+    });
+
+    Object.values(changed).forEach(day => {
+      day.totalNutrition = UserDataService.calculateTotalNutrition(day);
+    });
+    if (moved > 0) {
+      await Database.saveDays(changed, MEAL_TYPES);
+    }
+    console.log(`✅ Re-keyed ${moved} entries to local days`);
+  }
+
+  // Water was a plain glass count. Glass size is configurable now, so counts
+  // are converted at the old fixed size and goals follow in normalizeGoals().
+  async migrateToV4() {
+    await Database.convertWaterGlassesToMl(UserDataService.LEGACY_GLASS_ML);
+    const goals = await Database.getGoals();
+    if (goals) {
+      await Database.saveGoals(UserDataService.normalizeGoals(goals));
+    }
+    console.log('✅ Converted water intake to millilitres');
+  }
+}
+
+export default new StorageMigrationService();
@@ -0,0 +1,473 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Api from './api';
+import Database from './database';
+import Outbox from './outboxService';
+import UserDataService from './userDataService';
+
+const SYNC_SETTINGS_KEY = 'sync_settings';
+const PUSH_JOB = 'sync:push';
+
+// Shares days, goals and the profile between devices through the server in
+// api.js. Every record carries an updatedAt and the newer side wins, one log
+// entry at a time, so a phone and a tablet logging different meals on the
+// same day keep both. Deleted entries travel as tombstones.
+//
+// Pushes go through the outbox, so changes collected while offline are kept
+// and sent once the server is reachable again.
+class SyncService {
+  constructor() {
+    this.PUSH_BATCH_SIZE = 200;
+    this.AUTO_SYNC_DELAY_MS = 5000;
+    this.settings = null;
+    this.syncPromise = null;
+    this.autoSyncTimer = null;
+    this.listeners = new Set();
+    // A dropped batch would only be collected again by a full re-sync, so
+    // pushes wait for the server instead of being given up on
+    Outbox.registerHandler(PUSH_JOB, (payload, job) => this.pushRecords(payload, job), { maxAttempts: Infinity });
+  }
+
+  // === SETTINGS ===
+  createDefaultSettings() {
+    return {
+      serverUrl: Api.DEFAULT_SERVER_URL,
+      token: '',
+      autoSync: true,
+      deviceId: UserDataService.createId(),
+      lastPushedAt: null, // local changes up to this time are on the server
+      cursor: 0, // last server change number pulled
+      lastSyncedAt: null,
+      lastError: null
+    };
+  }
+
+  async getSettings() {
+    if (this.settings) return this.settings;
+
+    try {
+      const stored = await AsyncStorage.getItem(SYNC_SETTINGS_KEY);
+      this.settings = { ...this.createDefaultSettings(), ...(stored ? JSON.parse(stored) : {}) };
+      if (!stored) {
+        await AsyncStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(this.settings));
+      }
+    } catch (error) {
+      console.error('Error loading sync settings:', error);
+      this.settings = this.createDefaultSettings();
+    }
+    Api.configure(this.settings);
+    return this.settings;
+  }
+
+  // A different server starts from scratch: everything local is pushed to it
+  async saveSettings(changes) {
+    const current = await this.getSettings();
+    const next = { ...current, ...changes };
+    if (changes.serverUrl !== undefined &&
+        Api.normalizeServerUrl(changes.serverUrl) !== Api.normalizeServerUrl(current.serverUrl)) {
+      next.serverUrl = Api.normalizeServerUrl(changes.serverUrl);
+      next.lastPushedAt = null;
+      next.cursor = 0;
+      next.lastSyncedAt = null;
+      next.lastError = null;
+    }
+
+    try {
+      await AsyncStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(next));
+      this.settings = next;
+      Api.configure(next);
+      return next;
+    } catch (error) {
+      console.error('Error saving sync settings:', error);
+      return null;
+    }
+  }
+
+  // Called with the result of every finished sync
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // === RECORDS ===
+  getEntryUpdatedAt(entry) {
+    return entry.updatedAt || entry.timestamp || '';
+  }
+
+  // Everything written locally after `since`. Changed days send all their
+  // entries; the server drops the ones it already has at the same updatedAt.
+  async collectLocalChanges(since) {
+    const [changedDays, tombstones, goalsUpdatedAt, profile] = await Promise.all([
+      Database.getDaysChangedSince(since),
+      Database.getTombstonesSince(since),
+      Database.getGoalsUpdatedAt(),
+      UserDataService.getUserProfile()
+    ]);
+    const records = [];
+
+    if (changedDays.length > 0) {
+      const storedDays = await Database.getDaysInRange(changedDays[0].date, changedDays[changedDays.length - 1].date);
+      changedDays.forEach(({ date, waterMl, waterUpdatedAt }) => {
+        if (waterUpdatedAt) {
+          records.push({ kind: 'day', id: date, date, updatedAt: waterUpdatedAt, data: { waterMl } });
+        }
+
+        const day = storedDays[date] || {};
+        UserDataService.MEAL_TYPES.forEach(mealType => {
+          (day[mealType] || []).forEach((entry, position) => {
+            records.push({
+              kind: 'entry',
+              id: String(entry.id),
+              date,
+              mealType,
+              position,
+              updatedAt: this.getEntryUpdatedAt(entry),
+              data: entry
+            });
+          });
+        });
+      });
+    }
+
+    tombstones.forEach(tombstone => {
+      records.push({
+        kind: tombstone.kind,
+        id: tombstone.id,
+        date: tombstone.date,
+        deleted: true,
+        updatedAt: tombstone.deletedAt,
+        data: null
+      });
+    });
+
+    if (goalsUpdatedAt && (!since || goalsUpdatedAt > since)) {
+      records.push({ kind: 'goals', id: 'goals', updatedAt: goalsUpdatedAt, data: await Database.getGoals() });
+    }
+
+    if (profile?.updatedAt && (!since || profile.updatedAt > since)) {
+      const { updatedAt, ...data } = profile;
+      records.push({ kind: 'profile', id: 'profile', updatedAt, data });
+    }
+
+    return records;
+  }
+
+  // Applies records pulled from the server; returns how many changed local data
+  async applyRemoteRecords(records) {
+    let applied = 0;
+    const byDate = new Map();
+
+    for (const record of records) {
+      if (!record || !record.id || !record.updatedAt) continue;
+
+      if (record.kind === 'goals') {
+        applied += await this.applyGoalsRecord(record) ? 1 : 0;
+      } else if (record.kind === 'profile') {
+        applied += await this.applyProfileRecord(record) ? 1 : 0;
+      } else if ((record.kind === 'entry' || record.kind === 'day') && /^\d{4}-\d{2}-\d{2}$/.test(record.date || '')) {
+        if (!byDate.has(record.date)) byDate.set(record.date, []);
+        byDate.get(record.date).push(record);
+      }
+    }
+
+    for (const [date, dayRecords] of byDate) {
+      applied += await this.applyDayRecords(date, dayRecords);
+    }
+    return applied;
+  }
+
+  async applyGoalsRecord(record) {
+    const localUpdatedAt = await Database.getGoalsUpdatedAt();
+    if (localUpdatedAt && localUpdatedAt >= record.updatedAt) return false;
+    return UserDataService.saveUserGoals(UserDataService.normalizeGoals(record.data || {}), record.updatedAt);
+  }
+
+  // Meal types are merged rather than replaced: a custom meal only this
+  // device has must not disappear along with the entries logged to it. When
+  // the merge keeps something the other device lacks, it is saved as a local
+  // change so it travels back.
+  async applyProfileRecord(record) {
+    return UserDataService.runExclusive('profile', async () => {
+      const profile = await UserDataService.getUserProfile();
+      if (profile?.updatedAt && profile.updatedAt >= record.updatedAt) return false;
+
+      const remote = record.data || {};
+      const merged = { ...profile, ...remote };
+      let updatedAt = record.updatedAt;
+      if (Array.isArray(remote.mealTypes)) {
+        const localOnly = (profile?.mealTypes || []).filter(mealType =>
+          !remote.mealTypes.some(item => item.id === mealType.id)
+        );
+        if (localOnly.length > 0) {
+          merged.mealTypes = [...remote.mealTypes, ...localOnly];
+          merged.mealWindows = { ...profile?.mealWindows, ...remote.mealWindows };
+          updatedAt = new Date().toISOString();
+        }
+      }
+      return UserDataService.saveUserProfile(merged, updatedAt);
+    });
+  }
+
+  // One day's entries and water, merged under the day's write lock so a meal
+  // logged while syncing isn't lost. An entry the other device moved here
+  // from another date is then dropped from that date, under its own lock.
+  async applyDayRecords(date, records) {
+    const movedAway = new Map(); // old date -> ids now stored under `date`
+    const applied = await UserDataService.runExclusive(UserDataService.getDayLockKey(date), async () => {
+      const day = await UserDataService.getDailyIntake(date);
+      const entryIds = records.filter(record => record.kind === 'entry').map(record => String(record.id));
+      const tombstones = new Map((await Database.getTombstones(entryIds)).map(tombstone => [tombstone.id, tombstone]));
+      const storedEntries = await Database.getEntriesById(entryIds);
+      const localWaterUpdatedAt = await Database.getWaterUpdatedAt(date);
+
+      let applied = 0;
+      let waterUpdatedAt = null;
+      const deleted = [];
+      const restored = [];
+
+      const ordered = [...records].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+      for (const record of ordered) {
+        if (record.kind === 'day') {
+          if (localWaterUpdatedAt && localWaterUpdatedAt >= record.updatedAt) continue;
+          day.waterMl = Math.max(0, parseInt(record.data?.waterMl) || 0);
+          waterUpdatedAt = record.updatedAt;
+          applied++;
+          continue;
+        }
+
+        const id = String(record.id);
+        const found = UserDataService.findFoodEntry(day, id);
+        const elsewhere = !found && storedEntries[id]?.date !== date ? storedEntries[id] : null;
+        const localEntry = found?.entry || elsewhere?.entry;
+        const localUpdatedAt = localEntry ? this.getEntryUpdatedAt(localEntry) : tombstones.get(id)?.deletedAt;
+        if (localUpdatedAt && localUpdatedAt >= record.updatedAt) continue;
+
+        if (found) {
+          day[found.mealType].splice(found.index, 1);
+        }
+        if (elsewhere) {
+          if (!movedAway.has(elsewhere.date)) movedAway.set(elsewhere.date, []);
+          movedAway.get(elsewhere.date).push(id);
+        }
+        if (record.deleted) {
+          deleted.push(record);
+          if (localEntry) applied++;
+          continue;
+        }
+
+        // Meal types are per profile; an unknown one falls back to the clock
+        const mealType = UserDataService.MEAL_TYPES.includes(record.mealType) ?
+          record.mealType :
+          UserDataService.getMealTimeFromHour(new Date(record.data?.timestamp || Date.now()));
+        const entries = day[mealType] || (day[mealType] = []);
+        const position = Math.min(Math.max(0, parseInt(record.position) || 0), entries.length);
+        entries.splice(position, 0, { ...record.data, id });
+        if (tombstones.has(id)) restored.push(id);
+        applied++;
+      }
+
+      if (applied > 0) {
+        day.totalNutrition = UserDataService.calculateTotalNutrition(day);
+        // Pulled changes are already on the server; only a local write moves the day's updated_at
+        const newestUpdatedAt = records.reduce((newest, record) => record.updatedAt > newest ? record.updatedAt : newest, '');
+        await UserDataService.saveDailyIntake(date, day, { updatedAt: newestUpdatedAt, keepUpdatedAt: true });
+        if (waterUpdatedAt) {
+          await Database.setWaterUpdatedAt(date, waterUpdatedAt);
+        }
+      }
+      // Keep the other device's deletion time rather than the time it was applied here
+      for (const record of deleted) {
+        await Database.saveTombstone({ id: record.id, kind: 'entry', date, deletedAt: record.updatedAt });
+      }
+      await Database.deleteTombstones(restored);
+      return applied;
+    });
+
+    for (const [oldDate, ids] of movedAway) {
+      await this.removeMovedEntries(oldDate, ids);
+    }
+    return applied;
+  }
+
+  // The entries live on under another date, so they leave no tombstone
+  async removeMovedEntries(date, ids) {
+    return UserDataService.runExclusive(UserDataService.getDayLockKey(date), async () => {
+      const day = await UserDataService.getDailyIntake(date);
+      let removed = 0;
+      UserDataService.MEAL_TYPES.forEach(mealType => {
+        const entries = day[mealType] || [];
+        day[mealType] = entries.filter(entry => !ids.includes(String(entry.id)));
+        removed += entries.length - day[mealType].length;
+      });
+      if (removed === 0) return;
+
+      day.totalNutrition = UserDataService.calculateTotalNutrition(day);
+      await UserDataService.saveDailyIntake(date, day, { keepUpdatedAt: true, movedIds: ids });
+    });
+  }
+
+  // Outbox handler for one batch of records
+  async pushRecords(payload, job) {
+    await this.getSettings();
+    if (!Api.isConfigured()) {
+      // Keep the batch until a server is set up instead of counting failures
+      const error = new Error('Sync server is not configured');
+      error.isNetworkError = true;
+      throw error;
+    }
+    const result = await Api.pushChanges(payload.deviceId, payload.records);
+    await this.markPushed(payload, job);
+    return result;
+  }
+
+  // Batches cover the local changes between their `since` and `until`.
+  // lastPushedAt only moves once the server has everything before it, so
+  // changes in a batch that never arrives are collected again.
+  async markPushed({ since, until }, job) {
+    if (!until) return;
+    const settings = await this.getSettings();
+    const pushedAt = settings.lastPushedAt || '';
+    // Queued for a server that was swapped out since: earlier changes are missing there
+    if ((since || '') > pushedAt) return;
+
+    const others = (await Outbox.getPendingJobs(PUSH_JOB)).filter(item => item.id !== job.id && item.payload?.until);
+    const pushedUntil = others.length > 0 ?
+      others.map(item => item.payload.since || '').sort()[0] :
+      until;
+    if (pushedUntil > pushedAt) {
+      await this.saveSettings({ lastPushedAt: pushedUntil });
+    }
+  }
+
+  // Where the batches already queued end, following on from lastPushedAt, so
+  // the same changes aren't queued twice
+  getQueuedUntil(lastPushedAt, jobs) {
+    let queuedUntil = lastPushedAt || '';
+    jobs
+      .map(job => job.payload)
+      .filter(payload => payload?.until)
+      .sort((a, b) => (a.since || '').localeCompare(b.since || ''))
+      .forEach(({ since, until }) => {
+        if ((since || '') <= queuedUntil && until > queuedUntil) queuedUntil = until;
+      });
+    return queuedUntil || null;
+  }
+
+  async getWaitingCount() {
+    return (await this.getPushStatus()).waiting;
+  }
+
+  // Records still queued for the server and why the last attempt failed
+  async getPushStatus() {
+    try {
+      const jobs = await Outbox.getPendingJobs(PUSH_JOB);
+      return {
+        waiting: jobs.reduce((sum, job) => sum + (job.payload?.records?.length || 0), 0),
+        lastError: jobs.find(job => job.lastError)?.lastError || null
+      };
+    } catch (error) {
+      return { waiting: 0, lastError: `Queued changes can't be read: ${error.message}` };
+    }
+  }
+
+  // === SYNC ===
+  // Queues local changes and sends them, then pulls everything newer than the
+  // cursor. Concurrent calls share one run.
+  // Returns { pushed, waiting, pulled, applied } or null.
+  sync() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  async runSync() {
+    const settings = await this.getSettings();
+    if (!Api.isConfigured()) return null;
+
+    // Writes that land while syncing are newer than this and go next time
+    const startedAt = new Date().toISOString();
+    let result = null;
+
+    try {
+      const queued = await Outbox.getPendingJobs(PUSH_JOB);
+      const queuedUntil = this.getQueuedUntil(settings.lastPushedAt, queued);
+      const records = await this.collectLocalChanges(queuedUntil);
+      if (records.length === 0 && queued.length === 0) {
+        await this.saveSettings({ lastPushedAt: startedAt });
+      }
+      for (let i = 0; i < records.length; i += this.PUSH_BATCH_SIZE) {
+        const job = await Outbox.enqueue(PUSH_JOB, {
+          deviceId: settings.deviceId,
+          since: queuedUntil,
+          until: startedAt,
+          records: records.slice(i, i + this.PUSH_BATCH_SIZE)
+        });
+        if (!job) throw new Error('Could not queue changes for sync');
+      }
+      // lastPushedAt moves in markPushed() as the batches arrive
+      await Outbox.flush();
+      const waiting = await this.getWaitingCount();
+
+      let cursor = settings.cursor || 0;
+      let pulled = 0;
+      let applied = 0;
+      let page;
+      do {
+        page = await Api.pullChanges(cursor);
+        applied += await this.applyRemoteRecords(page.records);
+        pulled += page.records.length;
+        if (page.cursor === cursor) break;
+        cursor = page.cursor;
+      } while (page.hasMore);
+
+      await this.saveSettings({
+        cursor,
+        lastSyncedAt: new Date().toISOString(),
+        lastError: null
+      });
+      result = { pushed: Math.max(0, records.length - waiting), waiting, pulled, applied };
+      console.log('🔄 Sync finished:', result);
+    } catch (error) {
+      console.error('Error syncing:', error);
+      await this.saveSettings({ lastError: error.message });
+    }
+
+    this.listeners.forEach(listener => listener(result));
+    return result;
+  }
+
+  // === CLEAR ===
+  // Clears the data on this device only; the server keeps its copy. The
+  // cursor stays where it is, so the cleared records aren't pulled back, and
+  // pushes still waiting in the outbox are dropped with the data.
+  async clearLocalData() {
+    clearTimeout(this.autoSyncTimer);
+    this.autoSyncTimer = null;
+    // A sync still running would queue or apply records from before the clear
+    await this.syncPromise;
+
+    if (!await UserDataService.clearAllData()) return false;
+    try {
+      await Outbox.clear();
+    } catch (error) {
+      console.error('Error clearing pending pushes:', error);
+      return false;
+    }
+    await this.saveSettings({ lastError: null });
+    return true;
+  }
+
+  // Batches a burst of local edits into one sync, when auto sync is on
+  requestSync() {
+    if (!this.settings?.autoSync || !Api.isConfigured()) return;
+    clearTimeout(this.autoSyncTimer);
+    this.autoSyncTimer = setTimeout(() => {
+      this.autoSyncTimer = null;
+      this.sync();
+    }, this.AUTO_SYNC_DELAY_MS);
+  }
+}
+
+export default new SyncService();
@@ -1,5 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NotificationService from './notificationService';
+import Database from './database';
 
 class UserDataService {
   constructor() {
@@ -7,32 +8,217 @@ class UserDataService {
       USER_GOALS: 'user_goals',
       DAILY_INTAKE: 'daily_intake_',
       RECENT_SCANS: 'recent_scans',
-      USER_PROFILE: 'user_profile'
+      USER_PROFILE: 'user_profile',
+      SCHEMA_VERSION: 'schema_version'
     };
+
+    // Meal slots in display order. Users can add their own (pre-workout,
+    // late-night, ...) in Profile; the list is saved as profile.mealTypes and
+    // MEAL_TYPES always holds the ids of the active list.
+    this.DEFAULT_MEAL_TYPES = [
+      { id: 'breakfast', name: 'Breakfast' },
+      { id: 'lunch', name: 'Lunch' },
+      { id: 'snacks', name: 'Snacks' },
+      { id: 'dinner', name: 'Dinner' }
+    ];
+    this.RESERVED_MEAL_IDS = ['date', 'waterglasses', 'waterml', 'totalnutrition'];
+    this.mealTypeList = this.DEFAULT_MEAL_TYPES.map(mealType => ({ ...mealType }));
+    this.MEAL_TYPES = this.mealTypeList.map(mealType => mealType.id);
+    this.NUTRIENT_KEYS = [
+      'calories', 'protein', 'carbs', 'fat', 'fiber',
+      'sugar', 'sodium', 'iron', 'calcium', 'vitaminC'
+    ];
+    this.DEFAULT_GOALS = {
+      dailyCalories: 2200,
+      dailyProtein: 80,
+      dailyCarbs: 275,
+      dailyFat: 73,
+      dailyFiber: 25,
+      waterMl: 2000,
+      mealsPerDay: 4
+    };
+
+    // Water is stored in millilitres and shown in glasses or ml. Before glass
+    // size was configurable every glass counted as LEGACY_GLASS_ML.
+    this.WATER_UNITS = ['glasses', 'ml'];
+    this.LEGACY_GLASS_ML = 250;
+    this.DEFAULT_GLASS_ML = 250;
+    this.MIN_GLASS_ML = 50;
+    this.MAX_GLASS_ML = 1000;
+    this.waterUnit = 'glasses';
+    this.glassSizeMl = this.DEFAULT_GLASS_ML;
+
+    // Weight projection: profile.activityLevel multipliers for BMR, and the
+    // usual ~7700 kcal per kg of body weight
+    this.ACTIVITY_FACTORS = {
+      sedentary: 1.2,
+      moderate: 1.55,
+      active: 1.725
+    };
+    this.KCAL_PER_KG = 7700;
+
+    // Hours (24h clock, end exclusive) when each meal is usually eaten. Used to
+    // guess the meal when logging and to detect missed meals.
+    this.DEFAULT_MEAL_WINDOWS = {
+      breakfast: { start: 6, end: 10 },
+      lunch: { start: 12, end: 15 },
+      snacks: { start: 16, end: 18 },
+      dinner: { start: 19, end: 22 }
+    };
+
+    // Hours after midnight that still count towards the previous day.
+    // Mirrors profile.dayStartHour; loaded by loadPreferences().
+    this.MAX_DAY_START_HOUR = 6;
+    this.dayStartHour = 0;
+    this.mealWindows = this.normalizeMealWindows();
+
+    // Tail of the pending work for each lock key, see runExclusive()
+    this.writeQueues = new Map();
+    this.idCounter = 0;
+  }
+
+  // === WRITE SAFETY ===
+  // Read-modify-write cycles on the same record are chained, so two screens
+  // logging at once can't both read the old day and drop each other's entry.
+  runExclusive(lockKey, task) {
+    const previous = this.writeQueues.get(lockKey) || Promise.resolve();
+    const run = previous.then(() => task());
+    const tail = run.catch(() => {});
+    this.writeQueues.set(lockKey, tail);
+    tail.then(() => {
+      if (this.writeQueues.get(lockKey) === tail) {
+        this.writeQueues.delete(lockKey);
+      }
+    });
+    return run;
+  }
+
+  getDayLockKey(date) {
+    return `day:${this.toDateKey(date)}`;
+  }
+
+  // Holds the locks of several days at once. They are taken in sorted order;
+  // everything else holds one day at a time, so nothing can wait in a circle.
+  runExclusiveDays(dates, task) {
+    const lockKeys = [...new Set(dates.map(date => this.getDayLockKey(date)))].sort();
+    return lockKeys.reduceRight((next, lockKey) => () => this.runExclusive(lockKey, next), task)();
+  }
+
+  // Unique even when called several times in the same millisecond
+  createId() {
+    this.idCounter = (this.idCounter + 1) % 1296;
+    const counter = this.idCounter.toString(36).padStart(2, '0');
+    const random = Math.random().toString(36).slice(2, 8);
+    return `${Date.now().toString(36)}-${counter}${random}`;
+  }
+
+  // === DATA SHAPE ===
+  // The canonical shapes for stored records. Storage migrations and backup
+  // imports run old data through these so every screen sees the same fields.
+  createEmptyNutrition() {
+    return this.NUTRIENT_KEYS.reduce((nutrition, key) => ({ ...nutrition, [key]: 0 }), {});
+  }
+
+  createEmptyDay(dateStr) {
+    return {
+      ...this.MEAL_TYPES.reduce((meals, mealType) => ({ ...meals, [mealType]: [] }), {}),
+      totalNutrition: this.createEmptyNutrition(),
+      waterMl: 0,
+      date: dateStr
+    };
+  }
+
+  normalizeNutrition(nutrition = {}) {
+    const normalized = { ...nutrition };
+    this.NUTRIENT_KEYS.forEach(key => {
+      const value = parseFloat(nutrition?.[key]);
+      normalized[key] = isNaN(value) ? 0 : value;
+    });
+    return normalized;
+  }
+
+  normalizeEntry(entry, index = 0) {
+    return {
+      ...entry,
+      id: entry.id ? String(entry.id) : `${Date.parse(entry.timestamp) || Date.now()}_${index}`,
+      foodName: entry.foodName || 'Unknown Food',
+      quantity: parseFloat(entry.quantity) > 0 ? parseFloat(entry.quantity) : 1,
+      nutrition: this.normalizeNutrition(entry.nutrition)
+    };
+  }
+
+  normalizeDay(day, dateStr, mealTypes = this.MEAL_TYPES) {
+    const normalized = { ...this.createEmptyDay(dateStr || day?.date), ...day };
+    mealTypes.forEach(mealType => {
+      const entries = Array.isArray(day?.[mealType]) ? day[mealType] : [];
+      normalized[mealType] = entries
+        .filter(entry => entry && typeof entry === 'object')
+        .map((entry, index) => this.normalizeEntry(entry, index));
+    });
+    normalized.waterMl = day?.waterMl != null ?
+      Math.max(0, parseInt(day.waterMl) || 0) :
+      (parseInt(day?.waterGlasses) || 0) * this.LEGACY_GLASS_ML;
+    delete normalized.waterGlasses;
+    normalized.date = dateStr || day?.date;
+    normalized.totalNutrition = this.calculateTotalNutrition(normalized);
+    return normalized;
+  }
+
+  normalizeMealTypes(mealTypes) {
+    const seen = new Set();
+    const normalized = (Array.isArray(mealTypes) ? mealTypes : [])
+      .filter(mealType => mealType && typeof mealType.id === 'string' && mealType.id.trim())
+      .filter(mealType => !this.RESERVED_MEAL_IDS.includes(mealType.id.toLowerCase()))
+      .filter(mealType => !seen.has(mealType.id) && seen.add(mealType.id))
+      .map(mealType => ({ id: mealType.id, name: String(mealType.name || mealType.id).trim() }));
+    return normalized.length > 0 ? normalized : this.DEFAULT_MEAL_TYPES.map(mealType => ({ ...mealType }));
+  }
+
+  // Meals without a window of their own (usually custom ones) are left out,
+  // so they are never suggested or reminded about
+  normalizeMealWindows(windows = {}) {
+    const normalized = {};
+    this.MEAL_TYPES.forEach(mealType => {
+      const window = windows?.[mealType] || {};
+      const start = parseInt(window.start);
+      const end = parseInt(window.end);
+      if (start >= 0 && end <= 24 && start < end) {
+        normalized[mealType] = { start, end };
+      } else if (this.DEFAULT_MEAL_WINDOWS[mealType]) {
+        normalized[mealType] = { ...this.DEFAULT_MEAL_WINDOWS[mealType] };
+      }
+    });
+    return normalized;
+  }
+
+  normalizeGoals(goals = {}) {
+    const normalized = { ...this.DEFAULT_GOALS, ...goals };
+    if (goals?.waterMl == null && goals?.waterGlasses != null) {
+      normalized.waterMl = (parseFloat(goals.waterGlasses) || 0) * this.LEGACY_GLASS_ML || this.DEFAULT_GOALS.waterMl;
+    }
+    delete normalized.waterGlasses;
+    Object.keys(this.DEFAULT_GOALS).forEach(key => {
+      const value = parseFloat(normalized[key]);
+      normalized[key] = isNaN(value) ? this.DEFAULT_GOALS[key] : value;
+    });
+    return normalized;
   }
 
   // === USER GOALS ===
   async getUserGoals() {
     try {
-      const goals = await AsyncStorage.getItem(this.STORAGE_KEYS.USER_GOALS);
-      return goals ? JSON.parse(goals) : {
-        dailyCalories: 2200,
-        dailyProtein: 80,
-        dailyCarbs: 275,
-        dailyFat: 73,
-        dailyFiber: 25,
-        waterGlasses: 8,
-        mealsPerDay: 4
-      };
+      const goals = await Database.getGoals();
+      return goals ? this.normalizeGoals(goals) : { ...this.DEFAULT_GOALS };
     } catch (error) {
       console.error('Error loading user goals:', error);
       return null;
     }
   }
 
-  async saveUserGoals(goals) {
+  // `updatedAt` is only passed when applying goals changed on another device
+  async saveUserGoals(goals, updatedAt) {
     try {
-      await AsyncStorage.setItem(this.STORAGE_KEYS.USER_GOALS, JSON.stringify(goals));
+      await Database.saveGoals(goals, updatedAt);
       return true;
     } catch (error) {
       console.error('Error saving user goals:', error);
@@ -40,72 +226,206 @@ class UserDataService {
     }
   }
 
+  // === DAY KEYS ===
+  // Day keys are local-time YYYY-MM-DD strings. Anything logged before
+  // dayStartHour is filed under the previous day, so a 1 AM snack still
+  // belongs to the evening before.
+  getDateKey(date = new Date()) {
+    const shifted = new Date(date);
+    shifted.setHours(shifted.getHours() - this.dayStartHour);
+    return this.formatDateKey(shifted);
+  }
+
+  formatDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  // Local noon on the given day, safe to pass back into getDateKey()
+  parseDateKey(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day, 12);
+  }
+
+  shiftDateKey(dateStr, days) {
+    const date = this.parseDateKey(dateStr);
+    date.setDate(date.getDate() + days);
+    return this.formatDateKey(date);
+  }
+
+  // Day methods take either a Date or a YYYY-MM-DD day key
+  toDateKey(value) {
+    return typeof value === 'string' ? value : this.getDateKey(value);
+  }
+
+  isToday(date) {
+    return this.toDateKey(date) === this.getDateKey();
+  }
+
+  // "Today", "Yesterday" or e.g. "Mon, Oct 13"
+  formatDayLabel(date) {
+    const dateStr = this.toDateKey(date);
+    const todayKey = this.getDateKey();
+    if (dateStr === todayKey) return 'Today';
+    if (dateStr === this.shiftDateKey(todayKey, -1)) return 'Yesterday';
+    return this.parseDateKey(dateStr).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  clampDayStartHour(hour) {
+    return Math.min(this.MAX_DAY_START_HOUR, Math.max(0, parseInt(hour) || 0));
+  }
+
+  // Caches the profile settings that synchronous helpers depend on
+  applyPreferences(profile) {
+    this.dayStartHour = this.clampDayStartHour(profile?.dayStartHour);
+    this.mealTypeList = this.normalizeMealTypes(profile?.mealTypes);
+    this.MEAL_TYPES = this.mealTypeList.map(mealType => mealType.id);
+    // Windows are keyed by meal type, so they are normalized last
+    this.mealWindows = this.normalizeMealWindows(profile?.mealWindows);
+    this.waterUnit = this.WATER_UNITS.includes(profile?.waterUnit) ? profile.waterUnit : 'glasses';
+    this.glassSizeMl = this.normalizeGlassSize(profile?.glassSizeMl);
+  }
+
+  async loadPreferences() {
+    const profile = await this.getUserProfile();
+    this.applyPreferences(profile);
+    return profile;
+  }
+
+  // Only affects entries logged from now on; existing days keep their keys
+  async setDayStartHour(hour) {
+    const dayStartHour = this.clampDayStartHour(hour);
+    const profile = await this.updateUserProfile({ dayStartHour });
+    return profile ? dayStartHour : null;
+  }
+
+  getMealWindows() {
+    return this.mealWindows;
+  }
+
+  getMealTypes() {
+    return this.mealTypeList;
+  }
+
+  getMealLabel(mealType) {
+    const match = this.mealTypeList.find(item => item.id === mealType);
+    return match ? match.name : mealType.charAt(0).toUpperCase() + mealType.slice(1);
+  }
+
+  // "Pre-workout" -> "pre-workout", made unique against the current list
+  createMealTypeId(name) {
+    const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'meal';
+    let id = this.RESERVED_MEAL_IDS.includes(base) ? `${base}-meal` : base;
+    for (let suffix = 2; this.MEAL_TYPES.includes(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  }
+
+  // Saves a reordered or extended list; returns the saved list or null
+  async saveMealTypes(mealTypes) {
+    const profile = await this.updateUserProfile({ mealTypes: this.normalizeMealTypes(mealTypes) });
+    return profile ? this.mealTypeList : null;
+  }
+
+  async addMealType(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return null;
+    return this.saveMealTypes([...this.mealTypeList, { id: this.createMealTypeId(trimmed), name: trimmed }]);
+  }
+
+  // A meal type that still has logged entries can't be removed, otherwise the
+  // next save of those days would drop them
+  async removeMealType(mealType) {
+    try {
+      const entryCount = await Database.countEntriesForMealType(mealType);
+      if (entryCount > 0 || this.mealTypeList.length <= 1) {
+        return { removed: false, entryCount };
+      }
+      const saved = await this.saveMealTypes(this.mealTypeList.filter(item => item.id !== mealType));
+      return { removed: !!saved, entryCount: 0 };
+    } catch (error) {
+      console.error('Error removing meal type:', error);
+      return { removed: false, entryCount: 0 };
+    }
+  }
+
+  async saveMealWindows(windows) {
+    const mealWindows = this.normalizeMealWindows(windows);
+    const profile = await this.updateUserProfile({ mealWindows });
+    return profile ? mealWindows : null;
+  }
+
   // === DAILY INTAKE TRACKING ===
+
+  // AsyncStorage key used for day records before the SQLite store
   getDailyIntakeKey(date = new Date()) {
-    const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
-    return this.STORAGE_KEYS.DAILY_INTAKE + dateStr;
+    return this.STORAGE_KEYS.DAILY_INTAKE + this.getDateKey(date);
   }
 
   async getDailyIntake(date = new Date()) {
     try {
-      const key = this.getDailyIntakeKey(date);
-      const intake = await AsyncStorage.getItem(key);
-      return intake ? JSON.parse(intake) : {
-        breakfast: [],
-        lunch: [],
-        snacks: [],
-        dinner: [],
-        totalNutrition: {
-          calories: 0,
-          protein: 0,
-          carbs: 0,
-          fat: 0,
-          fiber: 0,
-          sodium: 0,
-          iron: 0,
-          calcium: 0,
-          vitaminC: 0
-        },
-        waterGlasses: 0,
-        date: date.toISOString().split('T')[0]
-      };
+      const dateStr = this.toDateKey(date);
+      const intake = await Database.getDay(dateStr);
+      return intake ? { ...this.createEmptyDay(dateStr), ...intake } : this.createEmptyDay(dateStr);
     } catch (error) {
       console.error('Error loading daily intake:', error);
       return null;
     }
   }
 
-async addFoodToMeal(foodData, mealType, date = new Date()) {
+  async addFoodToMeal(foodData, mealType, date = new Date()) {
+    return this.addFoodsToMeal([foodData], mealType, date);
+  }
+
+  // Logs several foods into one meal with a single write (meal templates,
+  // copied meals). Entries get distinct timestamps so backup merges, which
+  // match entries by timestamp, don't treat them as duplicates.
+  async addFoodsToMeal(foods, mealType, date = new Date()) {
     try {
-      const dailyIntake = await this.getDailyIntake(date);
-      
-      // Add food to specific meal
-      if (!dailyIntake[mealType]) {
-        dailyIntake[mealType] = [];
-      }
-      
-      const foodEntry = {
+      const now = Date.now();
+      const foodEntries = foods.map((foodData, index) => ({
         ...foodData,
-        timestamp: new Date().toISOString(),
-        id: Date.now().toString()
-      };
-      
-      dailyIntake[mealType].push(foodEntry);
-      
-      // Recalculate total nutrition
-      dailyIntake.totalNutrition = this.calculateTotalNutrition(dailyIntake);
-      
-      // Save updated data
-      const key = this.getDailyIntakeKey(date);
-      await AsyncStorage.setItem(key, JSON.stringify(dailyIntake));
+        timestamp: new Date(now + index).toISOString(),
+        id: this.createId()
+      }));
+
+      const dailyIntake = await this.runExclusive(this.getDayLockKey(date), async () => {
+        const intake = await this.getDailyIntake(date);
+        
+        // Add food to specific meal
+        if (!intake[mealType]) {
+          intake[mealType] = [];
+        }
+        intake[mealType].push(...foodEntries);
+        
+        // Recalculate total nutrition
+        intake.totalNutrition = this.calculateTotalNutrition(intake);
+        
+        // Save updated data
+        await this.saveDailyIntake(date, intake);
+        return intake;
+      });
       
       // Also update recent scans
-      await this.addToRecentScans(foodEntry);
+      for (const foodEntry of foodEntries) {
+        await this.addToRecentScans(foodEntry);
+      }
       
+      // Backfilled days don't trigger meal or goal notifications
+      if (!this.isToday(date)) {
+        return dailyIntake;
+      }
+
       // 🔧 FIXED: Safe notification calls with error handling
       try {
         if (NotificationService && typeof NotificationService.sendMealCompletionNotification === 'function') {
-          await NotificationService.sendMealCompletionNotification(mealType, foodData.nutrition);
+          await NotificationService.sendMealCompletionNotification(mealType, this.calculateFoodsNutrition(foodEntries));
         }
       } catch (notificationError) {
         console.log('Note: Notification not sent (development mode or error):', notificationError.message);
@@ -113,7 +433,7 @@ async addFoodToMeal(foodData, mealType, date = new Date()) {
       
       // 🔧 FIXED: Safe goal check
       try {
-        await this.checkGoalAchievements(dailyIntake.totalNutrition);
+        await this.checkGoalAchievements(dailyIntake.totalNutrition, dailyIntake.waterMl);
       } catch (goalError) {
         console.log('Note: Goal check skipped:', goalError.message);
       }
@@ -126,7 +446,7 @@ async addFoodToMeal(foodData, mealType, date = new Date()) {
   }
 
   // 🔧 UPDATED: Safe goal achievements check
-  async checkGoalAchievements(totalNutrition) {
+  async checkGoalAchievements(totalNutrition, waterMl = 0) {
     try {
       const goals = await this.getUserGoals();
       if (!goals) return;
@@ -135,7 +455,8 @@ async addFoodToMeal(foodData, mealType, date = new Date()) {
       if (__DEV__) {
         console.log('🎯 Goal check (dev mode):', {
           calories: `${Math.round((totalNutrition.calories / goals.dailyCalories) * 100)}%`,
-          protein: `${Math.round((totalNutrition.protein / goals.dailyProtein) * 100)}%`
+          protein: `${Math.round((totalNutrition.protein / goals.dailyProtein) * 100)}%`,
+          water: `${Math.round((waterMl / goals.waterMl) * 100)}%`
         });
         return;
       }
@@ -162,6 +483,14 @@ async addFoodToMeal(foodData, mealType, date = new Date()) {
         );
       }
       
+      // 💧 Check hydration goal
+      if (goals.waterMl > 0 && waterMl >= goals.waterMl) {
+        await NotificationService.sendGoalNotification(
+          'water_goal',
+          `Well hydrated! You've had ${this.formatWater(waterMl)} of water today.`
+        );
+      }
+      
       // Check if over calories
       if (totalNutrition.calories > goals.dailyCalories * 1.2) {
         await NotificationService.sendGoalNotification(
@@ -187,175 +516,1534 @@ async addFoodToMeal(foodData, mealType, date = new Date()) {
   }
 
   calculateTotalNutrition(dailyIntake) {
-    const total = {
-      calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0,
-      sodium: 0, iron: 0, calcium: 0, vitaminC: 0
-    };
+    return this.calculateFoodsNutrition(
+      this.MEAL_TYPES.flatMap(mealType => dailyIntake[mealType] || [])
+    );
+  }
 
-    ['breakfast', 'lunch', 'snacks', 'dinner'].forEach(mealType => {
-      if (dailyIntake[mealType]) {
-        dailyIntake[mealType].forEach(food => {
-          if (food.nutrition) {
-            Object.keys(total).forEach(key => {
-              total[key] += food.nutrition[key] || 0;
-            });
-          }
+  calculateFoodsNutrition(foods = []) {
+    const total = this.createEmptyNutrition();
+
+    foods.forEach(food => {
+      if (food.nutrition) {
+        Object.keys(total).forEach(key => {
+          total[key] += food.nutrition[key] || 0;
         });
       }
     });
 
-    // Round values
-    Object.keys(total).forEach(key => {
-      if (key === 'calories' || key === 'sodium' || key === 'calcium') {
-        total[key] = Math.round(total[key]);
-      } else {
-        total[key] = Math.round(total[key] * 10) / 10;
-      }
+    return this.roundNutrition(total);
+  }
+
+  // Calories and minerals in mg are whole numbers, everything else to 0.1
+  roundNutrition(nutrition) {
+    const rounded = {};
+    Object.keys(nutrition).forEach(key => {
+      rounded[key] = (key === 'calories' || key === 'sodium' || key === 'calcium') ?
+        Math.round(nutrition[key]) : Math.round(nutrition[key] * 10) / 10;
+    });
+    return rounded;
+  }
+
+  scaleNutrition(nutrition = {}, factor = 1) {
+    const scaled = {};
+    Object.keys(nutrition).forEach(key => {
+      scaled[key] = (parseFloat(nutrition[key]) || 0) * factor;
     });
+    return this.roundNutrition(scaled);
+  }
+
+  // === PORTIONS ===
+  // Entries keep the nutrition of one base serving alongside the multiplier,
+  // so a later edit rescales from the original values instead of compounding
+  // rounding from the last edit.
+
+  // Grams in a serving label such as "100g" or "1 serving (250 g)"
+  parseServingGrams(servingSize) {
+    const match = String(servingSize || '').match(/(\d+(?:\.\d+)?)\s*g\b/i);
+    return match ? parseFloat(match[1]) : null;
+  }
 
-    return total;
+  getBaseServing(foodData = {}) {
+    if (foodData.baseServing) return foodData.baseServing;
+    const grams = parseFloat(foodData.servingGrams) || this.parseServingGrams(foodData.servingSize);
+    return {
+      label: foodData.servingSize || '1 serving',
+      grams: grams > 0 ? grams : null
+    };
+  }
+
+  getBaseNutrition(foodData = {}) {
+    if (foodData.baseNutrition) return foodData.baseNutrition;
+    // Entries logged before portions were stored hold already-scaled nutrition
+    return this.scaleNutrition(foodData.nutrition || {}, 1 / (parseFloat(foodData.quantity) || 1));
+  }
+
+  // Returns a copy of foodData scaled to `quantity` base servings
+  applyPortion(foodData, quantity = 1) {
+    // A tiny portion stays tiny instead of rounding to 0 and falling back to 1
+    const multiplier = parseFloat(quantity) > 0 ? Math.max(0.01, Math.round(parseFloat(quantity) * 100) / 100) : 1;
+    const baseNutrition = this.getBaseNutrition(foodData);
+    return {
+      ...foodData,
+      quantity: multiplier,
+      baseServing: this.getBaseServing(foodData),
+      baseNutrition,
+      nutrition: this.scaleNutrition(baseNutrition, multiplier)
+    };
+  }
+
+  // "1.5 × 1 serving (2 pieces)", or "150g" when the base serving has a weight
+  formatPortion(foodData) {
+    const baseServing = this.getBaseServing(foodData);
+    const quantity = parseFloat(foodData?.quantity) || 1;
+    if (baseServing.grams) {
+      return `${Math.round(baseServing.grams * quantity)}g`;
+    }
+    return quantity === 1 ? baseServing.label : `${quantity} × ${baseServing.label}`;
+  }
+
+  // === ENTRY EDITING ===
+  findFoodEntry(dailyIntake, entryId) {
+    for (const mealType of this.MEAL_TYPES) {
+      const index = (dailyIntake[mealType] || []).findIndex(food => food.id === entryId);
+      if (index !== -1) {
+        return { mealType, index, entry: dailyIntake[mealType][index] };
+      }
+    }
+    return null;
   }
 
-  async updateWaterIntake(glasses, date = new Date()) {
+  // Updates fields on a logged entry. Passing `quantity` rescales the entry's
+  // nutrition from its base serving, passing `mealType` moves it to another meal.
+  // Returns null for an unknown meal type, which would never be shown or saved.
+  async updateFoodEntry(entryId, updates = {}, date = new Date()) {
+    if (updates.mealType !== undefined && !this.MEAL_TYPES.includes(updates.mealType)) {
+      console.warn('Unknown meal type:', updates.mealType);
+      return null;
+    }
+
     try {
-      const dailyIntake = await this.getDailyIntake(date);
-      dailyIntake.waterGlasses = glasses;
-      
-      const key = this.getDailyIntakeKey(date);
-      await AsyncStorage.setItem(key, JSON.stringify(dailyIntake));
-      return dailyIntake;
+      return await this.runExclusive(this.getDayLockKey(date), async () => {
+        const dailyIntake = await this.getDailyIntake(date);
+        const found = this.findFoodEntry(dailyIntake, entryId);
+        if (!found) {
+          console.warn('Food entry not found:', entryId);
+          return null;
+        }
+
+        const { mealType: targetMeal, quantity, ...fields } = updates;
+        const currentQuantity = found.entry.quantity || 1;
+        let updatedEntry = { ...found.entry, ...fields, updatedAt: new Date().toISOString() };
+
+        if (quantity !== undefined && quantity > 0 && quantity !== currentQuantity) {
+          updatedEntry = this.applyPortion(updatedEntry, quantity);
+        }
+
+        dailyIntake[found.mealType].splice(found.index, 1);
+        const mealType = targetMeal || found.mealType;
+        if (!dailyIntake[mealType]) {
+          dailyIntake[mealType] = [];
+        }
+        if (mealType === found.mealType) {
+          dailyIntake[mealType].splice(found.index, 0, updatedEntry);
+        } else {
+          dailyIntake[mealType].push(updatedEntry);
+        }
+
+        dailyIntake.totalNutrition = this.calculateTotalNutrition(dailyIntake);
+        await this.saveDailyIntake(date, dailyIntake);
+        await this.syncRecentScansWithEntry(updatedEntry);
+
+        return dailyIntake;
+      });
     } catch (error) {
-      console.error('Error updating water intake:', error);
+      console.error('Error updating food entry:', error);
       return null;
     }
   }
 
-  // === RECENT SCANS ===
-  async getRecentScans(limit = 10) {
+  async moveFoodEntry(entryId, toMealType, date = new Date()) {
+    return this.updateFoodEntry(entryId, { mealType: toMealType }, date);
+  }
+
+  async deleteFoodEntry(entryId, date = new Date()) {
     try {
-      const scans = await AsyncStorage.getItem(this.STORAGE_KEYS.RECENT_SCANS);
-      const recentScans = scans ? JSON.parse(scans) : [];
-      return recentScans.slice(0, limit);
+      return await this.runExclusive(this.getDayLockKey(date), async () => {
+        const dailyIntake = await this.getDailyIntake(date);
+        const found = this.findFoodEntry(dailyIntake, entryId);
+        if (!found) {
+          console.warn('Food entry not found:', entryId);
+          return null;
+        }
+
+        dailyIntake[found.mealType].splice(found.index, 1);
+        dailyIntake.totalNutrition = this.calculateTotalNutrition(dailyIntake);
+        await this.saveDailyIntake(date, dailyIntake);
+        await this.syncRecentScansWithEntry(found.entry, true);
+
+        return dailyIntake;
+      });
     } catch (error) {
-      console.error('Error loading recent scans:', error);
-      return [];
+      console.error('Error deleting food entry:', error);
+      return null;
     }
   }
 
-  async addToRecentScans(foodData) {
+  // `options` go to Database.writeDay
+  async saveDailyIntake(date, dailyIntake, options) {
+    await Database.saveDay(this.toDateKey(date), dailyIntake, this.MEAL_TYPES, options);
+  }
+
+  // === HYDRATION ===
+  normalizeGlassSize(ml) {
+    const size = parseInt(ml);
+    if (!size) return this.DEFAULT_GLASS_ML;
+    return Math.min(this.MAX_GLASS_ML, Math.max(this.MIN_GLASS_ML, size));
+  }
+
+  getWaterSettings() {
+    return { unit: this.waterUnit, glassSizeMl: this.glassSizeMl };
+  }
+
+  async saveWaterSettings({ unit, glassSizeMl }) {
+    const profile = await this.updateUserProfile({
+      waterUnit: this.WATER_UNITS.includes(unit) ? unit : this.waterUnit,
+      glassSizeMl: this.normalizeGlassSize(glassSizeMl ?? this.glassSizeMl)
+    });
+    return profile ? this.getWaterSettings() : null;
+  }
+
+  toGlasses(ml) {
+    return Math.round((ml || 0) / this.glassSizeMl * 10) / 10;
+  }
+
+  // Amount in the user's unit, e.g. "6 glasses" or "1500 ml"
+  formatWater(ml, unit = this.waterUnit) {
+    if (unit === 'ml') {
+      return `${Math.round(ml || 0)} ml`;
+    }
+    const glasses = this.toGlasses(ml);
+    return `${glasses} glass${glasses === 1 ? '' : 'es'}`;
+  }
+
+  // Sets the day's total; see addWater() for the +/- controls
+  async updateWaterIntake(waterMl, date = new Date()) {
+    return this.changeWaterIntake(() => Math.max(0, Math.round(parseFloat(waterMl) || 0)), date);
+  }
+
+  // Adds (or with a negative amount removes) water, one glass by default
+  async addWater(deltaMl = this.glassSizeMl, date = new Date()) {
+    return this.changeWaterIntake(current => Math.max(0, current + Math.round(parseFloat(deltaMl) || 0)), date);
+  }
+
+  async changeWaterIntake(getWaterMl, date) {
     try {
-      const recentScans = await this.getRecentScans(50); // Keep max 50
-      
-      const scanEntry = {
-        ...foodData,
-        scannedAt: new Date().toISOString(),
-        id: Date.now().toString()
-      };
-      
-      // Add to beginning of array
-      recentScans.unshift(scanEntry);
-      
-      // Keep only last 50 scans
-      const updatedScans = recentScans.slice(0, 50);
-      
-      await AsyncStorage.setItem(this.STORAGE_KEYS.RECENT_SCANS, JSON.stringify(updatedScans));
-      return updatedScans;
+      const dailyIntake = await this.runExclusive(this.getDayLockKey(date), async () => {
+        const intake = await this.getDailyIntake(date);
+        intake.waterMl = getWaterMl(intake.waterMl || 0);
+
+        await this.saveDailyIntake(date, intake);
+        return intake;
+      });
+
+      if (this.isToday(date)) {
+        try {
+          await this.checkGoalAchievements(dailyIntake.totalNutrition, dailyIntake.waterMl);
+        } catch (goalError) {
+          console.log('Note: Goal check skipped:', goalError.message);
+        }
+      }
+
+      return dailyIntake;
     } catch (error) {
-      console.error('Error adding to recent scans:', error);
+      console.error('Error updating water intake:', error);
       return null;
     }
   }
 
-  // === WEEKLY ANALYTICS ===
-  async getWeeklyData(startDate = new Date()) {
+  // === MY FOODS ===
+  // Foods the user defines themselves (room-cooked maggi, eggs, ...). Stored
+  // per base serving and logged like menu items.
+
+  normalizeCustomFood(food = {}) {
+    const now = new Date().toISOString();
+    const servingGrams = parseFloat(food.servingGrams);
+    const ingredients = Array.isArray(food.ingredients) ?
+      food.ingredients :
+      String(food.ingredients || '').split(',');
+    return {
+      id: food.id ? String(food.id) : this.createId(),
+      name: String(food.name || '').trim(),
+      servingSize: String(food.servingSize || '').trim() || '1 serving',
+      servingGrams: servingGrams > 0 ? servingGrams : null,
+      nutrition: this.normalizeNutrition(food.nutrition),
+      isVeg: !!food.isVeg,
+      ingredients: ingredients.map(item => String(item).trim()).filter(Boolean),
+      createdAt: food.createdAt || now,
+      updatedAt: now
+    };
+  }
+
+  async getCustomFoods() {
     try {
-      const weeklyData = [];
-      const endDate = new Date(startDate);
-      endDate.setDate(startDate.getDate() - 6); // Last 7 days
-      
-      for (let i = 0; i < 7; i++) {
-        const date = new Date(startDate);
-        date.setDate(startDate.getDate() - i);
-        
-        const dailyIntake = await this.getDailyIntake(date);
-        weeklyData.push({
-          date: date.toISOString().split('T')[0],
-          ...dailyIntake.totalNutrition,
-          mealsCount: this.getMealsCount(dailyIntake)
-        });
-      }
-      
-      return weeklyData.reverse(); // Oldest to newest
+      return await Database.getCustomFoods();
     } catch (error) {
-      console.error('Error loading weekly data:', error);
+      console.error('Error loading custom foods:', error);
       return [];
     }
   }
 
-  getMealsCount(dailyIntake) {
-    let count = 0;
-    ['breakfast', 'lunch', 'snacks', 'dinner'].forEach(mealType => {
-      if (dailyIntake[mealType] && dailyIntake[mealType].length > 0) {
-        count++;
-      }
-    });
-    return count;
+  filterCustomFoods(foods, query = '') {
+    const term = query.trim().toLowerCase();
+    if (!term) return foods;
+    return foods.filter(food =>
+      food.name.toLowerCase().includes(term) ||
+      food.ingredients.some(ingredient => ingredient.toLowerCase().includes(term))
+    );
   }
 
-  // === USER PROFILE ===
-  async getUserProfile() {
+  async searchCustomFoods(query = '') {
+    return this.filterCustomFoods(await this.getCustomFoods(), query);
+  }
+
+  // Creates the food, or updates it when `food.id` already exists
+  async saveCustomFood(food) {
     try {
-      const profile = await AsyncStorage.getItem(this.STORAGE_KEYS.USER_PROFILE);
-      return profile ? JSON.parse(profile) : {
-        name: 'User',
-        age: 25,
-        height: 170, // cm
-        weight: 70,  // kg
-        gender: 'male',
-        activityLevel: 'moderate',
-        goal: 'maintain' // maintain, lose, gain
-      };
+      const normalized = this.normalizeCustomFood(food);
+      if (!normalized.name) {
+        console.warn('Custom food needs a name');
+        return null;
+      }
+      await Database.saveCustomFood(normalized);
+      return normalized;
     } catch (error) {
-      console.error('Error loading user profile:', error);
+      console.error('Error saving custom food:', error);
       return null;
     }
   }
 
-  async saveUserProfile(profile) {
+  async deleteCustomFood(id) {
     try {
-      await AsyncStorage.setItem(this.STORAGE_KEYS.USER_PROFILE, JSON.stringify(profile));
+      await Database.deleteCustomFood(id);
       return true;
     } catch (error) {
-      console.error('Error saving user profile:', error);
+      console.error('Error deleting custom food:', error);
       return false;
     }
   }
 
-  // === UTILITIES ===
-  async clearAllData() {
-    try {
-      await AsyncStorage.clear();
-      return true;
-    } catch (error) {
-      console.error('Error clearing data:', error);
-      return false;
-    }
+  // Food data in the shape addFoodToMeal and the portion step expect
+  customFoodToFoodData(food) {
+    return {
+      foodName: food.name,
+      nutrition: food.nutrition,
+      servingSize: food.servingSize,
+      servingGrams: food.servingGrams,
+      ingredients: food.ingredients,
+      isVeg: food.isVeg,
+      category: 'My Foods',
+      customFoodId: food.id,
+      method: 'My Foods'
+    };
   }
 
-  getTimeBasedGreeting() {
-    const hour = new Date().getHours();
-    if (hour < 12) return '🌅 Good Morning';
-    if (hour < 17) return '☀️ Good Afternoon';
-    if (hour < 21) return '🌆 Good Evening';
-    return '🌙 Good Night';
+  // === RECIPES ===
+  // A recipe sums its ingredients and divides by the number of servings it
+  // makes. Each ingredient keeps the nutrition of its base amount (100g for
+  // the nutrient table, one serving for foods and menu items), so amounts can
+  // be edited without looking the source up again.
+
+  createRecipeIngredient(source, item) {
+    const isTable = source === 'table';
+    return {
+      id: this.createId(),
+      source,
+      refId: item.id ? String(item.id) : null,
+      name: item.name,
+      amount: isTable ? (item.defaultGrams || 100) : 1,
+      unit: isTable ? 'g' : 'serving',
+      baseAmount: isTable ? 100 : 1,
+      baseNutrition: this.normalizeNutrition(item.nutrition),
+      isVeg: item.isVeg !== false
+    };
   }
 
-  getMealTimeFromHour() {
-    const hour = new Date().getHours();
-    if (hour < 10) return 'breakfast';
-    if (hour < 14) return 'lunch';
-    if (hour < 18) return 'snacks';
-    return 'dinner';
+  normalizeRecipeIngredient(ingredient) {
+    const baseAmount = parseFloat(ingredient.baseAmount) > 0 ? parseFloat(ingredient.baseAmount) : 1;
+    const amount = parseFloat(ingredient.amount);
+    return {
+      ...ingredient,
+      id: ingredient.id ? String(ingredient.id) : this.createId(),
+      amount: amount >= 0 ? amount : baseAmount,
+      unit: ingredient.unit || 'serving',
+      baseAmount,
+      baseNutrition: this.normalizeNutrition(ingredient.baseNutrition),
+      isVeg: ingredient.isVeg !== false
+    };
+  }
+
+  // Rounds once at the end, the same way calculateTotalNutrition does
+  calculateRecipeNutrition(ingredients = [], servings = 1) {
+    const total = this.createEmptyNutrition();
+    ingredients.forEach(ingredient => {
+      const factor = (parseFloat(ingredient.amount) || 0) / (parseFloat(ingredient.baseAmount) || 1);
+      Object.keys(total).forEach(key => {
+        total[key] += (parseFloat(ingredient.baseNutrition?.[key]) || 0) * factor;
+      });
+    });
+
+    const perServing = {};
+    Object.keys(total).forEach(key => {
+      perServing[key] = total[key] / servings;
+    });
+
+    return { total: this.roundNutrition(total), perServing: this.roundNutrition(perServing) };
+  }
+
+  normalizeRecipe(recipe = {}) {
+    const servings = Math.max(1, Math.round(parseFloat(recipe.servings) || 1));
+    const ingredients = (Array.isArray(recipe.ingredients) ? recipe.ingredients : [])
+      .filter(ingredient => ingredient && ingredient.name)
+      .map(ingredient => this.normalizeRecipeIngredient(ingredient));
+    const { total, perServing } = this.calculateRecipeNutrition(ingredients, servings);
+    const now = new Date().toISOString();
+
+    return {
+      id: recipe.id ? String(recipe.id) : this.createId(),
+      name: String(recipe.name || '').trim(),
+      servings,
+      ingredients,
+      isVeg: ingredients.every(ingredient => ingredient.isVeg),
+      totalNutrition: total,
+      nutrition: perServing,
+      createdAt: recipe.createdAt || now,
+      updatedAt: now
+    };
+  }
+
+  async getRecipes() {
+    try {
+      return await Database.getRecipes();
+    } catch (error) {
+      console.error('Error loading recipes:', error);
+      return [];
+    }
+  }
+
+  async getRecipe(recipeId) {
+    const recipes = await this.getRecipes();
+    return recipes.find(recipe => recipe.id === recipeId) || null;
+  }
+
+  async saveRecipe(recipe) {
+    try {
+      const normalized = this.normalizeRecipe(recipe);
+      if (!normalized.name || normalized.ingredients.length === 0) {
+        console.warn('Recipe needs a name and at least one ingredient');
+        return null;
+      }
+      await Database.saveRecipe(normalized);
+      return normalized;
+    } catch (error) {
+      console.error('Error saving recipe:', error);
+      return null;
+    }
+  }
+
+  async deleteRecipe(recipeId) {
+    try {
+      await Database.deleteRecipe(recipeId);
+      return true;
+    } catch (error) {
+      console.error('Error deleting recipe:', error);
+      return false;
+    }
+  }
+
+  // Days on which the recipe has been logged
+  async getRecipeLoggedDays(recipeId) {
+    try {
+      return await Database.getDatesForRecipe(recipeId);
+    } catch (error) {
+      console.error('Error finding recipe entries:', error);
+      return [];
+    }
+  }
+
+  // Applies an edited recipe to entries already logged from it, keeping each
+  // entry's portion. Returns the number of entries updated.
+  async recalculateRecipeEntries(recipe) {
+    try {
+      const dates = await Database.getDatesForRecipe(recipe.id);
+      let updated = 0;
+
+      for (const date of dates) {
+        await this.runExclusive(this.getDayLockKey(date), async () => {
+          const intake = await this.getDailyIntake(date);
+          this.MEAL_TYPES.forEach(mealType => {
+            intake[mealType] = (intake[mealType] || []).map(entry => {
+              if (entry.recipeId !== recipe.id) return entry;
+              updated++;
+              return this.applyPortion({
+                ...this.recipeToFoodData(recipe),
+                ...entry,
+                foodName: recipe.name,
+                ingredients: recipe.ingredients.map(ingredient => ingredient.name),
+                baseNutrition: recipe.nutrition,
+                updatedAt: new Date().toISOString()
+              }, entry.quantity || 1);
+            });
+          });
+          intake.totalNutrition = this.calculateTotalNutrition(intake);
+          await this.saveDailyIntake(date, intake);
+        });
+      }
+
+      return updated;
+    } catch (error) {
+      console.error('Error recalculating recipe entries:', error);
+      return null;
+    }
+  }
+
+  recipeToFoodData(recipe) {
+    return {
+      foodName: recipe.name,
+      nutrition: recipe.nutrition,
+      servingSize: `1 serving (recipe makes ${recipe.servings})`,
+      ingredients: recipe.ingredients.map(ingredient => ingredient.name),
+      isVeg: recipe.isVeg,
+      category: 'Recipe',
+      recipeId: recipe.id,
+      method: 'Recipe'
+    };
+  }
+
+  // === MEAL TEMPLATES ===
+  // A named set of foods ("my usual breakfast") that can be logged again in
+  // one go. Items are copies of the food data, without entry ids or times.
+
+  toTemplateItem(food) {
+    const { id, timestamp, updatedAt, entryId, scannedAt, ...item } = food;
+    return { ...item, nutrition: this.normalizeNutrition(item.nutrition) };
+  }
+
+  normalizeMealTemplate(template = {}) {
+    const items = (Array.isArray(template.items) ? template.items : [])
+      .filter(item => item && typeof item === 'object')
+      .map(item => this.toTemplateItem(item));
+    const now = new Date().toISOString();
+
+    return {
+      id: template.id ? String(template.id) : this.createId(),
+      name: String(template.name || '').trim(),
+      mealType: this.MEAL_TYPES.includes(template.mealType) ? template.mealType : this.getMealTimeFromHour(),
+      items,
+      nutrition: this.calculateFoodsNutrition(items),
+      createdAt: template.createdAt || now,
+      updatedAt: now,
+      lastUsedAt: template.lastUsedAt || null
+    };
+  }
+
+  // Most recently used first
+  async getMealTemplates() {
+    try {
+      const templates = await Database.getMealTemplates();
+      return templates.sort((a, b) =>
+        (b.lastUsedAt || b.createdAt || '').localeCompare(a.lastUsedAt || a.createdAt || '')
+      );
+    } catch (error) {
+      console.error('Error loading meal templates:', error);
+      return [];
+    }
+  }
+
+  async saveMealTemplate(template) {
+    try {
+      const normalized = this.normalizeMealTemplate(template);
+      if (!normalized.name || normalized.items.length === 0) {
+        console.warn('Meal template needs a name and at least one item');
+        return null;
+      }
+      await Database.saveMealTemplate(normalized);
+      return normalized;
+    } catch (error) {
+      console.error('Error saving meal template:', error);
+      return null;
+    }
+  }
+
+  // Saves what was logged for a meal on the given day as a template
+  async saveMealAsTemplate(name, mealType, date = new Date()) {
+    const intake = await this.getDailyIntake(date);
+    return this.saveMealTemplate({ name, mealType, items: intake?.[mealType] || [] });
+  }
+
+  async deleteMealTemplate(templateId) {
+    try {
+      await Database.deleteMealTemplate(templateId);
+      return true;
+    } catch (error) {
+      console.error('Error deleting meal template:', error);
+      return false;
+    }
+  }
+
+  // Logs every item of the template into the meal; defaults to the template's own meal
+  async logMealTemplate(templateId, mealType = null, date = new Date()) {
+    const templates = await this.getMealTemplates();
+    const template = templates.find(item => item.id === templateId);
+    if (!template) {
+      console.warn('Meal template not found:', templateId);
+      return null;
+    }
+
+    const targetMeal = mealType || template.mealType;
+    const dailyIntake = await this.addFoodsToMeal(
+      template.items.map(item => ({ ...item, templateId: template.id })),
+      targetMeal,
+      date
+    );
+    if (dailyIntake) {
+      try {
+        await Database.saveMealTemplate({ ...template, lastUsedAt: new Date().toISOString() });
+      } catch (error) {
+        console.error('Error updating meal template:', error);
+      }
+    }
+    return dailyIntake;
+  }
+
+  // === COPY MEALS ===
+  // Copies carry everything but the entry's identity, so they get fresh ids
+  // and timestamps and can be edited or deleted independently of the source.
+
+  async copyMeal(fromDate, fromMealType, toMealType = fromMealType, toDate = new Date()) {
+    const source = await this.getDailyIntake(fromDate);
+    const items = source?.[fromMealType] || [];
+    if (items.length === 0) {
+      return null;
+    }
+
+    const fromKey = this.toDateKey(fromDate);
+    return this.addFoodsToMeal(
+      items.map(item => ({ ...this.toTemplateItem(item), copiedFrom: fromKey })),
+      toMealType,
+      toDate
+    );
+  }
+
+  // Copies every meal of one day into the same meals of another, in one write
+  async copyDay(fromDate, toDate = new Date()) {
+    try {
+      const fromKey = this.toDateKey(fromDate);
+      if (fromKey === this.toDateKey(toDate)) {
+        return null;
+      }
+
+      const source = await this.getDailyIntake(fromDate);
+      if (!source || this.countEntries(source) === 0) {
+        return null;
+      }
+
+      const now = Date.now();
+      let offset = 0;
+      const dailyIntake = await this.runExclusive(this.getDayLockKey(toDate), async () => {
+        const intake = await this.getDailyIntake(toDate);
+
+        this.MEAL_TYPES.forEach(mealType => {
+          (source[mealType] || []).forEach(item => {
+            if (!intake[mealType]) {
+              intake[mealType] = [];
+            }
+            intake[mealType].push({
+              ...this.toTemplateItem(item),
+              copiedFrom: fromKey,
+              timestamp: new Date(now + offset++).toISOString(),
+              id: this.createId()
+            });
+          });
+        });
+
+        intake.totalNutrition = this.calculateTotalNutrition(intake);
+        await this.saveDailyIntake(toDate, intake);
+        return intake;
+      });
+
+      if (this.isToday(toDate)) {
+        try {
+          await this.checkGoalAchievements(dailyIntake.totalNutrition, dailyIntake.waterMl);
+        } catch (goalError) {
+          console.log('Note: Goal check skipped:', goalError.message);
+        }
+      }
+
+      return dailyIntake;
+    } catch (error) {
+      console.error('Error copying day:', error);
+      return null;
+    }
+  }
+
+  // === BODY WEIGHT ===
+  // One measurement per day: weight in kg, optional waist (cm) and body fat
+  // (%). The newest weight is mirrored into profile.weight so BMI and the
+  // calorie estimates below follow the log.
+
+  normalizeWeightEntry(entry = {}) {
+    const toMeasurement = (value) => {
+      const number = parseFloat(value);
+      return number > 0 ? Math.round(number * 10) / 10 : null;
+    };
+    return {
+      date: this.toDateKey(entry.date || new Date()),
+      weight: toMeasurement(entry.weight),
+      waist: toMeasurement(entry.waist),
+      bodyFat: toMeasurement(entry.bodyFat),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  // Oldest first
+  async getWeightLog() {
+    try {
+      return await Database.getWeightLog();
+    } catch (error) {
+      console.error('Error loading weight log:', error);
+      return [];
+    }
+  }
+
+  async logWeight(entry) {
+    const normalized = this.normalizeWeightEntry(entry);
+    if (!normalized.weight) return null;
+
+    try {
+      await Database.saveWeightEntry(normalized);
+      await this.syncProfileWeight();
+      return normalized;
+    } catch (error) {
+      console.error('Error logging weight:', error);
+      return null;
+    }
+  }
+
+  async deleteWeightEntry(date) {
+    try {
+      await Database.deleteWeightEntry(this.toDateKey(date));
+      await this.syncProfileWeight();
+      return true;
+    } catch (error) {
+      console.error('Error deleting weight entry:', error);
+      return false;
+    }
+  }
+
+  async syncProfileWeight() {
+    const log = await Database.getWeightLog();
+    const latest = log[log.length - 1];
+    if (latest) {
+      await this.updateUserProfile({ weight: latest.weight });
+    }
+  }
+
+  async saveWeightGoal({ goal, targetWeight }) {
+    const profile = await this.updateUserProfile({
+      goal: ['lose', 'gain', 'maintain'].includes(goal) ? goal : 'maintain',
+      targetWeight: parseFloat(targetWeight) > 0 ? Math.round(parseFloat(targetWeight) * 10) / 10 : null
+    });
+    return profile ? { goal: profile.goal, targetWeight: profile.targetWeight } : null;
+  }
+
+  // Exponentially smoothed weight: each reading moves the trend 10% of the
+  // way, so day-to-day water swings don't hide the real direction
+  calculateWeightTrend(log, smoothing = 0.1) {
+    let trend = null;
+    return log.map(entry => {
+      trend = trend === null ? entry.weight : trend + smoothing * (entry.weight - trend);
+      return { ...entry, trend: Math.round(trend * 100) / 100 };
+    });
+  }
+
+  // Mifflin-St Jeor BMR scaled by activity level
+  estimateMaintenanceCalories(profile = {}) {
+    const weight = parseFloat(profile.weight) || 70;
+    const height = parseFloat(profile.height) || 170;
+    const age = parseFloat(profile.age) || 25;
+    const bmr = 10 * weight + 6.25 * height - 5 * age + (profile.gender === 'female' ? -161 : 5);
+    return Math.round(bmr * (this.ACTIVITY_FACTORS[profile.activityLevel] || this.ACTIVITY_FACTORS.moderate));
+  }
+
+  // When the target weight is reached at the current average calorie balance.
+  // Today is left out of the average because it is usually only half logged.
+  async getWeightProjection(days = 14) {
+    try {
+      const todayKey = this.getDateKey();
+      const [profile, log, range] = await Promise.all([
+        this.getUserProfile(),
+        this.getWeightLog(),
+        this.getIntakeRange(this.shiftDateKey(todayKey, -days), this.shiftDateKey(todayKey, -1))
+      ]);
+
+      const trendLog = this.calculateWeightTrend(log);
+      const latest = trendLog[trendLog.length - 1];
+      const currentWeight = latest ? latest.trend : parseFloat(profile?.weight) || null;
+      const targetWeight = parseFloat(profile?.targetWeight) || null;
+      const goal = profile?.goal || 'maintain';
+
+      const loggedDays = range?.loggedDays || 0;
+      const averageIntake = loggedDays > 0 ? range.averages.calories : null;
+      const maintenanceCalories = this.estimateMaintenanceCalories({ ...profile, weight: currentWeight });
+      const dailyBalance = averageIntake !== null ? Math.round(averageIntake - maintenanceCalories) : null;
+      const weeklyChange = dailyBalance !== null ?
+        Math.round(dailyBalance * 7 / this.KCAL_PER_KG * 100) / 100 :
+        null;
+
+      // What the scale actually did over the last four weeks
+      const recent = trendLog.filter(entry => entry.date >= this.shiftDateKey(todayKey, -28));
+      let observedWeeklyChange = null;
+      if (recent.length >= 2) {
+        const first = recent[0];
+        const spanDays = (this.parseDateKey(latest.date) - this.parseDateKey(first.date)) / 86400000;
+        if (spanDays >= 7) {
+          observedWeeklyChange = Math.round((latest.trend - first.trend) / spanDays * 7 * 100) / 100;
+        }
+      }
+
+      let status;
+      let daysToTarget = null;
+      let targetDate = null;
+      const remaining = targetWeight && currentWeight ? targetWeight - currentWeight : null;
+
+      if (!targetWeight || !currentWeight) {
+        status = 'no-target';
+      } else if (goal === 'maintain') {
+        status = 'maintain';
+      } else if ((goal === 'lose' && remaining >= 0) || (goal === 'gain' && remaining <= 0)) {
+        status = 'reached';
+      } else if (dailyBalance === null) {
+        status = 'no-intake';
+      } else if (dailyBalance === 0 || Math.sign(dailyBalance) !== Math.sign(remaining)) {
+        status = 'off-track';
+      } else {
+        status = 'on-track';
+        daysToTarget = Math.ceil(remaining * this.KCAL_PER_KG / dailyBalance);
+        targetDate = this.shiftDateKey(todayKey, daysToTarget);
+      }
+
+      return {
+        goal,
+        status,
+        currentWeight,
+        targetWeight,
+        averageIntake,
+        maintenanceCalories,
+        dailyBalance,
+        weeklyChange,
+        observedWeeklyChange,
+        loggedDays,
+        daysToTarget,
+        targetDate
+      };
+    } catch (error) {
+      console.error('Error projecting weight:', error);
+      return null;
+    }
+  }
+
+  // === FREQUENT FOODS ===
+  // What makes two log entries "the same food": the menu item, My Foods entry
+  // or recipe they came from, else the name. Mirrors Database.getFoodFrequencies().
+  getFoodKey(food = {}) {
+    if (food.menuItemId) return `menu:${food.menuItemId}`;
+    if (food.customFoodId) return `custom:${food.customFoodId}`;
+    if (food.recipeId) return `recipe:${food.recipeId}`;
+    const name = String(food.foodName || '').trim().toLowerCase();
+    return name ? `name:${name}` : null;
+  }
+
+  // A loggable copy of a past entry, at the portion it was last logged with
+  toQuickAddFood(food) {
+    const { copiedFrom, ...item } = this.toTemplateItem(food);
+    return item;
+  }
+
+  normalizeFavoriteFood(favorite = {}) {
+    const food = this.toQuickAddFood(favorite.food || {});
+    const now = new Date().toISOString();
+    return {
+      key: favorite.key || this.getFoodKey(food),
+      name: String(favorite.name || food.foodName || '').trim(),
+      food,
+      createdAt: favorite.createdAt || now,
+      updatedAt: favorite.updatedAt || now
+    };
+  }
+
+  async getFavoriteFoods() {
+    try {
+      return await Database.getFavoriteFoods();
+    } catch (error) {
+      console.error('Error loading favorite foods:', error);
+      return [];
+    }
+  }
+
+  async isFavoriteFood(food) {
+    const key = this.getFoodKey(food);
+    const favorites = await this.getFavoriteFoods();
+    return favorites.some(favorite => favorite.key === key);
+  }
+
+  // Stars or unstars a food. Returns the new starred state, or null on failure.
+  async toggleFavoriteFood(food) {
+    const key = this.getFoodKey(food);
+    if (!key) return null;
+
+    try {
+      return await this.runExclusive('favorites', async () => {
+        if (await this.isFavoriteFood(food)) {
+          await Database.deleteFavoriteFood(key);
+          return false;
+        }
+        await Database.saveFavoriteFood(this.normalizeFavoriteFood({
+          key,
+          food,
+          updatedAt: new Date().toISOString()
+        }));
+        return true;
+      });
+    } catch (error) {
+      console.error('Error updating favorite food:', error);
+      return null;
+    }
+  }
+
+  // Foods logged at least `minCount` times in the last `days` days, most often first
+  async getFrequentFoods({ days = 90, limit = 10, minCount = 2 } = {}) {
+    try {
+      const since = this.shiftDateKey(this.getDateKey(), -days);
+      const frequencies = await Database.getFoodFrequencies(since, limit);
+      return frequencies
+        .filter(frequency => frequency.count >= minCount)
+        .map(frequency => ({ ...frequency, food: this.toQuickAddFood(frequency.food) }));
+    } catch (error) {
+      console.error('Error loading frequent foods:', error);
+      return [];
+    }
+  }
+
+  // Starred foods first, then the most frequently logged ones. Favourites use
+  // the portion they were last logged with, when they have been logged.
+  async getQuickAddFoods(limit = 10) {
+    const [favorites, frequent] = await Promise.all([
+      this.getFavoriteFoods(),
+      this.getFrequentFoods({ limit: 50, minCount: 1 })
+    ]);
+    const frequentByKey = new Map(frequent.map(frequency => [frequency.key, frequency]));
+    const favoriteKeys = new Set(favorites.map(favorite => favorite.key));
+
+    const starred = favorites
+      .map(favorite => ({
+        key: favorite.key,
+        food: frequentByKey.get(favorite.key)?.food || favorite.food,
+        count: frequentByKey.get(favorite.key)?.count || 0,
+        isFavorite: true
+      }))
+      .sort((a, b) => b.count - a.count);
+    const others = frequent
+      .filter(frequency => frequency.count >= 2 && !favoriteKeys.has(frequency.key))
+      .map(frequency => ({ key: frequency.key, food: frequency.food, count: frequency.count, isFavorite: false }));
+
+    return [...starred, ...others].slice(0, limit);
+  }
+
+  // === RECENT SCANS ===
+  async getRecentScans(limit = 10) {
+    try {
+      return await Database.getRecentScans(limit);
+    } catch (error) {
+      console.error('Error loading recent scans:', error);
+      return [];
+    }
+  }
+
+  async addToRecentScans(foodData) {
+    try {
+      const scanEntry = {
+        ...foodData,
+        entryId: foodData.id,
+        scannedAt: new Date().toISOString(),
+        id: this.createId()
+      };
+      
+      // Keep only last 50 scans
+      return await this.runExclusive('scans', async () => {
+        await Database.insertScan(scanEntry, 50);
+        return this.getRecentScans(50);
+      });
+    } catch (error) {
+      console.error('Error adding to recent scans:', error);
+      return null;
+    }
+  }
+
+  // Keeps recent scans in step with an edited or deleted log entry. Older scans
+  // have no entryId, so they are matched on the entry's timestamp instead.
+  async syncRecentScansWithEntry(entry, remove = false) {
+    try {
+      return await this.runExclusive('scans', async () => {
+        const recentScans = await this.getRecentScans(50);
+        const matches = (scan) => scan.entryId ?
+          scan.entryId === entry.id :
+          scan.timestamp === entry.timestamp;
+
+        const updatedScans = remove ?
+          recentScans.filter(scan => !matches(scan)) :
+          recentScans.map(scan => matches(scan) ? {
+            ...scan,
+            ...entry,
+            entryId: entry.id,
+            id: scan.id,
+            scannedAt: scan.scannedAt
+          } : scan);
+
+        await Database.replaceRecentScans(updatedScans);
+        return updatedScans;
+      });
+    } catch (error) {
+      console.error('Error syncing recent scans:', error);
+      return null;
+    }
+  }
+
+  // === RANGE ANALYTICS ===
+  // Totals for an inclusive range of days. Averages are taken over the days
+  // that have something logged, so gaps in tracking don't drag them down.
+  async getIntakeRange(start, end = new Date()) {
+    try {
+      let startKey = this.toDateKey(start);
+      let endKey = this.toDateKey(end);
+      if (startKey > endKey) {
+        [startKey, endKey] = [endKey, startKey];
+      }
+
+      const storedDays = await Database.getDaysInRange(startKey, endKey);
+      const days = [];
+      const totals = this.createEmptyNutrition();
+      const mealTotals = {};
+      this.MEAL_TYPES.forEach(mealType => {
+        mealTotals[mealType] = { ...this.createEmptyNutrition(), items: 0 };
+      });
+      let loggedDays = 0;
+      let mealsCount = 0;
+
+      for (let dateStr = startKey; dateStr <= endKey; dateStr = this.shiftDateKey(dateStr, 1)) {
+        const dailyIntake = { ...this.createEmptyDay(dateStr), ...storedDays[dateStr] };
+        const dayTotals = this.calculateTotalNutrition(dailyIntake);
+        const dayMeals = this.getMealsCount(dailyIntake);
+
+        this.MEAL_TYPES.forEach(mealType => {
+          (dailyIntake[mealType] || []).forEach(food => {
+            mealTotals[mealType].items++;
+            this.NUTRIENT_KEYS.forEach(key => {
+              mealTotals[mealType][key] += parseFloat(food.nutrition?.[key]) || 0;
+            });
+          });
+        });
+
+        if (dayMeals > 0) {
+          loggedDays++;
+          mealsCount += dayMeals;
+          this.NUTRIENT_KEYS.forEach(key => {
+            totals[key] += dayTotals[key];
+          });
+        }
+
+        days.push({
+          date: dateStr,
+          ...dayTotals,
+          mealsCount: dayMeals,
+          waterMl: dailyIntake.waterMl || 0
+        });
+      }
+
+      const averages = this.createEmptyNutrition();
+      if (loggedDays > 0) {
+        this.NUTRIENT_KEYS.forEach(key => {
+          averages[key] = totals[key] / loggedDays;
+        });
+      }
+      this.MEAL_TYPES.forEach(mealType => {
+        const { items, ...nutrition } = mealTotals[mealType];
+        mealTotals[mealType] = { ...this.roundNutrition(nutrition), items };
+      });
+
+      return {
+        startDate: startKey,
+        endDate: endKey,
+        dayCount: days.length,
+        loggedDays,
+        days, // Oldest to newest
+        totals: this.roundNutrition(totals),
+        averages: {
+          ...this.roundNutrition(averages),
+          mealsCount: loggedDays > 0 ? Math.round(mealsCount / loggedDays * 10) / 10 : 0
+        },
+        mealTotals
+      };
+    } catch (error) {
+      console.error('Error loading intake range:', error);
+      return null;
+    }
+  }
+
+  async getWeeklyData(startDate = new Date()) {
+    const endKey = this.getDateKey(startDate);
+    const range = await this.getIntakeRange(this.shiftDateKey(endKey, -6), endKey); // Last 7 days
+    return range ? range.days : [];
+  }
+
+  getMonthBounds(date = new Date()) {
+    const [year, month] = this.toDateKey(date).split('-').map(Number);
+    const lastDay = new Date(year, month, 0).getDate();
+    const prefix = `${year}-${String(month).padStart(2, '0')}`;
+    return { start: `${prefix}-01`, end: `${prefix}-${String(lastDay).padStart(2, '0')}` };
+  }
+
+  // One calendar month, stopping at today for the current month
+  async getMonthData(date = new Date()) {
+    const { start, end } = this.getMonthBounds(date);
+    const todayKey = this.getDateKey();
+    return this.getIntakeRange(start, end > todayKey ? todayKey : end);
+  }
+
+  // Groups the days of a range by calendar month
+  async getMonthlyAggregates(start, end = new Date()) {
+    const range = await this.getIntakeRange(start, end);
+    if (!range) return [];
+
+    const months = {};
+    range.days.forEach(day => {
+      const month = day.date.slice(0, 7); // YYYY-MM
+      if (!months[month]) {
+        months[month] = { month, dayCount: 0, loggedDays: 0, mealsCount: 0, totals: this.createEmptyNutrition() };
+      }
+      const summary = months[month];
+      summary.dayCount++;
+      if (day.mealsCount > 0) {
+        summary.loggedDays++;
+        summary.mealsCount += day.mealsCount;
+        this.NUTRIENT_KEYS.forEach(key => {
+          summary.totals[key] += day[key];
+        });
+      }
+    });
+
+    return Object.values(months).map(({ mealsCount, totals, ...summary }) => {
+      const averages = this.createEmptyNutrition();
+      if (summary.loggedDays > 0) {
+        this.NUTRIENT_KEYS.forEach(key => {
+          averages[key] = totals[key] / summary.loggedDays;
+        });
+      }
+      return {
+        ...summary,
+        totals: this.roundNutrition(totals),
+        averages: {
+          ...this.roundNutrition(averages),
+          mealsCount: summary.loggedDays > 0 ? Math.round(mealsCount / summary.loggedDays * 10) / 10 : 0
+        }
+      };
+    });
+  }
+
+  getMealsCount(dailyIntake) {
+    let count = 0;
+    this.MEAL_TYPES.forEach(mealType => {
+      if (dailyIntake[mealType] && dailyIntake[mealType].length > 0) {
+        count++;
+      }
+    });
+    return count;
+  }
+
+  // Consecutive days with at least one logged meal, counting back from today
+  async calculateStreak(today = new Date()) {
+    try {
+      const loggedDates = new Set(await Database.getLoggedDates());
+      let streak = 0;
+      let dateStr = this.getDateKey(today);
+      while (loggedDates.has(dateStr)) {
+        streak++;
+        dateStr = this.shiftDateKey(dateStr, -1);
+      }
+      return streak;
+    } catch (error) {
+      console.error('Error calculating streak:', error);
+      return 0;
+    }
+  }
+
+  // === USER PROFILE ===
+  async getUserProfile() {
+    try {
+      const profile = await AsyncStorage.getItem(this.STORAGE_KEYS.USER_PROFILE);
+      return profile ? JSON.parse(profile) : {
+        name: 'User',
+        age: 25,
+        height: 170, // cm
+        weight: 70,  // kg
+        gender: 'male',
+        activityLevel: 'moderate',
+        goal: 'maintain', // maintain, lose, gain
+        targetWeight: null, // kg
+        dayStartHour: 0,
+        mealTypes: this.DEFAULT_MEAL_TYPES.map(mealType => ({ ...mealType })),
+        mealWindows: { ...this.DEFAULT_MEAL_WINDOWS },
+        waterUnit: 'glasses',
+        glassSizeMl: this.DEFAULT_GLASS_ML
+      };
+    } catch (error) {
+      console.error('Error loading user profile:', error);
+      return null;
+    }
+  }
+
+  // Stamped with updatedAt for sync; pass the time when applying a profile
+  // changed on another device
+  async saveUserProfile(profile, updatedAt = new Date().toISOString()) {
+    try {
+      await AsyncStorage.setItem(this.STORAGE_KEYS.USER_PROFILE, JSON.stringify({ ...profile, updatedAt }));
+      this.applyPreferences(profile);
+      return true;
+    } catch (error) {
+      console.error('Error saving user profile:', error);
+      return false;
+    }
+  }
+
+  // Merges settings into the stored profile; returns the saved profile or null
+  async updateUserProfile(changes) {
+    return this.runExclusive('profile', async () => {
+      const profile = { ...(await this.getUserProfile()), ...changes };
+      const success = await this.saveUserProfile(profile);
+      return success ? profile : null;
+    });
+  }
+
+  // === BACKUP ===
+  async getAllDailyIntakes() {
+    try {
+      const storedDays = await Database.getAllDays();
+      const days = {};
+      Object.entries(storedDays).forEach(([dateStr, day]) => {
+        days[dateStr] = { ...this.createEmptyDay(dateStr), ...day };
+      });
+      return days;
+    } catch (error) {
+      console.error('Error loading daily intake history:', error);
+      return {};
+    }
+  }
+
+  async createBackup() {
+    const [days, goals, profile, recentScans, customFoods, recipes, mealTemplates, weightLog, favoriteFoods] = await Promise.all([
+      this.getAllDailyIntakes(),
+      this.getUserGoals(),
+      this.getUserProfile(),
+      this.getRecentScans(50),
+      this.getCustomFoods(),
+      this.getRecipes(),
+      this.getMealTemplates(),
+      this.getWeightLog(),
+      this.getFavoriteFoods()
+    ]);
+
+    return {
+      app: 'lpu-food-scanner',
+      backupVersion: 1,
+      exportedAt: new Date().toISOString(),
+      goals,
+      profile,
+      recentScans,
+      customFoods,
+      recipes,
+      mealTemplates,
+      weightLog,
+      favoriteFoods,
+      days
+    };
+  }
+
+  validateBackup(backup) {
+    const errors = [];
+    if (!backup || typeof backup !== 'object') {
+      return { valid: false, errors: ['File is not a valid backup'] };
+    }
+    if (backup.app !== 'lpu-food-scanner') {
+      errors.push('File was not exported from LPU Food Scanner');
+    }
+    if (!backup.days || typeof backup.days !== 'object' || Array.isArray(backup.days)) {
+      errors.push('Backup has no daily intake records');
+    } else {
+      Object.entries(backup.days).forEach(([date, day]) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+          errors.push(`Invalid date key: ${date}`);
+        } else if (!day || this.MEAL_TYPES.some(meal => day[meal] && !Array.isArray(day[meal]))) {
+          errors.push(`Malformed record for ${date}`);
+        }
+      });
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Entries are the same if they share an id or were logged at the same instant
+  mergeDay(existingDay, incomingDay, mealTypes = this.MEAL_TYPES) {
+    const day = { ...existingDay };
+    let added = 0;
+    let skipped = 0;
+
+    mealTypes.forEach(mealType => {
+      const current = [...(existingDay[mealType] || [])];
+      const ids = new Set(current.map(entry => entry.id));
+      const timestamps = new Set(current.map(entry => entry.timestamp).filter(Boolean));
+
+      (incomingDay[mealType] || []).forEach(entry => {
+        if (ids.has(entry.id) || (entry.timestamp && timestamps.has(entry.timestamp))) {
+          skipped++;
+          return;
+        }
+        current.push(entry);
+        ids.add(entry.id);
+        added++;
+      });
+      day[mealType] = current;
+    });
+
+    day.waterMl = Math.max(existingDay.waterMl || 0, incomingDay.waterMl || 0);
+    day.totalNutrition = this.calculateTotalNutrition(day);
+    return { day, added, skipped };
+  }
+
+  countEntries(day, mealTypes = this.MEAL_TYPES) {
+    return mealTypes
+      .reduce((count, mealType) => count + (day[mealType]?.length || 0), 0);
+  }
+
+  // The days of a backup as importBackup() writes them, so the preview counts
+  // the same entries. Custom meal types from the backup are added next to the
+  // local ones.
+  readBackupDays(backup) {
+    const newMealTypes = this.normalizeMealTypes(backup.profile?.mealTypes)
+      .filter(mealType => !this.MEAL_TYPES.includes(mealType.id));
+    const mealTypes = [...this.MEAL_TYPES, ...newMealTypes.map(mealType => mealType.id)];
+
+    const days = {};
+    Object.entries(backup.days).forEach(([date, day]) => {
+      days[date] = this.normalizeDay(day, date, mealTypes);
+    });
+    return { days, mealTypes, newMealTypes };
+  }
+
+  async previewImport(backup) {
+    const existingDays = await this.getAllDailyIntakes();
+    const { days, mealTypes } = this.readBackupDays(backup);
+    const preview = {
+      merge: { newDays: 0, changedDays: 0, entriesAdded: 0, duplicatesSkipped: 0 },
+      replace: {
+        daysRemoved: Object.keys(existingDays).length,
+        entriesRemoved: Object.values(existingDays).reduce((sum, day) => sum + this.countEntries(day), 0),
+        daysRestored: Object.keys(days).length,
+        entriesRestored: Object.values(days).reduce((sum, day) => sum + this.countEntries(day, mealTypes), 0)
+      }
+    };
+
+    Object.entries(days).forEach(([date, incomingDay]) => {
+      if (!existingDays[date]) {
+        preview.merge.newDays++;
+        preview.merge.entriesAdded += this.countEntries(incomingDay, mealTypes);
+        return;
+      }
+      const { added, skipped } = this.mergeDay(existingDays[date], incomingDay, mealTypes);
+      if (added > 0) preview.merge.changedDays++;
+      preview.merge.entriesAdded += added;
+      preview.merge.duplicatesSkipped += skipped;
+    });
+
+    return preview;
+  }
+
+  // mode 'merge' adds missing entries to existing days and keeps local goals and
+  // profile; mode 'replace' wipes all history and restores the backup as-is.
+  async importBackup(backup, mode = 'merge') {
+    try {
+      const { valid, errors } = this.validateBackup(backup);
+      if (!valid) {
+        console.warn('Backup rejected:', errors);
+        return null;
+      }
+
+      // Custom meal types must exist locally before their entries are written
+      const { days, newMealTypes } = this.readBackupDays(backup);
+      if (newMealTypes.length > 0) {
+        await this.saveMealTypes([...this.mealTypeList, ...newMealTypes]);
+      }
+
+      // Replacing also deletes the local days that aren't in the backup
+      const lockedDates = mode === 'replace' ?
+        [...Object.keys(days), ...Object.keys(await this.getAllDailyIntakes())] :
+        Object.keys(days);
+      const writes = {};
+      await this.runExclusiveDays(lockedDates, async () => {
+        const existingDays = mode === 'merge' ? await this.getAllDailyIntakes() : {};
+        Object.entries(days).forEach(([date, incomingDay]) => {
+          const baseDay = existingDays[date] || this.createEmptyDay(date);
+          const { day } = this.mergeDay(baseDay, incomingDay);
+          writes[date] = { ...day, date };
+        });
+        if (mode === 'replace') {
+          await Database.replaceAllDays(writes, this.MEAL_TYPES);
+        } else {
+          await Database.saveDays(writes, this.MEAL_TYPES);
+        }
+      });
+
+      const recentScans = Array.isArray(backup.recentScans) ? backup.recentScans : [];
+      const customFoods = (Array.isArray(backup.customFoods) ? backup.customFoods : [])
+        .filter(food => food && food.id && food.name);
+      const recipes = (Array.isArray(backup.recipes) ? backup.recipes : [])
+        .filter(recipe => recipe && recipe.id && recipe.name);
+      const mealTemplates = (Array.isArray(backup.mealTemplates) ? backup.mealTemplates : [])
+        .filter(template => template && template.id && template.name && Array.isArray(template.items));
+      const weightLog = (Array.isArray(backup.weightLog) ? backup.weightLog : [])
+        .filter(entry => entry && /^\d{4}-\d{2}-\d{2}$/.test(entry.date))
+        .map(entry => this.normalizeWeightEntry(entry))
+        .filter(entry => entry.weight);
+      const favoriteFoods = (Array.isArray(backup.favoriteFoods) ? backup.favoriteFoods : [])
+        .filter(favorite => favorite && favorite.food && typeof favorite.food === 'object')
+        .map(favorite => this.normalizeFavoriteFood(favorite))
+        .filter(favorite => favorite.key && favorite.name);
+      if (mode === 'replace') {
+        if (backup.goals) await this.saveUserGoals(backup.goals);
+        if (backup.profile) await this.saveUserProfile(backup.profile);
+        await Database.replaceRecentScans(recentScans.slice(0, 50));
+        await Database.replaceCustomFoods(customFoods);
+        await Database.replaceRecipes(recipes);
+        await Database.replaceMealTemplates(mealTemplates);
+        await Database.replaceWeightLog(weightLog);
+        await Database.replaceFavoriteFoods(favoriteFoods);
+      } else {
+        const localFoodIds = new Set((await this.getCustomFoods()).map(food => food.id));
+        for (const food of customFoods.filter(item => !localFoodIds.has(String(item.id)))) {
+          await Database.saveCustomFood(food);
+        }
+        const localRecipeIds = new Set((await this.getRecipes()).map(recipe => recipe.id));
+        for (const recipe of recipes.filter(item => !localRecipeIds.has(String(item.id)))) {
+          await Database.saveRecipe(recipe);
+        }
+        const localTemplateIds = new Set((await this.getMealTemplates()).map(template => template.id));
+        for (const template of mealTemplates.filter(item => !localTemplateIds.has(String(item.id)))) {
+          await Database.saveMealTemplate(template);
+        }
+        const localWeightDates = new Set((await this.getWeightLog()).map(entry => entry.date));
+        for (const entry of weightLog.filter(item => !localWeightDates.has(item.date))) {
+          await Database.saveWeightEntry(entry);
+        }
+        const localFavoriteKeys = new Set((await this.getFavoriteFoods()).map(favorite => favorite.key));
+        for (const favorite of favoriteFoods.filter(item => !localFavoriteKeys.has(item.key))) {
+          await Database.saveFavoriteFood(favorite);
+        }
+
+        const localScans = await this.getRecentScans(50);
+        const localIds = new Set(localScans.map(scan => scan.id));
+        const mergedScans = [...localScans, ...recentScans.filter(scan => !localIds.has(scan.id))]
+          .sort((a, b) => new Date(b.scannedAt || 0) - new Date(a.scannedAt || 0))
+          .slice(0, 50);
+        await Database.replaceRecentScans(mergedScans);
+      }
+
+      return { mode, days: Object.keys(writes).length };
+    } catch (error) {
+      console.error('Error importing backup:', error);
+      return null;
+    }
+  }
+
+  // === UTILITIES ===
+  // Removes the user's records and leaves settings alone (schema version,
+  // sync and recognition setup). Use SyncService.clearLocalData(), which also
+  // drops the pushes still waiting to go out.
+  async clearAllData() {
+    try {
+      const { USER_GOALS, DAILY_INTAKE, RECENT_SCANS, USER_PROFILE } = this.STORAGE_KEYS;
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove(keys.filter(key =>
+        key.startsWith(DAILY_INTAKE) || [USER_GOALS, RECENT_SCANS, USER_PROFILE].includes(key)
+      ));
+      await Database.clearAll();
+      this.applyPreferences(null);
+      return true;
+    } catch (error) {
+      console.error('Error clearing data:', error);
+      return false;
+    }
+  }
+
+  getTimeBasedGreeting() {
+    const hour = new Date().getHours();
+    if (hour < 12) return '🌅 Good Morning';
+    if (hour < 17) return '☀️ Good Afternoon';
+    if (hour < 21) return '🌆 Good Evening';
+    return '🌙 Good Night';
+  }
+
+  // Best guess for the meal being logged at the given time, based on the
+  // user's meal windows
+  getMealTimeFromHour(date = new Date()) {
+    const hour = date.getHours() + date.getMinutes() / 60;
+    const windows = this.getMealWindows();
+    const mealTypes = this.MEAL_TYPES.filter(mealType => windows[mealType]);
+
+    const current = mealTypes.find(mealType =>
+      hour >= windows[mealType].start && hour < windows[mealType].end
+    );
+    if (current) return current;
+
+    // Between windows: a meal starting within the hour, otherwise the one that just ended
+    const upcoming = mealTypes.find(mealType =>
+      windows[mealType].start > hour && windows[mealType].start - hour <= 1
+    );
+    if (upcoming) return upcoming;
+
+    const ended = mealTypes
+      .filter(mealType => windows[mealType].end <= hour)
+      .sort((a, b) => windows[b].end - windows[a].end)[0];
+    return ended || mealTypes[mealTypes.length - 1] || this.MEAL_TYPES[0];
+  }
+
+  // Meals whose window has closed today without anything logged
+  getMissedMeals(dailyIntake, date = new Date(), mealTypes = this.MEAL_TYPES) {
+    const hour = date.getHours() + date.getMinutes() / 60;
+    const windows = this.getMealWindows();
+    return mealTypes.filter(mealType =>
+      windows[mealType] &&
+      hour >= windows[mealType].end &&
+      !(dailyIntake?.[mealType]?.length > 0)
+    );
+  }
+
+  formatHour(hour) {
+    const normalized = hour % 24;
+    const suffix = normalized < 12 ? 'AM' : 'PM';
+    return `${normalized % 12 === 0 ? 12 : normalized % 12} ${suffix}`;
+  }
+
+  formatMealWindow(mealType) {
+    const window = this.getMealWindows()[mealType];
+    return window ? `${this.formatHour(window.start)} – ${this.formatHour(window.end)}` : '';
   }
 }
 